@@ -0,0 +1,48 @@
+/**
+ * The NoOpAnalyticsService implements all functions of AnalyticsService without sending any events.
+ * The initialization sequence falls back to it when the analytics phase times out, so that
+ * application code can keep calling the analytics functions safely.
+ *
+ * @implements {AnalyticsService}
+ * @memberof module:Analytics
+ */
+class NoOpAnalyticsService {
+  constructor({ loggingService } = {}) {
+    this.loggingService = loggingService;
+  }
+
+  /**
+   * No-op.
+   *
+   * @returns {Promise} A resolved promise.
+   */
+  sendTrackingLogEvent() { // eslint-disable-line class-methods-use-this
+    return Promise.resolve();
+  }
+
+  /**
+   * No-op.
+   */
+  identifyAuthenticatedUser() {} // eslint-disable-line class-methods-use-this
+
+  /**
+   * No-op.
+   *
+   * @returns {Promise} A resolved promise.
+   */
+  identifyAnonymousUser() { // eslint-disable-line class-methods-use-this
+    return Promise.resolve();
+  }
+
+  /**
+   * No-op.
+   */
+  sendTrackEvent() {} // eslint-disable-line class-methods-use-this
+
+  /**
+   * No-op.
+   */
+  sendPageEvent() {} // eslint-disable-line class-methods-use-this
+}
+
+export default NoOpAnalyticsService;
@@ -1,5 +1,6 @@
 import formurlencoded from 'form-urlencoded';
 import { snakeCaseObject } from '../utils';
+import { INJECTED_SCRIPT_ATTRIBUTE } from '../scripts/constants';
 
 /**
  * @implements {AnalyticsService}
@@ -14,7 +15,8 @@ class SegmentAnalyticsService {
     this.hasIdentifyBeenCalled = false;
     this.segmentInitialized = false;
 
-    if (this.segmentKey) {
+    // The Segment snippet injects a script tag, so it is skipped when rendering on the server.
+    if (this.segmentKey && typeof document !== 'undefined') {
       this.initializeSegment();
     }
   }
@@ -87,6 +89,8 @@ class SegmentAnalyticsService {
       // Create an async script element based on your key.
       const script = document.createElement('script');
       script.type = 'text/javascript';
+      // Marks the script so that `teardown` can remove it.
+      script.setAttribute(INJECTED_SCRIPT_ATTRIBUTE, 'segment');
       script.onerror = () => {
         this.segmentInitialized = false;
         const event = new Event('segmentFailed');
@@ -1,13 +1,40 @@
 import axios from 'axios';
 import PropTypes from 'prop-types';
 import { logFrontendAuthError } from './utils';
-import { camelCaseObject, ensureDefinedConfig } from '../utils';
+import { ensureDefinedConfig } from '../utils';
 import createJwtTokenProviderInterceptor from './interceptors/createJwtTokenProviderInterceptor';
 import createCsrfTokenProviderInterceptor from './interceptors/createCsrfTokenProviderInterceptor';
 import createProcessAxiosRequestErrorInterceptor from './interceptors/createProcessAxiosRequestErrorInterceptor';
 import AxiosJwtTokenService from './AxiosJwtTokenService';
 import AxiosCsrfTokenService from './AxiosCsrfTokenService';
 import configureCache from './LocalForageCache';
+import createCrossTabChannel from './createCrossTabChannel';
+import { createMemoryTokenStorage } from './tokenStorage';
+import { mapUserClaims } from './userClaims';
+import hydrateUserFrom from './userHydration';
+import { ACCESS_TOKEN_REFRESHED, AUTH_REFRESH_FAILED, AUTHENTICATED_USER_CHANGED } from './interface';
+
+// Joins the URL of a request to its base URL the way axios does, so it can be matched against the
+// base URLs of the AUTHORIZATION_HEADER_SCHEMES config value.
+function getRequestUrl({ url = '', baseURL }) {
+  if (!baseURL || /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)) {
+    return url;
+  }
+  return `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+}
+
+// Whether a request URL is on the origin of a base URL, and within its path.  Plain prefixes
+// won't do: `https://api.example.com` is a prefix of `https://api.example.com.attacker.net`.
+function isWithinBaseUrl(requestUrl, baseUrl) {
+  try {
+    const request = new URL(requestUrl, global.location.href);
+    const base = new URL(baseUrl);
+    const basePath = base.pathname.endsWith('/') ? base.pathname : `${base.pathname}/`;
+    return request.origin === base.origin && `${request.pathname}/`.startsWith(basePath);
+  } catch (e) {
+    return false;
+  }
+}
 
 const optionsPropTypes = {
   config: PropTypes.shape({
@@ -40,7 +67,40 @@ class AxiosJwtAuthService {
    * @param {string} options.config.REFRESH_ACCESS_TOKEN_ENDPOINT
    * @param {string} options.config.ACCESS_TOKEN_COOKIE_NAME
    * @param {string} options.config.CSRF_TOKEN_API_PATH
+   * @param {number|string} [options.config.ACCESS_TOKEN_REFRESH_LEAD_SECONDS] If set, the access
+   * token is refreshed in the background this many seconds before it expires.
+   * @param {number|string} [options.config.ACCESS_TOKEN_EXPIRY_MARGIN_SECONDS] The access token is
+   * considered expired this many seconds early, so that it doesn't expire on its way to the
+   * server.  Expiries are checked against the server's clock, as measured when the token is
+   * refreshed.
+   * @param {Object} [options.config.AUTHENTICATED_USER_CLAIMS] Customizes which claims of the
+   * access token make up the authenticated user.  It maps user fields to the name of the claim
+   * they're copied from, to a function computing them from the claims, or to null to leave them
+   * out, and is merged over the default mapping of `email`, `userId`, `username`, `roles`,
+   * `administrator` and `name`.
+   * @param {number|string} [options.config.AUTHENTICATED_USER_HYDRATION_TTL_SECONDS=300] How long
+   * the account fetched by `hydrateAuthenticatedUser` is cached.
+   * @param {string} [options.config.ACCESS_TOKEN_STORAGE='cookie'] Where the access token is read
+   * from: `cookie`, the `ACCESS_TOKEN_COOKIE_NAME` cookie set by the refresh endpoint, or `memory`,
+   * for refresh endpoints which return the token as the `access_token` of their response instead.
+   * With `memory`, authenticated requests to the `LMS_BASE_URL` and `BASE_URL` servers send the token
+   * in a `JWT` `Authorization` header by default, since there is no cookie for them to read.  Other
+   * servers only get the token if they're in `AUTHORIZATION_HEADER_SCHEMES`.
+   * @param {Object} [options.config.AUTHORIZATION_HEADER_SCHEMES] The servers which expect the
+   * access token in an `Authorization` header rather than in the cookie, as an object of base URLs
+   * to the scheme of the header, such as `{ 'https://api.example.com': 'Bearer' }`.  A request
+   * matches a base URL when it's on the same origin and within its path.  Requests can also set the
+   * scheme themselves with the `authorizationScheme` option of their config.
    * @param {Object} options.loggingService requires logError and logInfo methods
+   * @param {string|Object} [options.cookies] The cookies of the incoming request, when rendering
+   * on the server.
+   * @param {function} [options.publish] Publishes the service's events, such as
+   * `ACCESS_TOKEN_REFRESHED` and `AUTH_REFRESH_FAILED`.  `initialize` passes the platform's
+   * `publish` function.
+   *
+   * The service coordinates with the other tabs of the application open in the same browser: only
+   * one of them refreshes the access token at a time, and when the user logs in or out in one tab,
+   * the others update their authenticated user and publish `AUTHENTICATED_USER_CHANGED`.
    */
   constructor(options) {
     this.authenticatedHttpClient = null;
@@ -48,17 +108,37 @@ class AxiosJwtAuthService {
     this.cachedAuthenticatedHttpClient = null;
     this.cachedHttpClient = null;
     this.authenticatedUser = null;
+    this.userHydrationStatus = null;
 
     ensureDefinedConfig(options, 'AuthService');
     PropTypes.checkPropTypes(optionsPropTypes, options, 'options', 'AuthService');
 
     this.config = options.config;
     this.loggingService = options.loggingService;
+    this.publish = options.publish || (() => {});
+    this.channel = createCrossTabChannel(`frontend-platform.auth.${this.config.ACCESS_TOKEN_COOKIE_NAME}`);
+    if (this.channel) {
+      this.channel.addListener((message) => {
+        if (message.type === 'userChanged') {
+          this.syncAuthenticatedUser(message.userId);
+        }
+      });
+    }
     this.jwtTokenService = new AxiosJwtTokenService(
       this.loggingService,
       this.config.ACCESS_TOKEN_COOKIE_NAME,
       this.config.REFRESH_ACCESS_TOKEN_ENDPOINT,
+      options.cookies,
+      {
+        refreshLeadSeconds: Number(this.config.ACCESS_TOKEN_REFRESH_LEAD_SECONDS) || null,
+        onRefresh: decodedJwtToken => this.publish(ACCESS_TOKEN_REFRESHED, { exp: decodedJwtToken.exp }),
+        onRefreshFailure: error => this.publish(AUTH_REFRESH_FAILED, { error, reason: error.reason }),
+        channel: this.channel,
+        expiryMarginSeconds: Number(this.config.ACCESS_TOKEN_EXPIRY_MARGIN_SECONDS) || 0,
+        tokenStorage: this.config.ACCESS_TOKEN_STORAGE === 'memory' ? createMemoryTokenStorage() : undefined,
+      },
     );
+    this.jwtTokenService.startRefreshScheduler();
     this.csrfTokenService = new AxiosCsrfTokenService(this.config.CSRF_TOKEN_API_PATH);
     this.authenticatedHttpClient = this.addAuthenticationToHttpClient(axios.create());
     this.httpClient = axios.create();
@@ -132,6 +212,86 @@ class AxiosJwtAuthService {
     return this.httpClient;
   }
 
+  /**
+   * Resumes refreshing the access token in the background, if the
+   * `ACCESS_TOKEN_REFRESH_LEAD_SECONDS` config value is set.  The service starts doing so when
+   * it's created.
+   */
+  startRefreshScheduler() {
+    this.jwtTokenService.startRefreshScheduler();
+  }
+
+  /**
+   * Stops refreshing the access token in the background, so that it's only refreshed when a
+   * request needs it.  The idle session module does so while the user is idle.
+   */
+  stopRefreshScheduler() {
+    this.jwtTokenService.stopRefreshScheduler();
+  }
+
+  /**
+   * Stops refreshing the access token in the background and listening to the other tabs.  Called
+   * when the service is reset.
+   */
+  destroy() {
+    this.jwtTokenService.stopRefreshScheduler();
+    this.jwtTokenService.close();
+    if (this.channel) {
+      this.channel.close();
+    }
+  }
+
+  // Tells the other tabs that the user logged in, out, or as someone else.
+  broadcastUserChange(userId) {
+    if (this.channel) {
+      this.channel.postMessage({ type: 'userChanged', userId });
+    }
+  }
+
+  // Catches up with a user change broadcast by another tab.
+  async syncAuthenticatedUser(userId) {
+    const user = this.getAuthenticatedUser();
+    if ((user ? user.userId : null) === userId) {
+      return;
+    }
+    try {
+      if (userId === null) {
+        // The other tab is on its way to the logout page, which removes the cookie shortly.
+        this.setAuthenticatedUser(null);
+      } else {
+        await this.fetchAuthenticatedUser();
+      }
+      this.publish(AUTHENTICATED_USER_CHANGED);
+    } catch (e) {
+      logFrontendAuthError(this.loggingService, e);
+    }
+  }
+
+  /**
+   * Returns the scheme of the `Authorization` header in which a request sends the access token,
+   * or null if it relies on the cookie.
+   *
+   * @ignore
+   * @param {Object} axiosRequestConfig
+   * @returns {string|null}
+   */
+  getAuthorizationScheme(axiosRequestConfig) {
+    if (axiosRequestConfig.authorizationScheme) {
+      return axiosRequestConfig.authorizationScheme;
+    }
+    const schemes = this.config.AUTHORIZATION_HEADER_SCHEMES || {};
+    const requestUrl = getRequestUrl(axiosRequestConfig);
+    const baseUrl = Object.keys(schemes).find(url => isWithinBaseUrl(requestUrl, url));
+    if (baseUrl !== undefined) {
+      return schemes[baseUrl];
+    }
+    if (this.config.ACCESS_TOKEN_STORAGE !== 'memory') {
+      return null;
+    }
+    const platformUrls = [this.config.LMS_BASE_URL, this.config.BASE_URL].filter(Boolean);
+    return platformUrls.some(url => isWithinBaseUrl(requestUrl, url)) ? 'JWT' : null;
+  }
+
   /**
    * Used primarily for testing.
    *
@@ -193,6 +353,7 @@ class AxiosJwtAuthService {
    * @param {string} redirectUrl The URL the user should be redirected to after logging out.
    */
   redirectToLogout(redirectUrl = this.config.BASE_URL) {
+    this.broadcastUserChange(null);
     global.location.assign(this.getLogoutRedirectUrl(redirectUrl));
   }
 
@@ -217,32 +378,33 @@ class AxiosJwtAuthService {
 
   /**
    * Reads the authenticated user's access token. Resolves to null if the user is
-   * unauthenticated.
+   * unauthenticated.  The user is made of the token's claims, as mapped by the
+   * `AUTHENTICATED_USER_CLAIMS` config value.
    *
    * @returns {Promise<UserData>|Promise<null>} Resolves to the user's access token if they are
    * logged in.
    */
   async fetchAuthenticatedUser(options = {}) {
+    const previousUser = this.getAuthenticatedUser();
     const decodedAccessToken = await this.jwtTokenService.getJwtToken(options.forceRefresh || false);
 
     if (decodedAccessToken !== null) {
-      this.setAuthenticatedUser({
-        email: decodedAccessToken.email,
-        userId: decodedAccessToken.user_id,
-        username: decodedAccessToken.preferred_username,
-        roles: decodedAccessToken.roles || [],
-        administrator: decodedAccessToken.administrator,
-        name: decodedAccessToken.name,
-      });
+      this.setAuthenticatedUser(mapUserClaims(decodedAccessToken, this.config.AUTHENTICATED_USER_CLAIMS));
       // Sets userId as a custom attribute that will be included with all subsequent log messages.
       // Very helpful for debugging.
-      this.loggingService.setCustomAttribute('userId', decodedAccessToken.user_id);
+      this.loggingService.setCustomAttribute('userId', this.getAuthenticatedUser().userId);
     } else {
       this.setAuthenticatedUser(null);
       // Intentionally not setting `userId` in the logging service here because it would be useful
       // to know the previously logged in user for debugging refresh issues.
     }
 
+    const user = this.getAuthenticatedUser();
+    const userId = user !== null ? user.userId : null;
+    if ((previousUser ? previousUser.userId : null) !== userId) {
+      this.broadcastUserChange(userId);
+    }
+
     return this.getAuthenticatedUser();
   }
 
@@ -280,7 +442,8 @@ class AxiosJwtAuthService {
 
   /**
    * Fetches additional user account information for the authenticated user and merges it into the
-   * existing authenticatedUser object, available via getAuthenticatedUser().
+   * existing authenticatedUser object, available via getAuthenticatedUser().  The account is read
+   * with the cached HTTP client, for `AUTHENTICATED_USER_HYDRATION_TTL_SECONDS`.
    *
    * ```
    *  console.log(authenticatedUser); // Will be sparse and only contain basic information.
@@ -289,17 +452,30 @@ class AxiosJwtAuthService {
    *  console.log(authenticatedUser); // Will contain additional user information
    * ```
    *
+   * @param {Object} [options]
+   * @param {Array<string>} [options.fields] The camel-cased account fields to merge.  Defaults to all.
+   * @param {boolean} [options.forceRefresh=false] Whether to fetch the account even if it's cached.
+   * @emits AUTHENTICATED_USER_CHANGED
+   * @emits AUTHENTICATED_USER_HYDRATION_CHANGED
    * @returns {Promise<null>}
    */
-  async hydrateAuthenticatedUser() {
+  async hydrateAuthenticatedUser(options = {}) {
     const user = this.getAuthenticatedUser();
     if (user !== null) {
-      const response = await this.authenticatedHttpClient
-        .get(`${this.config.LMS_BASE_URL}/api/user/v1/accounts/${user.username}`);
-      this.setAuthenticatedUser({ ...user, ...camelCaseObject(response.data) });
+      await hydrateUserFrom(this, `${this.config.LMS_BASE_URL}/api/user/v1/accounts/${user.username}`, options);
     }
   }
 
+  /**
+   * Returns the status of the latest `hydrateAuthenticatedUser` call: `pending`, `done` or
+   * `error`, or null if the user was never hydrated.
+   *
+   * @returns {string|null}
+   */
+  getUserHydrationStatus() {
+    return this.userHydrationStatus;
+  }
+
   /**
  * Adds authentication defaults and interceptors to an HTTP client instance.
  *
@@ -322,9 +498,12 @@ class AxiosJwtAuthService {
 
     // The JWT access token interceptor attempts to refresh the user's jwt token
     // before any request unless the isPublic flag is set on the request config.
+    // It then tells the server to read the jwt cookie, or sends the token in the
+    // Authorization header of the servers which can't read it.
     const refreshAccessTokenInterceptor = createJwtTokenProviderInterceptor({
       jwtTokenService: this.jwtTokenService,
       shouldSkip: axiosRequestConfig => axiosRequestConfig.isPublic,
+      getAuthorizationScheme: axiosRequestConfig => this.getAuthorizationScheme(axiosRequestConfig),
     });
     // The CSRF token intercepter fetches and caches a csrf token for any post,
     // put, patch, or delete request. That token is then added to the request
@@ -3,6 +3,9 @@ import axios from 'axios';
 import Cookies from 'universal-cookie';
 import MockAdapter from 'axios-mock-adapter';
 import AxiosJwtAuthService from './AxiosJwtAuthService';
+import AxiosJwtTokenService from './AxiosJwtTokenService';
+import TokenRefreshError from './TokenRefreshError';
+import { AUTHENTICATED_USER_HYDRATION_CHANGED } from './interface';
 
 const mockLoggingService = {
   logInfo: jest.fn(),
@@ -753,8 +756,26 @@ describe('redirectToLogout', () => {
 });
 
 describe('hydrateAuthenticatedUser', () => {
+  let cachedAxiosMock;
+  const user = {
+    userId: 'abc123',
+    username: 'the_user',
+    roles: [],
+    administrator: false,
+    name: 'test user',
+  };
+  const getAccountUrl = username => `${authOptions.config.LMS_BASE_URL}/api/user/v1/accounts/${username}`;
+
   beforeEach(() => {
     axiosMock.reset();
+    cachedAxiosMock = new MockAdapter(cachedClient);
+    service.publish = jest.fn();
+    setJwtCookieTo(jwtTokens.valid.encoded);
+  });
+
+  afterEach(() => {
+    cachedAxiosMock.restore();
+    service.publish = () => {};
   });
 
   it('should not change authenticated user if it is null', async () => {
@@ -763,17 +784,10 @@ describe('hydrateAuthenticatedUser', () => {
   });
 
   it('should call the user accounts API and merge the result into authenticatedUser', async () => {
-    setJwtCookieTo(jwtTokens.valid.encoded);
-    service.setAuthenticatedUser({
-      userId: 'abc123',
-      username: 'the_user',
-      roles: [],
-      administrator: false,
-      name: 'test user',
-    });
-    axiosMock.onGet(`${authOptions.config.LMS_BASE_URL}/api/user/v1/accounts/the_user`).reply(200, {
+    service.setAuthenticatedUser(user);
+    cachedAxiosMock.onGet(getAccountUrl('the_user')).reply(200, {
       additional: 'data',
-    });
+    }, {});
     await service.hydrateAuthenticatedUser();
     const authenticatedUser = service.getAuthenticatedUser();
     expect(authenticatedUser).toEqual({
@@ -784,6 +798,50 @@ describe('hydrateAuthenticatedUser', () => {
       additional: 'data',
       name: 'test user',
     });
+    expect(service.getUserHydrationStatus()).toEqual('done');
+    expect(service.publish.mock.calls).toEqual([
+      [AUTHENTICATED_USER_HYDRATION_CHANGED, { status: 'pending' }],
+      [AUTHENTICATED_USER_HYDRATION_CHANGED, { status: 'done' }],
+    ]);
+  });
+
+  it('should read the account from the cache unless forced to refresh it', async () => {
+    service.setAuthenticatedUser({ ...user, username: 'cached_user' });
+    cachedAxiosMock.onGet(getAccountUrl('cached_user')).reply(200, { level_of_education: 'p' }, {});
+
+    await service.hydrateAuthenticatedUser();
+    await service.hydrateAuthenticatedUser();
+    expect(cachedAxiosMock.history.get.length).toBe(1);
+    expect(service.getAuthenticatedUser().levelOfEducation).toEqual('p');
+
+    await service.hydrateAuthenticatedUser({ forceRefresh: true });
+    expect(cachedAxiosMock.history.get.length).toBe(2);
+  });
+
+  it('should only merge the given fields', async () => {
+    service.setAuthenticatedUser({ ...user, username: 'partial_user' });
+    cachedAxiosMock.onGet(getAccountUrl('partial_user')).reply(200, {
+      profile_image: { has_image: false },
+      name: 'Account Name',
+    }, {});
+
+    await service.hydrateAuthenticatedUser({ fields: ['profileImage', 'country'] });
+    expect(service.getAuthenticatedUser()).toEqual({
+      ...user,
+      username: 'partial_user',
+      profileImage: { hasImage: false },
+    });
+  });
+
+  it('should log failures and report them through the status', async () => {
+    service.setAuthenticatedUser({ ...user, username: 'failing_user' });
+    cachedAxiosMock.onGet(getAccountUrl('failing_user')).reply(500);
+
+    await expect(service.hydrateAuthenticatedUser()).rejects.toThrow();
+    expect(service.getUserHydrationStatus()).toEqual('error');
+    expect(service.getAuthenticatedUser()).toEqual({ ...user, username: 'failing_user' });
+    expect(mockLoggingService.logError).toHaveBeenCalled();
+    expect(service.publish).toHaveBeenLastCalledWith(AUTHENTICATED_USER_HYDRATION_CHANGED, { status: 'error' });
   });
 });
 
@@ -885,9 +943,425 @@ describe('fetchAuthenticatedUser', () => {
       expectSingleCallToJwtTokenRefresh();
     });
   });
+
+  it('maps the claims of the token as configured', async () => {
+    const mappingService = new AxiosJwtAuthService({
+      ...authOptions,
+      config: {
+        ...authOptions.config,
+        AUTHENTICATED_USER_CLAIMS: {
+          userId: 'preferred_username',
+          isStaff: claims => claims.administrator === false,
+          administrator: null,
+        },
+      },
+    });
+    setJwtCookieTo(jwtTokens.valid.encoded);
+
+    expect(await mappingService.fetchAuthenticatedUser()).toEqual({
+      userId: 'test',
+      username: 'test',
+      roles: [],
+      isStaff: true,
+    });
+    expect(mockLoggingService.setCustomAttribute).toHaveBeenCalledWith('userId', 'test');
+  });
 });
 
 // These tests all make real network calls to http://httpbin.org.
+describe('proactive token refresh', () => {
+  const publish = jest.fn();
+  const flushTimers = () => new Promise(resolve => { setTimeout(resolve, 0); });
+  let schedulingService;
+  let schedulingTokenAxiosMock;
+
+  // The service schedules the refresh of the token found in the cookie as soon as it's created.
+  const createSchedulingService = () => {
+    schedulingService = new AxiosJwtAuthService({
+      ...authOptions,
+      config: { ...authOptions.config, ACCESS_TOKEN_REFRESH_LEAD_SECONDS: '60' },
+      publish,
+    });
+    schedulingTokenAxiosMock = new MockAdapter(schedulingService.getJwtTokenService().getHttpClient());
+    schedulingTokenAxiosMock.onPost().reply(() => {
+      setJwtCookieTo(jwtTokens.valid.encoded);
+      return [200];
+    });
+  };
+
+  beforeEach(() => {
+    publish.mockReset();
+    // Expires within the lead time, so the refresh is due right away.
+    const expiringToken = { ...jwtTokens.valid.decoded, exp: (Date.now() / 1000) + 30 };
+    setJwtCookieTo(`header.${btoa(JSON.stringify(expiringToken))}`);
+  });
+
+  afterEach(() => {
+    if (schedulingService) {
+      schedulingService.destroy();
+      schedulingService = null;
+    }
+    delete global.document.hidden;
+  });
+
+  it('refreshes the token before it expires and publishes the refresh', async () => {
+    createSchedulingService();
+    await flushTimers();
+    await flushTimers();
+
+    expect(schedulingTokenAxiosMock.history.post.length).toBe(1);
+    expect(publish).toHaveBeenCalledWith('ACCESS_TOKEN.REFRESHED', { exp: jwtTokens.valid.decoded.exp });
+    // The next refresh is scheduled for the new token, a day from now.
+    await flushTimers();
+    expect(schedulingTokenAxiosMock.history.post.length).toBe(1);
+  });
+
+  it('waits for the page to be visible', async () => {
+    Object.defineProperty(global.document, 'hidden', { value: true, configurable: true });
+    createSchedulingService();
+    await flushTimers();
+    expect(schedulingTokenAxiosMock.history.post.length).toBe(0);
+
+    Object.defineProperty(global.document, 'hidden', { value: false, configurable: true });
+    global.document.dispatchEvent(new Event('visibilitychange'));
+    await flushTimers();
+    await flushTimers();
+    expect(schedulingTokenAxiosMock.history.post.length).toBe(1);
+  });
+
+  it('stops when the service is destroyed', async () => {
+    createSchedulingService();
+    schedulingService.destroy();
+    await flushTimers();
+
+    expect(schedulingTokenAxiosMock.history.post.length).toBe(0);
+  });
+
+  it('does nothing without a lead time', async () => {
+    const tokenService = service.getJwtTokenService();
+    tokenService.startRefreshScheduler();
+
+    expect(tokenService.refreshSchedulerStarted).toBe(false);
+  });
+});
+
+describe('cross-tab coordination', () => {
+  const publish = jest.fn();
+  let otherTabService;
+
+  const sendFromOtherTab = (message) => {
+    global.dispatchEvent(new StorageEvent('storage', {
+      key: `frontend-platform.channel.frontend-platform.auth.${authOptions.config.ACCESS_TOKEN_COOKIE_NAME}`,
+      newValue: JSON.stringify({ message, nonce: Math.random() }),
+    }));
+  };
+
+  beforeEach(() => {
+    publish.mockReset();
+    otherTabService = new AxiosJwtAuthService({ ...authOptions, publish });
+  });
+
+  afterEach(() => {
+    otherTabService.destroy();
+  });
+
+  it('waits for the refresh announced by another tab instead of refreshing', async () => {
+    setJwtCookieTo(jwtTokens.expired.encoded);
+    sendFromOtherTab({ type: 'refreshing' });
+
+    const tokenPromise = service.getJwtTokenService().getJwtToken();
+    setJwtCookieTo(jwtTokens.valid.encoded);
+    sendFromOtherTab({ type: 'refreshed' });
+
+    expect(await tokenPromise).toEqual(jwtTokens.valid.decoded);
+    expectNoCallToJwtTokenRefresh();
+  });
+
+  it('refreshes if the refresh announced by another tab fails', async () => {
+    setJwtCookieTo(jwtTokens.expired.encoded);
+    setJwtTokenRefreshResponseTo(200, jwtTokens.valid.encoded);
+    sendFromOtherTab({ type: 'refreshing' });
+
+    const tokenPromise = service.getJwtTokenService().getJwtToken();
+    sendFromOtherTab({ type: 'refreshFailed' });
+
+    expect(await tokenPromise).toEqual(jwtTokens.valid.decoded);
+    expectSingleCallToJwtTokenRefresh();
+  });
+
+  it('announces its own refreshes to the other tabs', async () => {
+    jest.spyOn(global.localStorage.__proto__, 'setItem'); // eslint-disable-line no-proto
+    setJwtCookieTo(jwtTokens.expired.encoded);
+    setJwtTokenRefreshResponseTo(200, jwtTokens.valid.encoded);
+
+    await service.getJwtTokenService().getJwtToken();
+
+    const messages = global.localStorage.setItem.mock.calls.map(([, value]) => JSON.parse(value).message);
+    expect(messages).toEqual([{ type: 'refreshing' }, { type: 'refreshed' }]);
+    global.localStorage.setItem.mockRestore();
+  });
+
+  it('updates the authenticated user when another tab logs out', async () => {
+    otherTabService.setAuthenticatedUser(jwtTokens.valid.formatted);
+
+    sendFromOtherTab({ type: 'userChanged', userId: null });
+    await new Promise(resolve => { setTimeout(resolve, 0); });
+
+    expect(otherTabService.getAuthenticatedUser()).toBeNull();
+    expect(publish).toHaveBeenCalledWith('AUTHENTICATED_USER.CHANGED');
+  });
+
+  it('fetches the authenticated user when another tab logs in', async () => {
+    setJwtCookieTo(jwtTokens.valid.encoded);
+
+    sendFromOtherTab({ type: 'userChanged', userId: '12345' });
+    await new Promise(resolve => { setTimeout(resolve, 0); });
+
+    expect(otherTabService.getAuthenticatedUser()).toEqual(expect.objectContaining(jwtTokens.valid.formatted));
+    expect(publish).toHaveBeenCalledWith('AUTHENTICATED_USER.CHANGED');
+  });
+
+  it('ignores a user change it already knows about', async () => {
+    otherTabService.setAuthenticatedUser(jwtTokens.valid.formatted);
+
+    sendFromOtherTab({ type: 'userChanged', userId: '12345' });
+    await new Promise(resolve => { setTimeout(resolve, 0); });
+
+    expect(publish).not.toHaveBeenCalled();
+  });
+});
+
+describe('clock skew', () => {
+  const hourInSeconds = 60 * 60;
+  const encodeToken = decoded => `header.${btoa(JSON.stringify(decoded))}`;
+  let tokenService;
+
+  beforeEach(() => {
+    tokenService = service.getJwtTokenService();
+  });
+
+  afterEach(() => {
+    tokenService.clockSkewSeconds = 0;
+    global.localStorage.clear();
+  });
+
+  it('checks expiry against the server clock measured by the last refresh', async () => {
+    // The server's clock is two hours ahead of the browser's.
+    setJwtCookieTo(null);
+    setJwtTokenRefreshResponseTo(200, jwtTokens.valid.encoded, (Date.now() / 1000) + 2 * hourInSeconds);
+    await tokenService.getJwtToken();
+
+    expect(tokenService.clockSkewSeconds).toBeWithinRange(2 * hourInSeconds - 1, 2 * hourInSeconds + 1);
+    expect(Number(global.localStorage.getItem('frontend-platform.clock-skew-seconds'))).toEqual(tokenService.clockSkewSeconds);
+    expect(mockLoggingService.setCustomAttribute).toHaveBeenCalledWith('browserClockSkewSeconds', 2 * hourInSeconds);
+
+    // A token expiring in an hour by the browser's clock expired an hour ago by the server's.
+    setJwtCookieTo(encodeToken({ ...jwtTokens.valid.decoded, exp: (Date.now() / 1000) + hourInSeconds }));
+    await tokenService.getJwtToken();
+    expect(accessTokenAxiosMock.history.post.length).toBe(2);
+  });
+
+  it('does not report a small skew', async () => {
+    setJwtCookieTo(null);
+    setJwtTokenRefreshResponseTo(200, jwtTokens.valid.encoded, (Date.now() / 1000) + 5);
+    await tokenService.getJwtToken();
+
+    expect(mockLoggingService.setCustomAttribute).not.toHaveBeenCalled();
+  });
+
+  it('considers tokens expired within the safety margin', () => {
+    const token = { exp: (Date.now() / 1000) + 30 };
+
+    expect(AxiosJwtTokenService.isTokenExpired(token)).toBe(false);
+    expect(AxiosJwtTokenService.isTokenExpired(token, { marginSeconds: 60 })).toBe(true);
+    expect(AxiosJwtTokenService.isTokenExpired(token, { clockSkewSeconds: 60 })).toBe(true);
+    expect(AxiosJwtTokenService.isTokenExpired(token, { clockSkewSeconds: -60, marginSeconds: 60 })).toBe(false);
+    expect(AxiosJwtTokenService.isTokenExpired(null)).toBe(true);
+  });
+
+  it('reads the expiry margin from the config', () => {
+    const marginService = new AxiosJwtAuthService({
+      ...authOptions,
+      config: { ...authOptions.config, ACCESS_TOKEN_EXPIRY_MARGIN_SECONDS: '60' },
+    });
+
+    expect(marginService.getJwtTokenService().isTokenExpired({ exp: (Date.now() / 1000) + 30 })).toBe(true);
+    marginService.destroy();
+  });
+});
+
+describe('refresh retry policy', () => {
+  const publish = jest.fn();
+  let retryingService;
+  let retryingTokenAxiosMock;
+
+  beforeEach(() => {
+    publish.mockReset();
+    setJwtCookieTo(null);
+    retryingService = new AxiosJwtAuthService({ ...authOptions, publish });
+    const retryingTokenAxios = retryingService.getJwtTokenService().getHttpClient();
+    retryingTokenAxios.defaults.maxRetries = 2;
+    retryingTokenAxiosMock = new MockAdapter(retryingTokenAxios);
+  });
+
+  afterEach(() => {
+    retryingService.destroy();
+  });
+
+  it('retries server errors', async () => {
+    retryingTokenAxiosMock.onPost().replyOnce(503);
+    retryingTokenAxiosMock.onPost().replyOnce(() => {
+      setJwtCookieTo(jwtTokens.valid.encoded);
+      return [200];
+    });
+
+    expect(await retryingService.fetchAuthenticatedUser()).toEqual(expect.objectContaining({ userId: '12345' }));
+    expect(retryingTokenAxiosMock.history.post.length).toBe(2);
+  });
+
+  it('never retries a 401', async () => {
+    retryingTokenAxiosMock.onPost().reply(401);
+
+    expect(await retryingService.fetchAuthenticatedUser()).toBeNull();
+    expect(retryingTokenAxiosMock.history.post.length).toBe(1);
+    expect(publish).not.toHaveBeenCalledWith('ACCESS_TOKEN.REFRESH_FAILED', expect.anything());
+  });
+
+  it('rejects with a TokenRefreshError and publishes the failure once the retries are exhausted', async () => {
+    retryingTokenAxiosMock.onPost().networkError();
+
+    const error = await retryingService.fetchAuthenticatedUser().catch(e => e);
+
+    expect(retryingTokenAxiosMock.history.post.length).toBe(3);
+    expect(error).toBeInstanceOf(TokenRefreshError);
+    expect(error.reason).toEqual('network');
+    expect(error.customAttributes).toEqual(expect.objectContaining({
+      tokenRefreshFailureReason: 'network',
+      httpErrorRequestUrl: 'http://localhost:18000/login_refresh',
+    }));
+    expect(publish).toHaveBeenCalledWith('ACCESS_TOKEN.REFRESH_FAILED', { error, reason: 'network' });
+  });
+
+  it('does not retry other client errors', async () => {
+    retryingTokenAxiosMock.onPost().reply(403);
+
+    const error = await retryingService.fetchAuthenticatedUser().catch(e => e);
+
+    expect(retryingTokenAxiosMock.history.post.length).toBe(1);
+    expect(error.reason).toEqual('rejected');
+  });
+
+  it('gives a reason when the refresh succeeds without a cookie', async () => {
+    retryingTokenAxiosMock.onPost().reply(200);
+
+    const error = await retryingService.fetchAuthenticatedUser().catch(e => e);
+
+    expect(error.reason).toEqual('missing-cookie');
+    expect(error.message).toEqual('Access token is still null after successful refresh.');
+  });
+});
+
+describe('Authorization header', () => {
+  const apiUrl = 'http://api.example.com';
+  let headerService;
+  let headerAxiosMock;
+  let headerTokenAxiosMock;
+
+  const createHeaderService = (config) => {
+    headerService = new AxiosJwtAuthService({ ...authOptions, config: { ...authOptions.config, ...config } });
+    headerAxiosMock = new MockAdapter(headerService.getAuthenticatedHttpClient());
+    headerAxiosMock.onAny().reply(200);
+    headerTokenAxiosMock = new MockAdapter(headerService.getJwtTokenService().getHttpClient());
+  };
+
+  afterEach(() => {
+    headerService.destroy();
+  });
+
+  it('sends the token in the header of requests which ask for it', async () => {
+    createHeaderService({});
+    setJwtCookieTo(jwtTokens.valid.encoded);
+
+    await headerService.getAuthenticatedHttpClient().get(mockApiEndpointPath, { authorizationScheme: 'Bearer' });
+
+    const request = headerAxiosMock.history.get[0];
+    expect(request.headers.Authorization).toEqual(`Bearer ${jwtTokens.valid.encoded}`);
+    expect(request.headers['USE-JWT-COOKIE']).toBeUndefined();
+  });
+
+  it('sends the token in the header of requests to the configured base URLs', async () => {
+    createHeaderService({ AUTHORIZATION_HEADER_SCHEMES: { [apiUrl]: 'JWT' } });
+    setJwtCookieTo(jwtTokens.valid.encoded);
+    const headerClient = headerService.getAuthenticatedHttpClient();
+
+    await headerClient.get('/courses', { baseURL: apiUrl });
+    await headerClient.get(mockApiEndpointPath);
+
+    expect(headerAxiosMock.history.get[0].headers.Authorization).toEqual(`JWT ${jwtTokens.valid.encoded}`);
+    expect(headerAxiosMock.history.get[1].headers.Authorization).toBeUndefined();
+    expectRequestToHaveJwtAuth(headerAxiosMock.history.get[1]);
+  });
+
+  it('does not send the token to other hosts or paths that merely share a prefix', async () => {
+    createHeaderService({ AUTHORIZATION_HEADER_SCHEMES: { [`${apiUrl}/api`]: 'JWT' } });
+    setJwtCookieTo(jwtTokens.valid.encoded);
+    const headerClient = headerService.getAuthenticatedHttpClient();
+
+    await headerClient.get(`${apiUrl}/api/courses`);
+    await headerClient.get('http://api.example.com.attacker.net/api/courses');
+    await headerClient.get(`${apiUrl}/apiary`);
+
+    expect(headerAxiosMock.history.get[0].headers.Authorization).toEqual(`JWT ${jwtTokens.valid.encoded}`);
+    expect(headerAxiosMock.history.get[1].headers.Authorization).toBeUndefined();
+    expect(headerAxiosMock.history.get[2].headers.Authorization).toBeUndefined();
+  });
+
+  describe('with the token stored in memory', () => {
+    beforeEach(() => {
+      setJwtCookieTo(null);
+      createHeaderService({ ACCESS_TOKEN_STORAGE: 'memory' });
+    });
+
+    it('keeps the token of the refresh response and sends it in a JWT header', async () => {
+      headerTokenAxiosMock.onPost().reply(200, { access_token: jwtTokens.valid.encoded });
+      const headerClient = headerService.getAuthenticatedHttpClient();
+
+      await headerClient.get(mockApiEndpointPath);
+      await headerClient.get(mockApiEndpointPath);
+
+      expect(headerTokenAxiosMock.history.post.length).toBe(1);
+      headerAxiosMock.history.get.forEach((request) => {
+        expect(request.headers.Authorization).toEqual(`JWT ${jwtTokens.valid.encoded}`);
+        expect(request.headers['USE-JWT-COOKIE']).toBeUndefined();
+      });
+      expect(mockCookies.get).not.toHaveBeenCalled();
+    });
+
+    it('only sends the token to the servers of the platform by default', async () => {
+      headerTokenAxiosMock.onPost().reply(200, { access_token: jwtTokens.valid.encoded });
+      const headerClient = headerService.getAuthenticatedHttpClient();
+
+      await headerClient.get(`${process.env.LMS_BASE_URL}/api/user/v1/me`);
+      await headerClient.get(`${apiUrl}/courses`);
+      await headerClient.get('https://third-party.example.org/track');
+
+      expect(headerAxiosMock.history.get[0].headers.Authorization).toEqual(`JWT ${jwtTokens.valid.encoded}`);
+      expect(headerAxiosMock.history.get[1].headers.Authorization).toBeUndefined();
+      expect(headerAxiosMock.history.get[2].headers.Authorization).toBeUndefined();
+    });
+
+    it('forgets the token when the refresh endpoint logs the user out', async () => {
+      headerTokenAxiosMock.onPost().replyOnce(200, { access_token: jwtTokens.expired.encoded });
+      headerTokenAxiosMock.onPost().replyOnce(401);
+
+      await headerService.fetchAuthenticatedUser();
+      expect(headerService.getJwtTokenService().getEncodedJwtToken()).toEqual(jwtTokens.expired.encoded);
+      expect(await headerService.fetchAuthenticatedUser()).toBeNull();
+      expect(headerService.getJwtTokenService().getEncodedJwtToken()).toBeNull();
+    });
+  });
+});
+
 describe('Cache Functionality', () => {
   const getUrl = 'https://jsonplaceholder.typicode.com/posts/1';
   const postUrl = 'https://jsonplaceholder.typicode.com/posts';
@@ -3,16 +3,100 @@ import jwtDecode from 'jwt-decode';
 import axios from 'axios';
 import { logFrontendAuthError, processAxiosErrorAndThrow } from './utils';
 import createRetryInterceptor from './interceptors/createRetryInterceptor';
+import TokenRefreshError from './TokenRefreshError';
+import { createCookieTokenStorage } from './tokenStorage';
+
+// How long a tab waits for the refresh another tab announced before making its own.
+const OTHER_TAB_REFRESH_TIMEOUT_MILLISECONDS = 10000;
+// Scheduled refreshes happen up to this much earlier at random, so that when several tabs share
+// the same token, one of them refreshes it first and the others reschedule.
+const MAX_SCHEDULE_JITTER_MILLISECONDS = 5000;
+// The measured clock skew is saved so that it applies from the first check of the next page load.
+const CLOCK_SKEW_STORAGE_KEY = 'frontend-platform.clock-skew-seconds';
+// Skew beyond this is reported to the logging service, since it usually means a misset clock.
+const EXCESSIVE_CLOCK_SKEW_SECONDS = 60;
+
+// Failures of the network or the server are worth retrying, but not the refresh endpoint's
+// verdict on the session, such as the 401 of a logged out user.
+const isRetriableRefreshError = error => !error.response || error.response.status >= 500;
+
+// Exponential backoff with "full jitter": each retry waits a random time up to the exponential
+// delay, so that the tabs and clients which failed together don't retry together.
+const getRefreshBackoffMilliseconds = nthRetry => Math.round(Math.random() * Math.min(8000, 500 * 2 ** nthRetry));
+
+function getRefreshFailureReason(error) {
+  if (!error.response) {
+    return 'network';
+  }
+  return error.response.status >= 500 ? 'server' : 'rejected';
+}
+
+function readClockSkewSeconds() {
+  try {
+    return Number(global.localStorage.getItem(CLOCK_SKEW_STORAGE_KEY)) || 0;
+  } catch (e) {
+    // Local storage is unavailable on the server and in some private browsing modes.
+    return 0;
+  }
+}
+
+function writeClockSkewSeconds(clockSkewSeconds) {
+  try {
+    global.localStorage.setItem(CLOCK_SKEW_STORAGE_KEY, String(clockSkewSeconds));
+  } catch (e) {
+    // Local storage is unavailable in some private browsing modes.
+  }
+}
 
 export default class AxiosJwtTokenService {
-  static isTokenExpired(token) {
-    return !token || token.exp < Date.now() / 1000;
+  /**
+   * Returns whether a token is missing or expired.  Token expiries are set by the server's clock,
+   * which the browser's may not agree with.
+   *
+   * @param {Object|null} token
+   * @param {Object} [options]
+   * @param {number} [options.clockSkewSeconds=0] How far the server's clock is ahead of the
+   * browser's.  Negative if it's behind.
+   * @param {number} [options.marginSeconds=0] How long before its expiry a token is considered
+   * expired, so that it doesn't expire on its way to the server.
+   * @returns {boolean}
+   */
+  static isTokenExpired(token, { clockSkewSeconds = 0, marginSeconds = 0 } = {}) {
+    return !token || token.exp - marginSeconds < Date.now() / 1000 + clockSkewSeconds;
   }
 
-  constructor(loggingService, tokenCookieName, tokenRefreshEndpoint) {
+  /**
+   * @param {Object} loggingService
+   * @param {string} tokenCookieName
+   * @param {string} tokenRefreshEndpoint
+   * @param {string|Object} [cookies] The cookies of the incoming request, when rendering on the
+   * server.  Defaults to the browser's cookies.
+   * @param {Object} [options]
+   * @param {number|null} [options.refreshLeadSeconds=null] How long before the token expires the
+   * refresh scheduler refreshes it.  See `startRefreshScheduler`.
+   * @param {function} [options.onRefresh] Called with the decoded token after each successful
+   * refresh.
+   * @param {Object} [options.channel] A channel to the other tabs, as created by
+   * `createCrossTabChannel`.  When given, a tab about to refresh the token announces it, and the
+   * other tabs wait for the new cookie instead of refreshing it too.
+   * @param {number} [options.expiryMarginSeconds=0] How long before its expiry a token is
+   * refreshed.  See `isTokenExpired`.
+   * @param {function} [options.onRefreshFailure] Called with the `TokenRefreshError` of each
+   * failed refresh.
+   * @param {Object} [options.tokenStorage] Where the encoded token is kept, as created by the
+   * functions of `tokenStorage`.  Defaults to the `tokenCookieName` cookie.
+   */
+  constructor(loggingService, tokenCookieName, tokenRefreshEndpoint, cookies, options = {}) {
     this.loggingService = loggingService;
     this.tokenCookieName = tokenCookieName;
     this.tokenRefreshEndpoint = tokenRefreshEndpoint;
+    this.refreshLeadSeconds = options.refreshLeadSeconds || null;
+    this.onRefresh = options.onRefresh || (() => {});
+    this.onRefreshFailure = options.onRefreshFailure || (() => {});
+    this.channel = options.channel || null;
+    this.expiryMarginSeconds = options.expiryMarginSeconds || 0;
+    // How far the server's clock is ahead of the browser's, as measured by the last refresh.
+    this.clockSkewSeconds = readClockSkewSeconds();
 
     this.httpClient = axios.create();
     // Set withCredentials to true. Enables cross-site Access-Control requests
@@ -20,22 +104,98 @@ export default class AxiosJwtTokenService {
     // certificates. More on MDN:
     // https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest/withCredentials
     this.httpClient.defaults.withCredentials = true;
-    // Add retries to this axios instance
+    // Add retries to this axios instance.  The number of retries is set by the `maxRetries`
+    // default of the client, which is 2 unless changed.
     this.httpClient.interceptors.response.use(
       response => response,
-      createRetryInterceptor({ httpClient: this.httpClient }),
+      createRetryInterceptor({
+        httpClient: this.httpClient,
+        shouldRetry: isRetriableRefreshError,
+        getBackoffMilliseconds: getRefreshBackoffMilliseconds,
+      }),
     );
 
-    this.cookies = new Cookies();
+    this.cookies = new Cookies(cookies);
+    this.tokenStorage = options.tokenStorage || createCookieTokenStorage(this.cookies, this.tokenCookieName);
     this.refreshRequestPromises = {};
+
+    this.refreshSchedulerStarted = false;
+    this.refreshTimeout = null;
+    this.handleVisibilityChange = () => this.scheduleRefresh();
+
+    // The refresh announced by another tab, if any, as `{ promise, settle }`.
+    this.otherTabRefresh = null;
+    this.removeChannelListener = this.channel
+      ? this.channel.addListener(message => this.handleChannelMessage(message))
+      : () => {};
+  }
+
+  /**
+   * Stops listening to the other tabs.
+   */
+  close() {
+    this.removeChannelListener();
+    if (this.otherTabRefresh !== null) {
+      this.otherTabRefresh.settle();
+    }
+  }
+
+  handleChannelMessage(message) {
+    switch (message.type) {
+      case 'refreshing':
+        if (this.otherTabRefresh === null) {
+          let resolve;
+          const promise = new Promise((r) => { resolve = r; });
+          const timeout = setTimeout(() => this.otherTabRefresh.settle(), OTHER_TAB_REFRESH_TIMEOUT_MILLISECONDS);
+          this.otherTabRefresh = {
+            promise,
+            settle: () => {
+              clearTimeout(timeout);
+              this.otherTabRefresh = null;
+              resolve();
+            },
+          };
+        }
+        break;
+      case 'refreshed':
+        if (this.otherTabRefresh !== null) {
+          this.otherTabRefresh.settle();
+        }
+        // The cookie is shared, so the next refresh is now due later than scheduled.
+        this.scheduleRefresh();
+        break;
+      case 'refreshFailed':
+        if (this.otherTabRefresh !== null) {
+          this.otherTabRefresh.settle();
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  postToOtherTabs(message) {
+    if (this.channel) {
+      this.channel.postMessage(message);
+    }
   }
 
   getHttpClient() {
     return this.httpClient;
   }
 
+  /**
+   * Returns the encoded token, as sent to the servers which expect it in an `Authorization`
+   * header, or null if there is none.  Unlike `getJwtToken`, doesn't refresh it.
+   *
+   * @returns {string|null}
+   */
+  getEncodedJwtToken() {
+    return this.tokenStorage.get();
+  }
+
   decodeJwtCookie() {
-    const cookieValue = this.cookies.get(this.tokenCookieName);
+    const cookieValue = this.tokenStorage.get();
 
     if (cookieValue) {
       try {
@@ -64,6 +224,9 @@ export default class AxiosJwtTokenService {
             if (axiosResponse.data && axiosResponse.data.response_epoch_seconds) {
               responseServerEpochSeconds = axiosResponse.data.response_epoch_seconds;
             }
+            if (axiosResponse.data && axiosResponse.data.access_token) {
+              this.tokenStorage.set(axiosResponse.data.access_token);
+            }
           } catch (error) {
             processAxiosErrorAndThrow(error);
           }
@@ -72,38 +235,48 @@ export default class AxiosJwtTokenService {
           if (userIsUnauthenticated) {
             // Clean up the cookie if it exists to eliminate any situation
             // where the cookie is not expired but the jwt is expired.
-            this.cookies.remove(this.tokenCookieName);
+            this.tokenStorage.remove();
             const decodedJwtToken = null;
             return decodedJwtToken;
           }
 
-          // TODO: Network timeouts and other problems will end up in
-          // this block of code. We could add logic for retrying token
-          // refreshes if we wanted to.
-          throw error;
+          // Network timeouts and server errors end up here once the retry interceptor has given up.
+          throw new TokenRefreshError(error.message, getRefreshFailureReason(error), error.customAttributes);
         }
 
         const browserEpochSeconds = Date.now() / 1000;
         const browserDriftSeconds = responseServerEpochSeconds > 0
           ? Math.abs(browserEpochSeconds - responseServerEpochSeconds)
           : null;
+        if (responseServerEpochSeconds > 0) {
+          this.recordClockSkew(responseServerEpochSeconds - browserEpochSeconds);
+        }
 
-        const decodedJwtToken = this.decodeJwtCookie();
+        let decodedJwtToken;
+        try {
+          decodedJwtToken = this.decodeJwtCookie();
+        } catch (error) {
+          throw new TokenRefreshError(error.message, 'malformed-cookie', error.customAttributes);
+        }
 
         if (!decodedJwtToken) {
           // This is an unexpected case. The refresh endpoint should set the
           //   cookie that is needed.
           // For more details, see:
           //   docs/decisions/0005-token-null-after-successful-refresh.rst
-          const error = new Error('Access token is still null after successful refresh.');
-          error.customAttributes = { axiosResponse, browserDriftSeconds, browserEpochSeconds };
-          throw error;
+          throw new TokenRefreshError(
+            'Access token is still null after successful refresh.',
+            'missing-cookie',
+            { axiosResponse, browserDriftSeconds, browserEpochSeconds },
+          );
         }
 
+        this.onRefresh(decodedJwtToken);
+        this.scheduleRefresh(decodedJwtToken);
         return decodedJwtToken;
       };
 
-      this.refreshRequestPromises[this.tokenCookieName] = makeRefreshRequest().finally(() => {
+      this.refreshRequestPromises[this.tokenCookieName] = this.coordinateRefresh(makeRefreshRequest).finally(() => {
         delete this.refreshRequestPromises[this.tokenCookieName];
       });
     }
@@ -111,10 +284,126 @@ export default class AxiosJwtTokenService {
     return this.refreshRequestPromises[this.tokenCookieName];
   }
 
+  /**
+   * Returns whether a token is missing or expired, according to the server's clock as measured by
+   * the last refresh, and taking the expiry margin into account.
+   *
+   * @param {Object|null} token
+   * @returns {boolean}
+   */
+  isTokenExpired(token) {
+    return AxiosJwtTokenService.isTokenExpired(token, {
+      clockSkewSeconds: this.clockSkewSeconds,
+      marginSeconds: this.expiryMarginSeconds,
+    });
+  }
+
+  recordClockSkew(clockSkewSeconds) {
+    this.clockSkewSeconds = clockSkewSeconds;
+    writeClockSkewSeconds(clockSkewSeconds);
+    if (Math.abs(clockSkewSeconds) > EXCESSIVE_CLOCK_SKEW_SECONDS) {
+      this.loggingService.setCustomAttribute('browserClockSkewSeconds', Math.round(clockSkewSeconds));
+    }
+  }
+
+  // Waits for the refresh announced by another tab, if any, and uses its token.  Otherwise, or if
+  // the other tab failed, makes the refresh request, letting the other tabs know.
+  async coordinateRefresh(makeRefreshRequest) {
+    if (this.otherTabRefresh !== null) {
+      await this.otherTabRefresh.promise;
+      try {
+        const decodedJwtToken = this.decodeJwtCookie();
+        if (!this.isTokenExpired(decodedJwtToken)) {
+          return decodedJwtToken;
+        }
+      } catch (e) {
+        // A malformed cookie is replaced by the refresh below.
+      }
+    }
+
+    this.postToOtherTabs({ type: 'refreshing' });
+    try {
+      const decodedJwtToken = await makeRefreshRequest();
+      this.postToOtherTabs({ type: 'refreshed' });
+      return decodedJwtToken;
+    } catch (e) {
+      this.postToOtherTabs({ type: 'refreshFailed' });
+      this.onRefreshFailure(e);
+      throw e;
+    }
+  }
+
+  /**
+   * Starts refreshing the token `refreshLeadSeconds` before it expires, so that the refresh isn't
+   * on the critical path of the next request.  Does nothing if `refreshLeadSeconds` isn't set, or
+   * outside of the browser.
+   *
+   * Scheduled refreshes share the in-flight request of any other refresh.  They are paused while
+   * the page is hidden, and happen as soon as the page is visible again if the token expired or is
+   * about to in the meantime.  Nothing is scheduled while there is no token: the next refresh,
+   * such as the one made after logging in, schedules the following one.
+   */
+  startRefreshScheduler() {
+    if (this.refreshLeadSeconds === null || typeof window === 'undefined' || this.refreshSchedulerStarted) {
+      return;
+    }
+    this.refreshSchedulerStarted = true;
+    global.document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.scheduleRefresh();
+  }
+
+  /**
+   * Stops the refresh scheduler started by `startRefreshScheduler`.
+   */
+  stopRefreshScheduler() {
+    if (!this.refreshSchedulerStarted) {
+      return;
+    }
+    this.refreshSchedulerStarted = false;
+    global.document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    clearTimeout(this.refreshTimeout);
+    this.refreshTimeout = null;
+  }
+
+  // Schedules the next refresh of the given token, or of the token in the cookie, replacing any
+  // refresh scheduled before.
+  scheduleRefresh(decodedJwtToken) {
+    clearTimeout(this.refreshTimeout);
+    this.refreshTimeout = null;
+    if (!this.refreshSchedulerStarted || global.document.hidden) {
+      return;
+    }
+
+    let token = decodedJwtToken;
+    if (token === undefined) {
+      try {
+        token = this.decodeJwtCookie();
+      } catch (e) {
+        // A malformed cookie is logged and replaced by the next request's refresh.
+        token = null;
+      }
+    }
+    if (!token) {
+      return;
+    }
+
+    const jitter = this.channel
+      ? Math.random() * Math.min(MAX_SCHEDULE_JITTER_MILLISECONDS, this.refreshLeadSeconds * 500)
+      : 0;
+    const expiry = token.exp - this.clockSkewSeconds - this.expiryMarginSeconds;
+    const delay = Math.max(0, (expiry - this.refreshLeadSeconds) * 1000 - Date.now() - jitter);
+    this.refreshTimeout = setTimeout(() => {
+      this.refreshTimeout = null;
+      // A failed refresh isn't rescheduled right away, since the token is about to expire: the
+      // next request refreshes it lazily instead, and a successful refresh resumes the schedule.
+      this.refresh().catch((e) => logFrontendAuthError(this.loggingService, e));
+    }, delay);
+  }
+
   async getJwtToken(forceRefresh = false) {
     try {
       const decodedJwtToken = this.decodeJwtCookie(this.tokenCookieName);
-      if (!AxiosJwtTokenService.isTokenExpired(decodedJwtToken) && !forceRefresh) {
+      if (!this.isTokenExpired(decodedJwtToken) && !forceRefresh) {
         return decodedJwtToken;
       }
     } catch (e) {
@@ -123,6 +412,13 @@ export default class AxiosJwtTokenService {
       logFrontendAuthError(this.loggingService, e);
     }
 
+    // The refresh endpoint sets the new token as a cookie in the browser, so there is no point in
+    // calling it while rendering on the server.  The user is treated as anonymous until the client
+    // takes over.
+    if (typeof window === 'undefined') {
+      return null;
+    }
+
     try {
       return await this.refresh();
     } catch (e) {
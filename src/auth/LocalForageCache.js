@@ -12,10 +12,17 @@ import axios from 'axios';
 /**
  * Async function to configure localforage and setup the cache
  *
+ * When rendering on the server, where localforage's storage drivers aren't available, resolves
+ * to an axios instance without a cache.
+ *
  * @returns {Promise} A promise that, when resolved, returns an axios instance configured to
  * use localforage as a cache.
  */
 export default async function configureCache() {
+  if (typeof window === 'undefined') {
+    return axios.create();
+  }
+
   // Register the imported `memoryDriver` to `localforage`
   await localforage.defineDriver(memoryDriver);
 
@@ -1,6 +1,8 @@
 import axios from 'axios';
 import PropTypes from 'prop-types';
 import { ensureDefinedConfig } from '../utils';
+import { mapUserClaims } from './userClaims';
+import { AUTHENTICATED_USER_HYDRATION_CHANGED } from './interface';
 
 const userPropTypes = PropTypes.shape({
   userId: PropTypes.string.isRequired,
@@ -86,8 +88,16 @@ class MockAuthService {
    * @param {string} options.config.ACCESS_TOKEN_COOKIE_NAME
    * @param {string} options.config.CSRF_TOKEN_API_PATH
    * @param {Object} options.config.hydratedAuthenticatedUser
-   * @param {Object} options.config.authenticatedUser
+   * @param {Object} options.config.authenticatedUser The mock user, used as it is.  Unlike
+   * `AxiosJwtAuthService`, which always maps the claims of the access token, the mock doesn't apply
+   * `AUTHENTICATED_USER_CLAIMS` to it: it's a UserData object already, whose fields aren't named
+   * after claims.  Give `authenticatedUserClaims` instead to test a mapping.
+   * @param {Object} options.config.authenticatedUserClaims The claims of a mock access token.  If
+   * no `authenticatedUser` is given, it's made of these claims, mapped like `AxiosJwtAuthService`
+   * does according to `AUTHENTICATED_USER_CLAIMS`.
+   * @param {Object} options.config.AUTHENTICATED_USER_CLAIMS
    * @param {Object} options.loggingService requires logError and logInfo methods
+   * @param {function} [options.publish] Publishes the events of `hydrateAuthenticatedUser`.
    */
   constructor(options) {
     this.authenticatedHttpClient = null;
@@ -98,12 +108,20 @@ class MockAuthService {
 
     this.config = options.config;
     this.loggingService = options.loggingService;
+    this.publish = options.publish || (() => {});
 
     // Mock user
     this.authenticatedUser = this.config.authenticatedUser ? this.config.authenticatedUser : null;
+    if (!this.authenticatedUser && this.config.authenticatedUserClaims) {
+      this.authenticatedUser = mapUserClaims(
+        this.config.authenticatedUserClaims,
+        this.config.AUTHENTICATED_USER_CLAIMS,
+      );
+    }
     this.hydratedAuthenticatedUser = this.config.hydratedAuthenticatedUser
       ? this.config.hydratedAuthenticatedUser
       : {};
+    this.userHydrationStatus = null;
 
     this.authenticatedHttpClient = axios.create();
     this.httpClient = axios.create();
@@ -272,14 +290,36 @@ class MockAuthService {
    * console.log(authenticatedUser); // Will contain additional user information
    * ```
    *
+   * Like a real auth service, it merges only the given `fields` if there are some, and publishes
+   * the change of the hydration status.
+   *
+   * @param {Object} [options]
+   * @param {Array<string>} [options.fields]
    * @returns {Promise<null>}
    */
-  hydrateAuthenticatedUser = jest.fn(() => {
+  hydrateAuthenticatedUser = jest.fn(({ fields } = {}) => {
     const user = this.getAuthenticatedUser();
     if (user !== null) {
-      this.setAuthenticatedUser({ ...user, ...this.hydratedAuthenticatedUser });
+      const hydratedFields = fields
+        ? Object.fromEntries(fields
+          .filter(field => field in this.hydratedAuthenticatedUser)
+          .map(field => [field, this.hydratedAuthenticatedUser[field]]))
+        : this.hydratedAuthenticatedUser;
+      this.setAuthenticatedUser({ ...user, ...hydratedFields });
+      this.userHydrationStatus = 'done';
+      this.publish(AUTHENTICATED_USER_HYDRATION_CHANGED, { status: 'done' });
     }
   });
+
+  /**
+   * A Jest mock function (jest.fn())
+   *
+   * Returns `done` once `hydrateAuthenticatedUser` was called for an authenticated user, and null
+   * until then.
+   *
+   * @returns {string|null}
+   */
+  getUserHydrationStatus = jest.fn(() => this.userHydrationStatus);
 }
 
 export default MockAuthService;
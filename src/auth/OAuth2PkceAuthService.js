@@ -0,0 +1,682 @@
+import axios from 'axios';
+import jwtDecode from 'jwt-decode';
+import PropTypes from 'prop-types';
+import { logFrontendAuthError } from './utils';
+import { ensureDefinedConfig } from '../utils';
+import createJwtTokenProviderInterceptor from './interceptors/createJwtTokenProviderInterceptor';
+import createProcessAxiosRequestErrorInterceptor from './interceptors/createProcessAxiosRequestErrorInterceptor';
+import TokenRefreshError from './TokenRefreshError';
+import { mapUserClaims } from './userClaims';
+import hydrateUserFrom from './userHydration';
+import { ACCESS_TOKEN_REFRESHED, AUTH_REFRESH_FAILED, AUTHENTICATED_USER_CHANGED } from './interface';
+
+// The authorization requests in progress are saved in session storage, keyed by their state, so
+// that the callback can complete them once the identity provider redirects back.
+const AUTHORIZATION_REQUEST_STORAGE_KEY_PREFIX = 'frontend-platform.oauth2';
+// How long a silent renewal waits for the identity provider to redirect its iframe back.
+const SILENT_RENEW_TIMEOUT_MILLISECONDS = 10000;
+// The access token is renewed this much before it expires, so that it doesn't expire on its way
+// to the server.
+const DEFAULT_RENEW_LEAD_SECONDS = 60;
+
+const optionsPropTypes = {
+  config: PropTypes.shape({
+    BASE_URL: PropTypes.string.isRequired,
+    OAUTH2_AUTHORIZATION_ENDPOINT: PropTypes.string.isRequired,
+    OAUTH2_TOKEN_ENDPOINT: PropTypes.string.isRequired,
+    OAUTH2_CLIENT_ID: PropTypes.string.isRequired,
+  }).isRequired,
+  loggingService: PropTypes.shape({
+    logError: PropTypes.func.isRequired,
+    logInfo: PropTypes.func.isRequired,
+  }).isRequired,
+};
+
+function createRandomString(byteLength = 32) {
+  const bytes = global.crypto.getRandomValues(new Uint8Array(byteLength));
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function base64UrlEncode(bytes) {
+  return global.btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+// The S256 code challenge of RFC 7636: the base64url-encoded SHA-256 digest of the verifier.
+async function createCodeChallenge(codeVerifier) {
+  const digest = await global.crypto.subtle.digest(
+    'SHA-256',
+    Uint8Array.from(codeVerifier, character => character.charCodeAt(0)),
+  );
+  return base64UrlEncode(digest);
+}
+
+function getStorageKey(state) {
+  return `${AUTHORIZATION_REQUEST_STORAGE_KEY_PREFIX}.${state}`;
+}
+
+function getTokenRefreshFailureReason(error) {
+  if (!error.response) {
+    return 'network';
+  }
+  return error.response.status >= 500 ? 'server' : 'rejected';
+}
+
+const ID_TOKEN_CLAIM_MAPPING = {
+  email: 'email',
+  userId: 'sub',
+  username: 'preferred_username',
+  roles: claims => claims.roles || [],
+  administrator: claims => claims.administrator === true,
+  name: 'name',
+};
+
+/**
+ * Maps the claims of an OpenID Connect ID token onto the shape of the authenticated user.
+ *
+ * @ignore
+ * @param {Object} claims
+ * @param {Object} [configuredMapping] The `AUTHENTICATED_USER_CLAIMS` config value, merged over
+ * the default mapping of the standard claims.
+ * @returns {UserData}
+ */
+export function mapIdTokenClaims(claims, configuredMapping) {
+  return mapUserClaims(claims, configuredMapping, ID_TOKEN_CLAIM_MAPPING);
+}
+
+/**
+ * An auth service for deployments behind a standalone OAuth2 / OpenID Connect identity provider,
+ * rather than the LMS.  Users log in with the authorization code flow with PKCE, and the tokens
+ * are kept in memory, never in cookies or local storage.  Authenticated requests send the access
+ * token in a `Bearer` `Authorization` header.
+ *
+ * ```
+ * initialize({
+ *   messages,
+ *   authService: OAuth2PkceAuthService,
+ * });
+ * ```
+ *
+ * The identity provider redirects back to the callback route, `/oauth2/callback` by default, which
+ * must be registered as a redirect URI of the client.  The service handles the route when the
+ * application is initialized: it exchanges the authorization code for tokens, then moves on to
+ * the URL the user was on when they were sent to log in.  The route also starts a login when
+ * visited without an authorization code, so that `getLoginRedirectUrl` can return a plain link.
+ *
+ * Since the tokens are lost when the page is unloaded, the service renews them silently: with the
+ * refresh token if the identity provider issued one, and otherwise with an authorization request
+ * made in a hidden iframe with `prompt=none`, which succeeds as long as the user's session with
+ * the identity provider is active.  The first request of each page load renews them that way, and
+ * they are renewed again shortly before they expire.
+ *
+ * The authenticated user is made of the claims of the ID token: `sub` becomes the `userId`, and
+ * the `AUTHENTICATED_USER_CLAIMS` config value customizes the mapping as it does for
+ * `AxiosJwtAuthService`.
+ *
+ * @implements {AuthService}
+ * @memberof module:Auth
+ */
+class OAuth2PkceAuthService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config
+   * @param {string} options.config.BASE_URL
+   * @param {string} options.config.OAUTH2_AUTHORIZATION_ENDPOINT
+   * @param {string} options.config.OAUTH2_TOKEN_ENDPOINT
+   * @param {string} options.config.OAUTH2_CLIENT_ID
+   * @param {string} [options.config.OAUTH2_SCOPE='openid profile email'] Include `offline_access`
+   * for identity providers which only issue refresh tokens to clients asking for it.
+   * @param {string} [options.config.OAUTH2_REDIRECT_URI] The URL of the callback route.  Defaults
+   * to `${BASE_URL}/oauth2/callback`.
+   * @param {string} [options.config.OAUTH2_SILENT_REDIRECT_URI] The URL the identity provider
+   * redirects the silent renewal iframe to.  Defaults to `OAUTH2_REDIRECT_URI`, but a static page
+   * spares the iframe from loading the whole application.
+   * @param {string} [options.config.OAUTH2_END_SESSION_ENDPOINT] The identity provider's logout
+   * URL.  Defaults to `LOGOUT_URL`.
+   * @param {string} [options.config.OAUTH2_USERINFO_ENDPOINT] The URL `hydrateAuthenticatedUser`
+   * fetches additional user information from.
+   * @param {Array<string>} [options.config.OAUTH2_ALLOWED_REDIRECT_ORIGINS] The origins, other than
+   * those of the page and of `BASE_URL`, which the callback route may move on to after a login.
+   * Any other URL is replaced by `BASE_URL`, so that the route can't be used as an open redirect.
+   * @param {number|string} [options.config.OAUTH2_RENEW_LEAD_SECONDS=60] How long before they
+   * expire the tokens are renewed.
+   * @param {Object} options.loggingService requires logError and logInfo methods
+   * @param {function} [options.publish] Publishes the service's events, such as
+   * `ACCESS_TOKEN_REFRESHED` and `AUTH_REFRESH_FAILED`.  `initialize` passes the platform's
+   * `publish` function.
+   */
+  constructor(options) {
+    this.authenticatedUser = null;
+    this.userHydrationStatus = null;
+    // The tokens of the user, as `{ accessToken, refreshToken, idToken, renewAt }`, where
+    // `renewAt` is in milliseconds since the epoch.
+    this.tokens = null;
+    // Whether the identity provider said the user isn't logged in, in which case the tokens aren't
+    // renewed again until the user logs in or a refresh is forced.
+    this.loginRequired = false;
+    this.renewPromise = null;
+    this.renewTimeout = null;
+    this.renewalSchedulerStarted = true;
+
+    ensureDefinedConfig(options, 'AuthService');
+    PropTypes.checkPropTypes(optionsPropTypes, options, 'options', 'AuthService');
+
+    this.config = options.config;
+    this.loggingService = options.loggingService;
+    this.publish = options.publish || (() => {});
+    this.redirectUri = this.config.OAUTH2_REDIRECT_URI || `${this.config.BASE_URL}/oauth2/callback`;
+    this.renewLeadSeconds = Number(this.config.OAUTH2_RENEW_LEAD_SECONDS) || DEFAULT_RENEW_LEAD_SECONDS;
+
+    this.tokenHttpClient = axios.create();
+    this.authenticatedHttpClient = this.addAuthenticationToHttpClient(axios.create());
+    this.httpClient = axios.create();
+    this.middleware = options.middleware;
+    this.applyMiddleware(options.middleware);
+  }
+
+  /**
+   * Applies middleware to the axios instances in this service.
+   *
+   * @param {Array} middleware Middleware to apply.
+   */
+  applyMiddleware(middleware = []) {
+    try {
+      middleware.forEach((middlewareFn) => {
+        [this.authenticatedHttpClient, this.httpClient].forEach(client => middlewareFn(client));
+      });
+    } catch (error) {
+      logFrontendAuthError(this.loggingService, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the authenticated HTTP client for the service.  This is an axios instance.  Requests
+   * made with it send the access token in a `Bearer` `Authorization` header, unless they set the
+   * `isPublic` option of their config.  Front end caching isn't supported: the `useCache` option
+   * is ignored.
+   *
+   * @returns {HttpClient}
+   */
+  getAuthenticatedHttpClient() {
+    return this.authenticatedHttpClient;
+  }
+
+  /**
+   * Gets the unauthenticated HTTP client for the service.  This is an axios instance.
+   *
+   * @returns {HttpClient}
+   */
+  getHttpClient() {
+    return this.httpClient;
+  }
+
+  /**
+   * Resumes renewing the tokens shortly before they expire.  The service starts doing so when it's
+   * created.
+   */
+  startRefreshScheduler() {
+    this.renewalSchedulerStarted = true;
+    if (this.tokens !== null) {
+      this.scheduleRenewal();
+    }
+  }
+
+  /**
+   * Stops renewing the tokens ahead of their expiry, so that they're only renewed when a request
+   * needs them.  The idle session module does so while the user is idle.
+   */
+  stopRefreshScheduler() {
+    this.renewalSchedulerStarted = false;
+    clearTimeout(this.renewTimeout);
+    this.renewTimeout = null;
+  }
+
+  /**
+   * Stops renewing the tokens.  Called when the service is reset.
+   */
+  destroy() {
+    this.stopRefreshScheduler();
+  }
+
+  /**
+   * Returns a URL which starts a login, with a post-login redirect URL attached as a query
+   * parameter.  The URL is that of the callback route, since the authorization request of a login
+   * is only made when it starts.
+   *
+   * @param {string} redirectUrl The URL the user should be redirected to after logging in.
+   * @returns {string}
+   */
+  getLoginRedirectUrl(redirectUrl = this.config.BASE_URL) {
+    return `${this.redirectUri}?next=${encodeURIComponent(redirectUrl)}`;
+  }
+
+  /**
+   * Redirects the user to the identity provider to log in.
+   *
+   * @param {string} redirectUrl The URL the user should be redirected to after logging in.
+   * @returns {Promise}
+   */
+  async redirectToLogin(redirectUrl = this.config.BASE_URL) {
+    const { url, request } = await this.createAuthorizationRequest(this.redirectUri);
+    try {
+      global.sessionStorage.setItem(getStorageKey(request.state), JSON.stringify({ ...request, redirectUrl }));
+    } catch (e) {
+      // Session storage is unavailable in some private browsing modes, so the callback will fail.
+      logFrontendAuthError(this.loggingService, e);
+    }
+    global.location.assign(url);
+  }
+
+  /**
+   * Builds a URL to the identity provider's logout page, with a post-logout redirect URL attached
+   * as a query parameter.
+   *
+   * @param {string} redirectUrl The URL the user should be redirected to after logging out.
+   * @returns {string}
+   */
+  getLogoutRedirectUrl(redirectUrl = this.config.BASE_URL) {
+    if (!this.config.OAUTH2_END_SESSION_ENDPOINT) {
+      return `${this.config.LOGOUT_URL}?redirect_url=${encodeURIComponent(redirectUrl)}`;
+    }
+    const parameters = new URLSearchParams({
+      client_id: this.config.OAUTH2_CLIENT_ID,
+      post_logout_redirect_uri: redirectUrl,
+    });
+    if (this.tokens && this.tokens.idToken) {
+      parameters.set('id_token_hint', this.tokens.idToken);
+    }
+    return `${this.config.OAUTH2_END_SESSION_ENDPOINT}?${parameters.toString()}`;
+  }
+
+  /**
+   * Forgets the tokens and redirects the user to the identity provider's logout page.
+   *
+   * @param {string} redirectUrl The URL the user should be redirected to after logging out.
+   */
+  redirectToLogout(redirectUrl = this.config.BASE_URL) {
+    const url = this.getLogoutRedirectUrl(redirectUrl);
+    this.clearTokens();
+    global.location.assign(url);
+  }
+
+  /**
+   * If it exists, returns the user data representing the currently authenticated user. If the
+   * user is anonymous, returns null.
+   *
+   * @returns {UserData|null}
+   */
+  getAuthenticatedUser() {
+    return this.authenticatedUser;
+  }
+
+  /**
+   * Sets the authenticated user to the provided value.
+   *
+   * @param {UserData} authUser
+   */
+  setAuthenticatedUser(authUser) {
+    this.authenticatedUser = authUser;
+  }
+
+  /**
+   * Completes the login on the callback route, and otherwise renews the tokens if they are
+   * missing or about to expire.  Resolves to null if the user is unauthenticated.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.forceRefresh=false] Renews the tokens even if they're still valid.
+   * @returns {Promise<UserData>|Promise<null>}
+   */
+  async fetchAuthenticatedUser(options = {}) {
+    if (this.isCallbackRoute()) {
+      await this.handleCallback();
+      return this.getAuthenticatedUser();
+    }
+    if (options.forceRefresh) {
+      this.tokens = this.tokens && { ...this.tokens, renewAt: 0 };
+      this.loginRequired = false;
+    }
+    await this.getAccessToken();
+    return this.getAuthenticatedUser();
+  }
+
+  /**
+   * Ensures a user is authenticated. It will redirect to login when not authenticated.
+   *
+   * @param {string} [redirectUrl=config.BASE_URL] to return user after login when not
+   * authenticated.
+   * @returns {Promise<UserData>}
+   */
+  async ensureAuthenticatedUser(redirectUrl = this.config.BASE_URL) {
+    await this.fetchAuthenticatedUser();
+
+    if (this.getAuthenticatedUser() === null) {
+      await this.redirectToLogin(redirectUrl);
+
+      const unauthorizedError = new Error('Failed to ensure the user is authenticated');
+      unauthorizedError.isRedirecting = true;
+      throw unauthorizedError;
+    }
+
+    return this.getAuthenticatedUser();
+  }
+
+  /**
+   * Fetches additional user information from the identity provider's `OAUTH2_USERINFO_ENDPOINT`,
+   * if it's set, and merges it into the authenticated user.
+   *
+   * @param {Object} [options]
+   * @param {Array<string>} [options.fields] The camel-cased fields to merge.  Defaults to all.
+   * @param {boolean} [options.forceRefresh=false] Unused, since front end caching isn't supported.
+   * @emits AUTHENTICATED_USER_CHANGED
+   * @emits AUTHENTICATED_USER_HYDRATION_CHANGED
+   * @returns {Promise<null>}
+   */
+  async hydrateAuthenticatedUser(options = {}) {
+    if (this.getAuthenticatedUser() !== null && this.config.OAUTH2_USERINFO_ENDPOINT) {
+      await hydrateUserFrom(this, this.config.OAUTH2_USERINFO_ENDPOINT, options);
+    }
+  }
+
+  /**
+   * Returns the status of the latest `hydrateAuthenticatedUser` call: `pending`, `done` or
+   * `error`, or null if the user was never hydrated.
+   *
+   * @returns {string|null}
+   */
+  getUserHydrationStatus() {
+    return this.userHydrationStatus;
+  }
+
+  /**
+   * Resolves to the access token, renewing it first if it's missing or about to expire, or to
+   * null if the user is unauthenticated.
+   *
+   * @ignore
+   * @returns {Promise<string|null>}
+   */
+  async getAccessToken() {
+    if (this.tokens !== null && this.tokens.renewAt > Date.now()) {
+      return this.tokens.accessToken;
+    }
+    // Neither the iframe nor the identity provider's session are available on the server.
+    if (typeof window === 'undefined' || this.loginRequired) {
+      return null;
+    }
+    if (this.renewPromise === null) {
+      this.renewPromise = this.renewTokens().finally(() => {
+        this.renewPromise = null;
+      });
+    }
+    await this.renewPromise;
+    return this.tokens !== null ? this.tokens.accessToken : null;
+  }
+
+  isCallbackRoute() {
+    if (typeof window === 'undefined') {
+      return false;
+    }
+    return `${global.location.origin}${global.location.pathname}` === this.redirectUri.split('?')[0];
+  }
+
+  // Returns the URL the callback route may move on to: the given one if it's on the origin of the
+  // page, of BASE_URL or of OAUTH2_ALLOWED_REDIRECT_ORIGINS, and BASE_URL otherwise.
+  getAllowedRedirectUrl(redirectUrl) {
+    if (!redirectUrl) {
+      return this.config.BASE_URL;
+    }
+    let origin;
+    try {
+      ({ origin } = new URL(redirectUrl, global.location.href));
+    } catch (e) {
+      return this.config.BASE_URL;
+    }
+    const allowedOrigins = [
+      global.location.origin,
+      new URL(this.config.BASE_URL, global.location.href).origin,
+      ...(this.config.OAUTH2_ALLOWED_REDIRECT_ORIGINS || []),
+    ];
+    return allowedOrigins.includes(origin) ? redirectUrl : this.config.BASE_URL;
+  }
+
+  // Completes the login the identity provider redirected back from, or starts one if the route
+  // was visited without an authorization response, as the URL of `getLoginRedirectUrl` is.
+  async handleCallback() {
+    // Silent renewals are completed by the window which opened the iframe, so the application in
+    // the iframe goes no further.
+    if (global.parent !== global) {
+      const silentRenewalError = new Error('Silent OAuth2 renewal callback.');
+      silentRenewalError.isRedirecting = true;
+      throw silentRenewalError;
+    }
+
+    const parameters = new URLSearchParams(global.location.search);
+    const state = parameters.get('state');
+    if (!state) {
+      await this.redirectToLogin(this.getAllowedRedirectUrl(parameters.get('next')));
+      const redirectingError = new Error('Redirecting to the identity provider to log in.');
+      redirectingError.isRedirecting = true;
+      throw redirectingError;
+    }
+
+    let request = null;
+    try {
+      request = JSON.parse(global.sessionStorage.getItem(getStorageKey(state)));
+      global.sessionStorage.removeItem(getStorageKey(state));
+    } catch (e) {
+      // Handled as an unknown state below.
+    }
+    if (request === null) {
+      const error = new Error('OAuth2 callback with an unknown state.');
+      logFrontendAuthError(this.loggingService, error);
+      throw error;
+    }
+    if (parameters.get('error')) {
+      const error = new Error(`OAuth2 authorization failed: ${parameters.get('error')}`);
+      error.customAttributes = { errorDescription: parameters.get('error_description') };
+      logFrontendAuthError(this.loggingService, error);
+      throw error;
+    }
+
+    await this.exchangeAuthorizationCode(parameters.get('code'), request);
+    this.publish(AUTHENTICATED_USER_CHANGED);
+
+    // The application routes to the page the user logged in from without reloading it, which
+    // would lose the tokens, unless that page is on another origin.
+    const redirectUrl = this.getAllowedRedirectUrl(request.redirectUrl);
+    if (new URL(redirectUrl, global.location.href).origin === global.location.origin) {
+      global.history.replaceState(null, '', redirectUrl);
+    } else {
+      global.location.replace(redirectUrl);
+      const redirectingError = new Error('Redirecting to the page the user logged in from.');
+      redirectingError.isRedirecting = true;
+      throw redirectingError;
+    }
+  }
+
+  // Creates an authorization request, as `{ state, nonce, codeVerifier, redirectUri }`, along
+  // with the identity provider URL which makes it.
+  async createAuthorizationRequest(redirectUri, extraParameters = {}) {
+    const request = {
+      state: createRandomString(),
+      nonce: createRandomString(),
+      codeVerifier: createRandomString(48),
+      redirectUri,
+    };
+    const parameters = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.config.OAUTH2_CLIENT_ID,
+      redirect_uri: redirectUri,
+      scope: this.config.OAUTH2_SCOPE || 'openid profile email',
+      state: request.state,
+      nonce: request.nonce,
+      code_challenge: await createCodeChallenge(request.codeVerifier),
+      code_challenge_method: 'S256',
+      ...extraParameters,
+    });
+    return { url: `${this.config.OAUTH2_AUTHORIZATION_ENDPOINT}?${parameters.toString()}`, request };
+  }
+
+  async exchangeAuthorizationCode(code, request) {
+    const response = await this.tokenHttpClient.post(this.config.OAUTH2_TOKEN_ENDPOINT, new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: request.redirectUri,
+      client_id: this.config.OAUTH2_CLIENT_ID,
+      code_verifier: request.codeVerifier,
+    }).toString(), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+    this.setTokens(response.data, request.nonce);
+  }
+
+  // Keeps the tokens of a token endpoint response, and updates the user from the ID token.
+  setTokens(data, nonce) {
+    const idToken = data.id_token || (this.tokens && this.tokens.idToken) || null;
+    const claims = idToken ? jwtDecode(idToken) : null;
+    if (claims === null || (nonce && claims.nonce !== nonce)) {
+      throw new Error('The ID token is missing or wasn\'t issued for this authorization request.');
+    }
+
+    const expiresInSeconds = Number(data.expires_in) || 3600;
+    this.tokens = {
+      accessToken: data.access_token,
+      // Refresh tokens may or may not be rotated.
+      refreshToken: data.refresh_token || (this.tokens && this.tokens.refreshToken) || null,
+      idToken,
+      renewAt: Date.now() + (expiresInSeconds - Math.min(this.renewLeadSeconds, expiresInSeconds / 2)) * 1000,
+    };
+    this.loginRequired = false;
+    this.setAuthenticatedUser(mapIdTokenClaims(claims, this.config.AUTHENTICATED_USER_CLAIMS));
+    this.loggingService.setCustomAttribute('userId', this.getAuthenticatedUser().userId);
+    this.publish(ACCESS_TOKEN_REFRESHED, { exp: Math.floor(Date.now() / 1000) + expiresInSeconds });
+    this.scheduleRenewal();
+  }
+
+  clearTokens() {
+    clearTimeout(this.renewTimeout);
+    this.renewTimeout = null;
+    this.tokens = null;
+    this.setAuthenticatedUser(null);
+  }
+
+  scheduleRenewal() {
+    clearTimeout(this.renewTimeout);
+    if (!this.renewalSchedulerStarted) {
+      return;
+    }
+    this.renewTimeout = setTimeout(() => {
+      this.renewTimeout = null;
+      this.getAccessToken().catch(e => logFrontendAuthError(this.loggingService, e));
+    }, Math.max(0, this.tokens.renewAt - Date.now()));
+  }
+
+  // Renews the tokens with the refresh token if there is one, and otherwise silently.  The user is
+  // anonymous if the identity provider has no session for them anymore.
+  async renewTokens() {
+    const hadUser = this.getAuthenticatedUser() !== null;
+    try {
+      if (this.tokens !== null && this.tokens.refreshToken) {
+        await this.renewTokensWithRefreshToken();
+      } else {
+        await this.renewTokensSilently();
+      }
+    } catch (e) {
+      const userIsUnauthenticated = e.loginRequired || (e.response && e.response.status === 400);
+      if (!userIsUnauthenticated) {
+        const error = e instanceof TokenRefreshError
+          ? e
+          : new TokenRefreshError(e.message, getTokenRefreshFailureReason(e), e.customAttributes);
+        this.publish(AUTH_REFRESH_FAILED, { error, reason: error.reason });
+        logFrontendAuthError(this.loggingService, error);
+        throw error;
+      }
+      this.clearTokens();
+      this.loginRequired = true;
+    }
+    if (hadUser !== (this.getAuthenticatedUser() !== null)) {
+      this.publish(AUTHENTICATED_USER_CHANGED);
+    }
+  }
+
+  async renewTokensWithRefreshToken() {
+    const response = await this.tokenHttpClient.post(this.config.OAUTH2_TOKEN_ENDPOINT, new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: this.tokens.refreshToken,
+      client_id: this.config.OAUTH2_CLIENT_ID,
+    }).toString(), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+    this.setTokens(response.data);
+  }
+
+  // Makes an authorization request with `prompt=none` in a hidden iframe, and completes it once
+  // the identity provider redirects the iframe back to the application's origin.
+  async renewTokensSilently() {
+    const redirectUri = this.config.OAUTH2_SILENT_REDIRECT_URI || this.redirectUri;
+    const { url, request } = await this.createAuthorizationRequest(redirectUri, { prompt: 'none' });
+
+    const parameters = await new Promise((resolve, reject) => {
+      const iframe = global.document.createElement('iframe');
+      iframe.style.display = 'none';
+      iframe.title = 'Silent authentication';
+      const timeout = setTimeout(() => {
+        iframe.remove();
+        reject(new TokenRefreshError('Silent OAuth2 renewal timed out.', 'network'));
+      }, SILENT_RENEW_TIMEOUT_MILLISECONDS);
+      iframe.addEventListener('load', () => {
+        let location;
+        try {
+          location = iframe.contentWindow.location;
+        } catch (e) {
+          // The iframe is still on the identity provider's origin.
+          return;
+        }
+        if (!location.href.startsWith(redirectUri)) {
+          return;
+        }
+        clearTimeout(timeout);
+        iframe.remove();
+        resolve(new URLSearchParams(location.search));
+      });
+      iframe.src = url;
+      global.document.body.appendChild(iframe);
+    });
+
+    if (parameters.get('state') !== request.state) {
+      throw new TokenRefreshError('Silent OAuth2 renewal returned an unknown state.', 'rejected');
+    }
+    const errorCode = parameters.get('error');
+    if (errorCode) {
+      const error = new TokenRefreshError(`Silent OAuth2 renewal failed: ${errorCode}`, 'rejected');
+      // These errors mean the user must interact with the identity provider: they aren't logged in.
+      error.loginRequired = ['login_required', 'interaction_required', 'consent_required'].includes(errorCode);
+      throw error;
+    }
+    await this.exchangeAuthorizationCode(parameters.get('code'), request);
+  }
+
+  /**
+   * Adds the access token and error processing interceptors to an HTTP client instance.
+   *
+   * @ignore
+   * @param {HttpClient} newHttpClient
+   * @returns {HttpClient}
+   */
+  addAuthenticationToHttpClient(newHttpClient) {
+    const httpClient = Object.create(newHttpClient);
+    httpClient.interceptors.request.use(createJwtTokenProviderInterceptor({
+      jwtTokenService: {
+        getJwtToken: () => this.getAccessToken(),
+        getEncodedJwtToken: () => (this.tokens !== null ? this.tokens.accessToken : null),
+      },
+      shouldSkip: axiosRequestConfig => axiosRequestConfig.isPublic,
+      getAuthorizationScheme: () => 'Bearer',
+    }));
+    httpClient.interceptors.response.use(
+      response => response,
+      createProcessAxiosRequestErrorInterceptor({ loggingService: this.loggingService }),
+    );
+    return httpClient;
+  }
+}
+
+export default OAuth2PkceAuthService;
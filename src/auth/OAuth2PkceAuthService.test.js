@@ -0,0 +1,306 @@
+import MockAdapter from 'axios-mock-adapter';
+import { createHash, webcrypto } from 'crypto';
+import OAuth2PkceAuthService, { mapIdTokenClaims } from './OAuth2PkceAuthService';
+
+const config = {
+  BASE_URL: 'http://localhost:8080',
+  LOGOUT_URL: 'http://localhost:18000/logout',
+  OAUTH2_AUTHORIZATION_ENDPOINT: 'https://idp.example.com/authorize',
+  OAUTH2_TOKEN_ENDPOINT: 'https://idp.example.com/token',
+  OAUTH2_CLIENT_ID: 'frontend-app',
+};
+const redirectUri = `${config.BASE_URL}/oauth2/callback`;
+const apiUrl = 'https://api.example.com/courses';
+
+const mockLoggingService = {
+  logError: jest.fn(),
+  logInfo: jest.fn(),
+  setCustomAttribute: jest.fn(),
+};
+
+const createIdToken = claims => `${global.btoa(JSON.stringify({ alg: 'RS256' }))}.${global.btoa(JSON.stringify(claims))}.signature`;
+const idTokenClaims = {
+  sub: 'abc123',
+  preferred_username: 'honor',
+  email: 'honor@example.com',
+  name: 'Honor',
+};
+
+const { location } = global;
+let service;
+let publish;
+let tokenAxiosMock;
+let axiosMock;
+
+const setLocation = (url) => {
+  delete global.location;
+  global.location = Object.assign(new URL(url), { assign: jest.fn(), replace: jest.fn() });
+};
+
+// Visits the login route of the service, and returns the authorization request it saved along
+// with the authorization URL it redirected to.
+const startLogin = async (redirectUrl) => {
+  await service.redirectToLogin(redirectUrl);
+  const authorizationUrl = new URL(global.location.assign.mock.calls[0][0]);
+  const state = authorizationUrl.searchParams.get('state');
+  const request = JSON.parse(global.sessionStorage.getItem(`frontend-platform.oauth2.${state}`));
+  return { authorizationUrl, request };
+};
+
+const replyWithTokens = (request, extraData = {}) => {
+  tokenAxiosMock.onPost(config.OAUTH2_TOKEN_ENDPOINT).replyOnce(200, {
+    access_token: 'access-token',
+    id_token: createIdToken({ ...idTokenClaims, nonce: request.nonce }),
+    expires_in: 3600,
+    ...extraData,
+  });
+};
+
+const logIn = async (extraData) => {
+  const { request } = await startLogin(`${config.BASE_URL}/dashboard`);
+  replyWithTokens(request, extraData);
+  setLocation(`${redirectUri}?code=the-code&state=${request.state}`);
+  await service.fetchAuthenticatedUser();
+  // Where the mocked history.replaceState would have taken the application.
+  setLocation(`${config.BASE_URL}/dashboard`);
+};
+
+beforeAll(() => {
+  Object.defineProperty(global.crypto, 'subtle', { value: webcrypto.subtle, configurable: true });
+});
+
+beforeEach(() => {
+  setLocation(`${config.BASE_URL}/dashboard`);
+  jest.spyOn(global.history, 'replaceState').mockImplementation(() => {});
+  global.sessionStorage.clear();
+  publish = jest.fn();
+  mockLoggingService.logError.mockReset();
+  service = new OAuth2PkceAuthService({ config, loggingService: mockLoggingService, publish });
+  tokenAxiosMock = new MockAdapter(service.tokenHttpClient);
+  axiosMock = new MockAdapter(service.getAuthenticatedHttpClient());
+  axiosMock.onAny().reply(200);
+});
+
+afterEach(() => {
+  service.destroy();
+  global.history.replaceState.mockRestore();
+  global.location = location;
+});
+
+describe('mapIdTokenClaims', () => {
+  it('maps the standard claims onto the user', () => {
+    expect(mapIdTokenClaims({ ...idTokenClaims, roles: ['staff'], administrator: true })).toEqual({
+      userId: 'abc123',
+      username: 'honor',
+      email: 'honor@example.com',
+      name: 'Honor',
+      roles: ['staff'],
+      administrator: true,
+    });
+  });
+  it('applies the configured mapping', () => {
+    expect(mapIdTokenClaims({ ...idTokenClaims, org: 'edX' }, { organization: 'org', name: null })).toEqual({
+      userId: 'abc123',
+      username: 'honor',
+      email: 'honor@example.com',
+      roles: [],
+      administrator: false,
+      organization: 'edX',
+    });
+  });
+});
+
+describe('login', () => {
+  it('links to the callback route, which starts the login', async () => {
+    expect(service.getLoginRedirectUrl('http://localhost:8080/page'))
+      .toEqual(`${redirectUri}?next=${encodeURIComponent('http://localhost:8080/page')}`);
+
+    setLocation(`${redirectUri}?next=${encodeURIComponent('http://localhost:8080/page')}`);
+    const error = await service.fetchAuthenticatedUser().catch(e => e);
+
+    expect(error.isRedirecting).toBe(true);
+    expect(global.location.assign.mock.calls[0][0]).toMatch(/^https:\/\/idp\.example\.com\/authorize\?/);
+  });
+
+  it('only moves on to pages of the allowed origins after a login', async () => {
+    const getSavedRedirectUrl = async (next) => {
+      global.sessionStorage.clear();
+      setLocation(`${redirectUri}?next=${encodeURIComponent(next)}`);
+      await service.fetchAuthenticatedUser().catch(() => {});
+      const state = new URL(global.location.assign.mock.calls[0][0]).searchParams.get('state');
+      return JSON.parse(global.sessionStorage.getItem(`frontend-platform.oauth2.${state}`)).redirectUrl;
+    };
+
+    expect(await getSavedRedirectUrl('https://evil.example/phish')).toEqual(config.BASE_URL);
+    expect(await getSavedRedirectUrl('javascript:alert(1)')).toEqual(config.BASE_URL); // eslint-disable-line no-script-url
+    expect(await getSavedRedirectUrl('/courses')).toEqual('/courses');
+
+    service.config = { ...config, OAUTH2_ALLOWED_REDIRECT_ORIGINS: ['https://learning.example.com'] };
+    expect(await getSavedRedirectUrl('https://learning.example.com/home')).toEqual('https://learning.example.com/home');
+  });
+
+  it('does not leave for a disallowed origin saved with the authorization request', async () => {
+    const { request } = await startLogin('https://evil.example/phish');
+    replyWithTokens(request);
+    setLocation(`${redirectUri}?code=the-code&state=${request.state}`);
+    await service.fetchAuthenticatedUser();
+
+    expect(global.location.replace).not.toHaveBeenCalled();
+    expect(global.history.replaceState).toHaveBeenCalledWith(null, '', config.BASE_URL);
+  });
+
+  it('redirects to the identity provider with a PKCE challenge', async () => {
+    const { authorizationUrl, request } = await startLogin('http://localhost:8080/page');
+    const expectedChallenge = createHash('sha256').update(request.codeVerifier).digest('base64url');
+
+    expect(Object.fromEntries(authorizationUrl.searchParams)).toEqual({
+      response_type: 'code',
+      client_id: 'frontend-app',
+      redirect_uri: redirectUri,
+      scope: 'openid profile email',
+      state: request.state,
+      nonce: request.nonce,
+      code_challenge: expectedChallenge,
+      code_challenge_method: 'S256',
+    });
+    expect(request.redirectUrl).toEqual('http://localhost:8080/page');
+  });
+
+  it('exchanges the authorization code on the callback route, then returns to the page', async () => {
+    await logIn();
+
+    expect(service.getAuthenticatedUser()).toEqual(expect.objectContaining({ userId: 'abc123', username: 'honor' }));
+    const tokenRequestData = Object.fromEntries(new URLSearchParams(tokenAxiosMock.history.post[0].data));
+    expect(tokenRequestData).toEqual(expect.objectContaining({
+      grant_type: 'authorization_code',
+      code: 'the-code',
+      redirect_uri: redirectUri,
+    }));
+    expect(global.history.replaceState).toHaveBeenCalledWith(null, '', `${config.BASE_URL}/dashboard`);
+    expect(publish).toHaveBeenCalledWith('AUTHENTICATED_USER.CHANGED');
+  });
+
+  it('rejects callbacks with an unknown state', async () => {
+    setLocation(`${redirectUri}?code=the-code&state=unknown`);
+
+    await expect(service.fetchAuthenticatedUser()).rejects.toThrow('OAuth2 callback with an unknown state.');
+    expect(tokenAxiosMock.history.post.length).toBe(0);
+  });
+
+  it('rejects ID tokens issued for another authorization request', async () => {
+    const { request } = await startLogin();
+    replyWithTokens({ nonce: 'another-nonce' });
+    setLocation(`${redirectUri}?code=the-code&state=${request.state}`);
+
+    await expect(service.fetchAuthenticatedUser()).rejects.toThrow(/ID token/);
+    expect(service.getAuthenticatedUser()).toBeNull();
+  });
+});
+
+describe('authenticated requests', () => {
+  it('send the access token in a Bearer header', async () => {
+    await logIn();
+
+    await service.getAuthenticatedHttpClient().get(apiUrl);
+
+    expect(axiosMock.history.get[0].headers.Authorization).toEqual('Bearer access-token');
+  });
+
+  it('renew the tokens with the refresh token once they are about to expire', async () => {
+    await logIn({ refresh_token: 'refresh-token', expires_in: 30 });
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 30000);
+    tokenAxiosMock.onPost(config.OAUTH2_TOKEN_ENDPOINT).replyOnce(200, { access_token: 'renewed-token', expires_in: 3600 });
+
+    await service.getAuthenticatedHttpClient().get(apiUrl);
+    Date.now.mockRestore();
+
+    const tokenRequestData = Object.fromEntries(new URLSearchParams(tokenAxiosMock.history.post[1].data));
+    expect(tokenRequestData).toEqual(expect.objectContaining({
+      grant_type: 'refresh_token',
+      refresh_token: 'refresh-token',
+    }));
+    expect(axiosMock.history.get[0].headers.Authorization).toEqual('Bearer renewed-token');
+    expect(publish).toHaveBeenCalledWith('ACCESS_TOKEN.REFRESHED', { exp: expect.any(Number) });
+  });
+
+  it('treat the user as anonymous once the refresh token is rejected', async () => {
+    await logIn({ refresh_token: 'refresh-token' });
+    tokenAxiosMock.onPost(config.OAUTH2_TOKEN_ENDPOINT).replyOnce(400, { error: 'invalid_grant' });
+
+    expect(await service.fetchAuthenticatedUser({ forceRefresh: true })).toBeNull();
+    expect(publish).toHaveBeenLastCalledWith('AUTHENTICATED_USER.CHANGED');
+  });
+});
+
+describe('silent renewal', () => {
+  // Completes the silent authorization request of the iframe the service added to the page.
+  const respondInIframe = (getParameters) => {
+    const iframe = global.document.querySelector('iframe');
+    const state = new URL(iframe.src).searchParams.get('state');
+    const parameters = new URLSearchParams({ state, ...getParameters(iframe) });
+    Object.defineProperty(iframe, 'contentWindow', {
+      value: { location: new URL(`${redirectUri}?${parameters.toString()}`) },
+    });
+    iframe.dispatchEvent(new Event('load'));
+  };
+
+  const waitForIframe = () => new Promise((resolve) => {
+    const check = () => (global.document.querySelector('iframe') ? resolve() : setTimeout(check, 0));
+    check();
+  });
+
+  it('renews the tokens with a prompt=none authorization request in a hidden iframe', async () => {
+    const userPromise = service.fetchAuthenticatedUser();
+    await waitForIframe();
+    let nonce;
+    respondInIframe((iframe) => {
+      nonce = new URL(iframe.src).searchParams.get('nonce');
+      expect(new URL(iframe.src).searchParams.get('prompt')).toEqual('none');
+      return { code: 'silent-code' };
+    });
+    tokenAxiosMock.onPost(config.OAUTH2_TOKEN_ENDPOINT).replyOnce(200, {
+      access_token: 'access-token',
+      id_token: createIdToken({ ...idTokenClaims, nonce }),
+    });
+
+    expect(await userPromise).toEqual(expect.objectContaining({ userId: 'abc123' }));
+    expect(global.document.querySelector('iframe')).toBeNull();
+  });
+
+  it('treats the user as anonymous when the identity provider requires a login', async () => {
+    const userPromise = service.fetchAuthenticatedUser();
+    await waitForIframe();
+    respondInIframe(() => ({ error: 'login_required' }));
+
+    expect(await userPromise).toBeNull();
+    expect(mockLoggingService.logError).not.toHaveBeenCalled();
+
+    // The identity provider isn't asked again until the user logs in.
+    expect(await service.fetchAuthenticatedUser()).toBeNull();
+    expect(global.document.querySelector('iframe')).toBeNull();
+  });
+});
+
+describe('logout', () => {
+  it('redirects to the end session endpoint with the ID token and forgets the tokens', async () => {
+    service.config = { ...config, OAUTH2_END_SESSION_ENDPOINT: 'https://idp.example.com/logout' };
+    await logIn();
+    const { idToken } = service.tokens;
+
+    service.redirectToLogout('http://localhost:8080/goodbye');
+
+    const logoutUrl = new URL(global.location.assign.mock.calls[0][0]);
+    expect(logoutUrl.origin + logoutUrl.pathname).toEqual('https://idp.example.com/logout');
+    expect(Object.fromEntries(logoutUrl.searchParams)).toEqual({
+      client_id: 'frontend-app',
+      post_logout_redirect_uri: 'http://localhost:8080/goodbye',
+      id_token_hint: idToken,
+    });
+    expect(service.getAuthenticatedUser()).toBeNull();
+  });
+
+  it('falls back to the LOGOUT_URL', () => {
+    expect(service.getLogoutRedirectUrl('http://localhost:8080/goodbye'))
+      .toEqual(`${config.LOGOUT_URL}?redirect_url=${encodeURIComponent('http://localhost:8080/goodbye')}`);
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * The error with which `AxiosJwtAuthService` rejects when the access token can't be refreshed,
+ * once its retries are exhausted.  Its `reason` is one of:
+ *
+ * - `network`: The refresh endpoint couldn't be reached, because the user is offline or the
+ * request timed out, for instance.
+ * - `server`: The refresh endpoint responded with a 5xx error.
+ * - `rejected`: The refresh endpoint responded with another error, other than the 401 of a user
+ * who isn't logged in, which isn't an error.
+ * - `missing-cookie`: The refresh endpoint succeeded without setting the access token cookie.
+ * - `malformed-cookie`: The access token cookie set by the refresh endpoint couldn't be decoded.
+ *
+ * ```
+ * subscribe(AUTH_REFRESH_FAILED, (topic, { reason }) => {
+ *   if (reason === 'network') {
+ *     // Let the user know they appear to be offline.
+ *   }
+ * });
+ * ```
+ *
+ * @memberof module:Auth
+ */
+class TokenRefreshError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} reason
+   * @param {Object} [customAttributes={}] Logged along with the error.
+   */
+  constructor(message, reason, customAttributes = {}) {
+    super(message);
+    this.name = 'TokenRefreshError';
+    this.reason = reason;
+    this.customAttributes = { ...customAttributes, tokenRefreshFailureReason: reason };
+  }
+}
+
+export default TokenRefreshError;
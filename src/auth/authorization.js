@@ -0,0 +1,65 @@
+function matchesClaim(value, expected) {
+  if (typeof expected === 'function') {
+    return expected(value) === true;
+  }
+  if (Array.isArray(expected)) {
+    return expected.some(candidate => matchesClaim(value, candidate));
+  }
+  if (Array.isArray(value)) {
+    return value.includes(expected);
+  }
+  return value === expected;
+}
+
+/**
+ * Returns whether a user satisfies an authorization rule.  Anonymous users satisfy none.  A rule
+ * is one of:
+ *
+ * - An object, whose conditions must all hold:
+ *   - `roles`: The user has any of these roles.  A single role needn't be wrapped in an array.
+ *   - `administrator`: The user's administrator claim has this value.
+ *   - `claims`: An object of claim names to their expected values.  A claim matches if it equals
+ * the value, contains it if the claim is an array, or satisfies it if it's a predicate function.
+ * An array of expected values matches if any of them does.
+ * - A function, called with the user and returning a boolean.
+ * - An array of rules, any of which must hold.
+ *
+ * ```
+ * hasPermission(getAuthenticatedUser(), { roles: ['course_staff', 'support'] });
+ * hasPermission(getAuthenticatedUser(), [
+ *   { administrator: true },
+ *   { claims: { email_verified: true, org: ['edX', 'MITx'] } },
+ * ]);
+ * ```
+ *
+ * Claims are read from the user object, so they include those the auth service maps from the
+ * access token (`email`, `userId`, `username`, `name` and so on) and the account fields merged
+ * in by `hydrateAuthenticatedUser`.  An empty rule holds for any authenticated user.
+ *
+ * @memberof module:Auth
+ * @param {UserData|null} user
+ * @param {Object|function|Array} rule
+ * @returns {boolean}
+ */
+export default function hasPermission(user, rule) {
+  if (user === null || user === undefined) {
+    return false;
+  }
+  if (Array.isArray(rule)) {
+    return rule.some(anyRule => hasPermission(user, anyRule));
+  }
+  if (typeof rule === 'function') {
+    return rule(user) === true;
+  }
+
+  const { administrator, claims = {} } = rule;
+  // Rules from the runtime config may give a single role, or a null one for no condition.
+  const roles = rule.roles === undefined || rule.roles === null ? undefined : [].concat(rule.roles);
+  if (roles !== undefined && !roles.some(role => (user.roles || []).includes(role))) {
+    return false;
+  }
+  if (administrator !== undefined && (user.administrator === true) !== administrator) {
+    return false;
+  }
+  return Object.entries(claims).every(([name, expected]) => matchesClaim(user[name], expected));
+}
@@ -0,0 +1,57 @@
+import hasPermission from './authorization';
+
+const staff = {
+  userId: 1,
+  username: 'staff',
+  roles: ['course_staff', 'support'],
+  administrator: false,
+  email_verified: true,
+  orgs: ['edX', 'MITx'],
+  level: 3,
+};
+
+describe('hasPermission', () => {
+  it('should deny anonymous users', () => {
+    expect(hasPermission(null, {})).toBe(false);
+  });
+
+  it('should allow any authenticated user with an empty rule', () => {
+    expect(hasPermission(staff, {})).toBe(true);
+  });
+
+  it('should check for any of the roles', () => {
+    expect(hasPermission(staff, { roles: ['instructor', 'support'] })).toBe(true);
+    expect(hasPermission(staff, { roles: ['instructor'] })).toBe(false);
+    expect(hasPermission({ ...staff, roles: undefined }, { roles: ['support'] })).toBe(false);
+  });
+
+  it('should accept a single role, or none', () => {
+    expect(hasPermission(staff, { roles: 'support' })).toBe(true);
+    expect(hasPermission(staff, { roles: 'instructor' })).toBe(false);
+    expect(hasPermission(staff, { roles: null })).toBe(true);
+  });
+
+  it('should check the administrator claim', () => {
+    expect(hasPermission(staff, { administrator: true })).toBe(false);
+    expect(hasPermission({ ...staff, administrator: true }, { administrator: true })).toBe(true);
+    expect(hasPermission(staff, { administrator: false })).toBe(true);
+  });
+
+  it('should match claims by value, array membership or predicate', () => {
+    expect(hasPermission(staff, { claims: { email_verified: true, orgs: 'MITx' } })).toBe(true);
+    expect(hasPermission(staff, { claims: { username: ['learner', 'staff'] } })).toBe(true);
+    expect(hasPermission(staff, { claims: { level: level => level > 2 } })).toBe(true);
+    expect(hasPermission(staff, { claims: { level: level => level > 3 } })).toBe(false);
+    expect(hasPermission(staff, { claims: { missing: true } })).toBe(false);
+  });
+
+  it('should require all the conditions of a rule', () => {
+    expect(hasPermission(staff, { roles: ['support'], claims: { email_verified: false } })).toBe(false);
+  });
+
+  it('should accept predicates and arrays of alternative rules', () => {
+    expect(hasPermission(staff, user => user.userId === 1)).toBe(true);
+    expect(hasPermission(staff, [{ administrator: true }, { roles: ['support'] }])).toBe(true);
+    expect(hasPermission(staff, [{ administrator: true }, { roles: ['instructor'] }])).toBe(false);
+  });
+});
@@ -0,0 +1,70 @@
+const STORAGE_KEY_PREFIX = 'frontend-platform.channel';
+
+/**
+ * Creates a channel for messages between the tabs of the application open in the same browser.
+ * Messages are sent with a `BroadcastChannel` where the browser supports it, and otherwise through
+ * the `storage` events raised in the other tabs when a local storage entry is written.  Either way,
+ * a tab doesn't receive its own messages.
+ *
+ * @ignore
+ * @param {string} name Tabs only receive the messages of channels with the same name.
+ * @returns {Object|null} An object with `postMessage(message)`, `addListener(listener)` (which
+ * returns a function removing the listener) and `close()` functions, or null outside of the
+ * browser.  Messages must be serializable to JSON.
+ */
+export default function createCrossTabChannel(name) {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+
+  const listeners = new Set();
+  const notifyListeners = message => listeners.forEach(listener => listener(message));
+  const addListener = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  if (typeof global.BroadcastChannel === 'function') {
+    const channel = new global.BroadcastChannel(name);
+    channel.onmessage = event => notifyListeners(event.data);
+    return {
+      postMessage: message => channel.postMessage(message),
+      addListener,
+      close: () => {
+        listeners.clear();
+        channel.close();
+      },
+    };
+  }
+
+  const storageKey = `${STORAGE_KEY_PREFIX}.${name}`;
+  const handleStorage = (event) => {
+    if (event.key !== storageKey || !event.newValue) {
+      return;
+    }
+    try {
+      notifyListeners(JSON.parse(event.newValue).message);
+    } catch (e) {
+      // Ignores entries written by something else.
+    }
+  };
+  global.addEventListener('storage', handleStorage);
+
+  return {
+    postMessage: (message) => {
+      try {
+        // The entry is only written to raise the event, so it's removed right away.  The nonce makes
+        // consecutive identical messages different entries.
+        global.localStorage.setItem(storageKey, JSON.stringify({ message, nonce: Math.random() }));
+        global.localStorage.removeItem(storageKey);
+      } catch (e) {
+        // Local storage is unavailable in some private browsing modes.
+      }
+    },
+    addListener,
+    close: () => {
+      listeners.clear();
+      global.removeEventListener('storage', handleStorage);
+    },
+  };
+}
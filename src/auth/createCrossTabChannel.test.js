@@ -0,0 +1,95 @@
+import createCrossTabChannel from './createCrossTabChannel';
+
+describe('createCrossTabChannel', () => {
+  let channel;
+
+  afterEach(() => {
+    channel.close();
+    delete global.BroadcastChannel;
+  });
+
+  describe('with BroadcastChannel', () => {
+    let broadcastChannel;
+
+    beforeEach(() => {
+      global.BroadcastChannel = jest.fn(function BroadcastChannel(name) {
+        this.name = name;
+        this.postMessage = jest.fn();
+        this.close = jest.fn();
+        broadcastChannel = this;
+      });
+      channel = createCrossTabChannel('test');
+    });
+
+    it('should post messages to the broadcast channel', () => {
+      channel.postMessage({ type: 'hello' });
+
+      expect(broadcastChannel.name).toEqual('test');
+      expect(broadcastChannel.postMessage).toHaveBeenCalledWith({ type: 'hello' });
+    });
+
+    it('should pass the messages of other tabs to the listeners until they are removed', () => {
+      const listener = jest.fn();
+      const removeListener = channel.addListener(listener);
+
+      broadcastChannel.onmessage({ data: { type: 'hello' } });
+      removeListener();
+      broadcastChannel.onmessage({ data: { type: 'goodbye' } });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith({ type: 'hello' });
+    });
+
+    it('should close the broadcast channel', () => {
+      channel.close();
+
+      expect(broadcastChannel.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('with the local storage fallback', () => {
+    const storageKey = 'frontend-platform.channel.test';
+
+    beforeEach(() => {
+      channel = createCrossTabChannel('test');
+    });
+
+    it('should post messages through a short-lived local storage entry', () => {
+      jest.spyOn(global.localStorage.__proto__, 'setItem'); // eslint-disable-line no-proto
+
+      channel.postMessage({ type: 'hello' });
+
+      expect(JSON.parse(global.localStorage.setItem.mock.calls[0][1]).message).toEqual({ type: 'hello' });
+      expect(global.localStorage.getItem(storageKey)).toBeNull();
+      global.localStorage.setItem.mockRestore();
+    });
+
+    it('should pass the messages of other tabs to the listeners', () => {
+      const listener = jest.fn();
+      channel.addListener(listener);
+
+      global.dispatchEvent(new StorageEvent('storage', {
+        key: storageKey,
+        newValue: JSON.stringify({ message: { type: 'hello' }, nonce: 1 }),
+      }));
+      global.dispatchEvent(new StorageEvent('storage', { key: storageKey, newValue: null }));
+      global.dispatchEvent(new StorageEvent('storage', { key: 'other', newValue: '{}' }));
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith({ type: 'hello' });
+    });
+
+    it('should stop listening when closed', () => {
+      const listener = jest.fn();
+      channel.addListener(listener);
+      channel.close();
+
+      global.dispatchEvent(new StorageEvent('storage', {
+        key: storageKey,
+        newValue: JSON.stringify({ message: { type: 'hello' }, nonce: 1 }),
+      }));
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,9 +1,14 @@
 export {
   AUTHENTICATED_USER_TOPIC,
   AUTHENTICATED_USER_CHANGED,
+  AUTHENTICATED_USER_HYDRATION_CHANGED,
+  ACCESS_TOKEN_TOPIC,
+  ACCESS_TOKEN_REFRESHED,
+  AUTH_REFRESH_FAILED,
   configure,
   getAuthenticatedHttpClient,
   getAuthService,
+  resetAuthService,
   getHttpClient,
   getLoginRedirectUrl,
   redirectToLogin,
@@ -14,6 +19,10 @@ export {
   fetchAuthenticatedUser,
   ensureAuthenticatedUser,
   hydrateAuthenticatedUser,
+  getUserHydrationStatus,
 } from './interface';
+export { default as hasPermission } from './authorization';
 export { default as AxiosJwtAuthService } from './AxiosJwtAuthService';
 export { default as MockAuthService } from './MockAuthService';
+export { default as OAuth2PkceAuthService } from './OAuth2PkceAuthService';
+export { default as TokenRefreshError } from './TokenRefreshError';
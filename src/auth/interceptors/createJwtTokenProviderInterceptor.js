@@ -2,6 +2,7 @@ const createJwtTokenProviderInterceptor = (options) => {
   const {
     jwtTokenService,
     shouldSkip,
+    getAuthorizationScheme = () => null,
   } = options;
 
   // Creating the interceptor inside this closure to
@@ -26,6 +27,17 @@ const createJwtTokenProviderInterceptor = (options) => {
       return Promise.reject(requestError);
     }
 
+    // Servers which can't read the jwt cookie get the token in the Authorization header instead.
+    const authorizationScheme = getAuthorizationScheme(axiosRequestConfig);
+    if (authorizationScheme) {
+      const encodedJwtToken = jwtTokenService.getEncodedJwtToken();
+      if (encodedJwtToken) {
+        // eslint-disable-next-line no-param-reassign
+        axiosRequestConfig.headers.Authorization = `${authorizationScheme} ${encodedJwtToken}`;
+      }
+      return axiosRequestConfig;
+    }
+
     // Add the proper headers to tell the server to look for the jwt cookie
     // eslint-disable-next-line no-param-reassign
     axiosRequestConfig.headers.common['USE-JWT-COOKIE'] = true;
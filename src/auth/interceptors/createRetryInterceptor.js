@@ -33,6 +33,12 @@ const createRetryInterceptor = (options = {}) => {
       return Promise.reject(error);
     }
 
+    // The failures of retries are handled by the retry loop of the original request below, rather
+    // than starting loops of their own.
+    if (config.isRetryRequest) {
+      return Promise.reject(error);
+    }
+
     if (!shouldRetry(error)) {
       return Promise.reject(error);
     }
@@ -54,7 +60,7 @@ const createRetryInterceptor = (options = {}) => {
         // Delay (wrapped in a promise so we can await the setTimeout)
         await new Promise(resolve => { setTimeout(resolve, backoffDelay); });
         // Make retry request
-        retryResponse = await httpClient.request(config);
+        retryResponse = await httpClient.request({ ...config, isRetryRequest: true });
       } catch (e) {
         return retryRequest(nthRetry + 1);
       }
@@ -1,4 +1,6 @@
-import { defaultGetBackoffMilliseconds } from './createRetryInterceptor';
+import axios from 'axios';
+import MockAdapter from 'axios-mock-adapter';
+import createRetryInterceptor, { defaultGetBackoffMilliseconds } from './createRetryInterceptor';
 
 describe('createRetryInterceptor: defaultGetBackoffMilliseconds', () => {
   it('returns a number between 2000 and 3000 on the first retry', () => {
@@ -21,3 +23,41 @@ describe('createRetryInterceptor: defaultGetBackoffMilliseconds', () => {
     expect(backoffInMilliseconds).toEqual(16000);
   });
 });
+
+describe('createRetryInterceptor', () => {
+  let httpClient;
+  let axiosMock;
+
+  beforeEach(() => {
+    httpClient = axios.create();
+    httpClient.interceptors.response.use(
+      response => response,
+      createRetryInterceptor({ httpClient, getBackoffMilliseconds: () => 0 }),
+    );
+    axiosMock = new MockAdapter(httpClient);
+  });
+
+  it('retries a failed request until it succeeds', async () => {
+    axiosMock.onGet().networkErrorOnce();
+    axiosMock.onGet().replyOnce(200, 'ok');
+
+    const response = await httpClient.get('/endpoint', { maxRetries: 2 });
+
+    expect(response.data).toEqual('ok');
+    expect(axiosMock.history.get.length).toBe(2);
+  });
+
+  it('gives up after the maximum number of retries', async () => {
+    axiosMock.onGet().networkError();
+
+    await expect(httpClient.get('/endpoint', { maxRetries: 2 })).rejects.toThrow('Network Error');
+    expect(axiosMock.history.get.length).toBe(3);
+  });
+
+  it('does not retry responses by default', async () => {
+    axiosMock.onGet().reply(500);
+
+    await expect(httpClient.get('/endpoint', { maxRetries: 2 })).rejects.toThrow();
+    expect(axiosMock.history.get.length).toBe(1);
+  });
+});
@@ -54,6 +54,41 @@ export const AUTHENTICATED_USER_TOPIC = 'AUTHENTICATED_USER';
  */
 export const AUTHENTICATED_USER_CHANGED = `${AUTHENTICATED_USER_TOPIC}.CHANGED`;
 
+/**
+ * Published when the hydration of the authenticated user starts, succeeds or fails.  The message
+ * is `{ status }`, the new value of `getUserHydrationStatus`.
+ *
+ * @event
+ * @see {@link module:Auth~hydrateAuthenticatedUser}
+ */
+export const AUTHENTICATED_USER_HYDRATION_CHANGED = `${AUTHENTICATED_USER_TOPIC}.HYDRATION_CHANGED`;
+
+/**
+ * @constant
+ * @private
+ */
+export const ACCESS_TOKEN_TOPIC = 'ACCESS_TOKEN';
+
+/**
+ * Published by `AxiosJwtAuthService` each time it refreshes the user's access token, whether
+ * because a request needed a fresh one or ahead of its expiry (see the
+ * `ACCESS_TOKEN_REFRESH_LEAD_SECONDS` config value).  The message is `{ exp }`, the expiry of the
+ * new token in seconds since the epoch.
+ *
+ * @event
+ */
+export const ACCESS_TOKEN_REFRESHED = `${ACCESS_TOKEN_TOPIC}.REFRESHED`;
+
+/**
+ * Published by `AxiosJwtAuthService` when it fails to refresh the user's access token, once its
+ * retries are exhausted.  The message is `{ error, reason }`, where `error` is a
+ * `TokenRefreshError` and `reason` its reason code.  A `network` reason means the user appears to
+ * be offline.  A user who isn't logged in isn't a failure.
+ *
+ * @event
+ */
+export const AUTH_REFRESH_FAILED = `${ACCESS_TOKEN_TOPIC}.REFRESH_FAILED`;
+
 const optionsShape = {
   config: PropTypes.shape({
     BASE_URL: PropTypes.string.isRequired,
@@ -94,7 +129,7 @@ let service;
  */
 export function configure(AuthService, options) {
   PropTypes.checkPropTypes(optionsShape, options, 'property', 'Auth');
-  service = new AuthService(options);
+  service = new AuthService({ publish, ...options });
   PropTypes.checkPropTypes(serviceShape, service, 'property', 'AuthService');
   return service;
 }
@@ -113,9 +148,13 @@ export function getAuthService() {
 }
 
 /**
- *
+ * Stops the background work of the configured auth service, such as scheduled token refreshes,
+ * and discards it.
  */
 export function resetAuthService() {
+  if (service && service.destroy) {
+    service.destroy();
+  }
   service = null;
 }
 
@@ -235,22 +274,43 @@ export async function ensureAuthenticatedUser(redirectUrl) {
 
 /**
  * Fetches additional user account information for the authenticated user and merges it into the
- * existing authenticatedUser object, available via getAuthenticatedUser().
+ * existing authenticatedUser object, available via getAuthenticatedUser().  The account is cached
+ * for the `AUTHENTICATED_USER_HYDRATION_TTL_SECONDS` config value, 5 minutes by default.
  *
  * ```
  *  console.log(authenticatedUser); // Will be sparse and only contain basic information.
  *  await hydrateAuthenticatedUser()
  *  const authenticatedUser = getAuthenticatedUser();
  *  console.log(authenticatedUser); // Will contain additional user information
+ *
+ *  await hydrateAuthenticatedUser({ fields: ['profileImage'], forceRefresh: true });
  * ```
  *
+ * The auth service publishes the changes of the hydration status.  If the request fails, the error
+ * is logged, the hydration status becomes `error`, and the returned promise rejects without
+ * publishing `AUTHENTICATED_USER_CHANGED`.
+ *
+ * @param {Object} [options]
+ * @param {Array<string>} [options.fields] The camel-cased account fields to merge.  Defaults to all.
+ * @param {boolean} [options.forceRefresh=false] Whether to fetch the account even if it's cached.
  * @emits AUTHENTICATED_USER_CHANGED
+ * @emits AUTHENTICATED_USER_HYDRATION_CHANGED
  */
-export async function hydrateAuthenticatedUser() {
-  await service.hydrateAuthenticatedUser();
+export async function hydrateAuthenticatedUser(options = {}) {
+  await service.hydrateAuthenticatedUser(options);
   publish(AUTHENTICATED_USER_CHANGED);
 }
 
+/**
+ * Returns the status of the latest hydration of the authenticated user: `pending`, `done` or
+ * `error`, or null if it was never hydrated.
+ *
+ * @returns {string|null}
+ */
+export function getUserHydrationStatus() {
+  return service.getUserHydrationStatus ? service.getUserHydrationStatus() : null;
+}
+
 /**
  * @name AuthService
  * @interface
@@ -266,6 +326,7 @@ export async function hydrateAuthenticatedUser() {
  * @property {function} fetchAuthenticatedUser
  * @property {function} ensureAuthenticatedUser
  * @property {function} hydrateAuthenticatedUser
+ * @property {function} [getUserHydrationStatus]
  */
 
 /**
@@ -0,0 +1,37 @@
+// Token storages hold the encoded access token for `AxiosJwtTokenService`.  Each is an object with
+// `get()`, returning the encoded token or null, `set(encodedToken)`, called with the `access_token`
+// of the refresh responses which include one, and `remove()`.
+
+/**
+ * Reads the token from a cookie, set by the refresh endpoint.  Cookie storage ignores tokens in
+ * refresh responses, since the cookie is already up to date by then.
+ *
+ * @ignore
+ * @param {Cookies} cookies A `universal-cookie` instance.
+ * @param {string} cookieName
+ * @returns {Object}
+ */
+export function createCookieTokenStorage(cookies, cookieName) {
+  return {
+    get: () => cookies.get(cookieName) || null,
+    set: () => {},
+    remove: () => cookies.remove(cookieName),
+  };
+}
+
+/**
+ * Keeps the token in memory, for backends whose refresh endpoint returns the token in the body of
+ * its response rather than in a cookie the application can read.  The token is lost when the page
+ * is unloaded, and the first request of the next page load refreshes it.
+ *
+ * @ignore
+ * @returns {Object}
+ */
+export function createMemoryTokenStorage() {
+  let encodedToken = null;
+  return {
+    get: () => encodedToken,
+    set: (token) => { encodedToken = token; },
+    remove: () => { encodedToken = null; },
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * The fields of the authenticated user made from the claims of the LMS's JWT access tokens.  Each
+ * is mapped to the name of the claim it's copied from, or to a function computing it from all the
+ * claims.
+ *
+ * @ignore
+ */
+export const DEFAULT_USER_CLAIM_MAPPING = {
+  email: 'email',
+  userId: 'user_id',
+  username: 'preferred_username',
+  roles: claims => claims.roles || [],
+  administrator: 'administrator',
+  name: 'name',
+};
+
+/**
+ * Makes the authenticated user from the claims of a decoded token.  The `AUTHENTICATED_USER_CLAIMS`
+ * config value customizes the mapping: it's merged over the default one, so that it can rename
+ * fields' claims, add fields made of other claims, compute fields with functions, and remove
+ * fields by mapping them to null.
+ *
+ * ```
+ * mergeConfig({
+ *   AUTHENTICATED_USER_CLAIMS: {
+ *     username: 'login', // Read from another claim.
+ *     organization: 'org', // An extra field.
+ *     isStaff: claims => (claims.roles || []).includes('staff'), // A computed field.
+ *     name: null, // Left out.
+ *   },
+ * });
+ * ```
+ *
+ * @ignore
+ * @param {Object} claims
+ * @param {Object} [configuredMapping={}] The `AUTHENTICATED_USER_CLAIMS` config value.
+ * @param {Object} [defaultMapping=DEFAULT_USER_CLAIM_MAPPING]
+ * @returns {UserData}
+ */
+export function mapUserClaims(claims, configuredMapping = {}, defaultMapping = DEFAULT_USER_CLAIM_MAPPING) {
+  const mapping = { ...defaultMapping, ...configuredMapping };
+  const user = {};
+  Object.entries(mapping).forEach(([field, source]) => {
+    if (typeof source === 'function') {
+      user[field] = source(claims);
+    } else if (typeof source === 'string') {
+      user[field] = claims[source];
+    }
+  });
+  return user;
+}
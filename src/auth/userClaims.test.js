@@ -0,0 +1,46 @@
+import { mapUserClaims } from './userClaims';
+
+const claims = {
+  user_id: '12345',
+  preferred_username: 'honor',
+  email: 'honor@example.com',
+  name: 'Honor',
+  administrator: false,
+  org: 'edX',
+};
+
+describe('mapUserClaims', () => {
+  it('maps the default claims onto the user', () => {
+    expect(mapUserClaims(claims)).toEqual({
+      userId: '12345',
+      username: 'honor',
+      email: 'honor@example.com',
+      name: 'Honor',
+      roles: [],
+      administrator: false,
+    });
+  });
+
+  it('renames, adds, computes and removes fields as configured', () => {
+    expect(mapUserClaims(claims, {
+      username: 'email',
+      organization: 'org',
+      roles: ({ administrator }) => (administrator ? ['admin'] : ['learner']),
+      name: null,
+    })).toEqual({
+      userId: '12345',
+      username: 'honor@example.com',
+      email: 'honor@example.com',
+      roles: ['learner'],
+      administrator: false,
+      organization: 'edX',
+    });
+  });
+
+  it('merges the configured mapping over another default one', () => {
+    expect(mapUserClaims({ sub: 'abc', org: 'edX' }, { organization: 'org' }, { userId: 'sub' })).toEqual({
+      userId: 'abc',
+      organization: 'edX',
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { logFrontendAuthError } from './utils';
+import { camelCaseObject } from '../utils';
+import { AUTHENTICATED_USER_HYDRATION_CHANGED } from './interface';
+
+const DEFAULT_HYDRATION_TTL_SECONDS = 5 * 60;
+
+/**
+ * Fetches the account data of the authenticated user from a URL, and merges it into the user of
+ * an auth service.  The account is read through the service's cached HTTP client, for the
+ * `AUTHENTICATED_USER_HYDRATION_TTL_SECONDS` config value.  The service's `userHydrationStatus`
+ * goes from `pending` to `done` or `error`, and each change is published.
+ *
+ * @ignore
+ * @param {AuthService} service An auth service with `config`, `loggingService` and `publish`.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {Array<string>} [options.fields] The camel-cased account fields to merge.  Defaults to all.
+ * @param {boolean} [options.forceRefresh=false] Whether to fetch the account even if it's cached.
+ * @returns {Promise<null>}
+ */
+export default async function hydrateUserFrom(service, url, { fields, forceRefresh = false } = {}) {
+  const setStatus = (status) => {
+    service.userHydrationStatus = status; // eslint-disable-line no-param-reassign
+    service.publish(AUTHENTICATED_USER_HYDRATION_CHANGED, { status });
+  };
+
+  setStatus('pending');
+  try {
+    // The cached client is only available once the cache is configured.
+    const httpClient = service.getAuthenticatedHttpClient({ useCache: true }) || service.getAuthenticatedHttpClient();
+    const ttlSeconds = Number(service.config.AUTHENTICATED_USER_HYDRATION_TTL_SECONDS) || DEFAULT_HYDRATION_TTL_SECONDS;
+    const response = await httpClient.get(url, { cache: { ttl: ttlSeconds * 1000, override: forceRefresh } });
+    const account = camelCaseObject(response.data);
+    const hydratedFields = fields
+      ? Object.fromEntries(fields.filter(field => field in account).map(field => [field, account[field]]))
+      : account;
+    service.setAuthenticatedUser({ ...service.getAuthenticatedUser(), ...hydratedFields });
+  } catch (error) {
+    logFrontendAuthError(service.loggingService, error);
+    setStatus('error');
+    throw error;
+  }
+  setStatus('done');
+}
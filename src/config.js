@@ -85,6 +85,20 @@
  * export default getAsyncConfig;
  * ```
  *
+ * A single build can serve several branded sites by declaring per-site overlays under a `sites`
+ * key.  The overlay for the hostname the application is served from - or for the key returned by
+ * an optional `resolveSite({ hostname, config })` function - is merged over the rest of the file's
+ * configuration, and the active site key is available as `SITE_KEY`:
+ *
+ * ```
+ * const config = {
+ *   SITE_NAME: 'Open edX',
+ *   sites: {
+ *     'learning.example.com': { SITE_NAME: 'Example', LMS_BASE_URL: 'https://courses.example.com' },
+ *   },
+ * };
+ * ```
+ *
  * ##### Runtime Configuration
  *
  * Configuration variables can also be supplied using the "runtime configuration" method, taking
@@ -125,8 +139,12 @@
 
 import { APP_CONFIG_INITIALIZED, CONFIG_CHANGED } from './constants';
 
-import { publish, subscribe } from './pubSub';
+import { createPubSub } from './pubSub';
 import { ensureDefinedConfig } from './utils';
+import {
+  checkConfigSchema, coerceConfigValues, getConfigDefaults, getConfigReport,
+} from './configSchema';
+import { checkMergeStrategies, mergeConfigValues } from './configMerge';
 
 function extractRegex(envVar) {
   // Convert the environment variable string to a regex, while guarding
@@ -138,7 +156,7 @@ function extractRegex(envVar) {
 }
 
 const ENVIRONMENT = process.env.NODE_ENV;
-let config = {
+const createConfig = () => ({
   ACCESS_TOKEN_COOKIE_NAME: process.env.ACCESS_TOKEN_COOKIE_NAME,
   ACCOUNT_PROFILE_URL: process.env.ACCOUNT_PROFILE_URL,
   ACCOUNT_SETTINGS_URL: process.env.ACCOUNT_SETTINGS_URL,
@@ -171,7 +189,199 @@ let config = {
   MFE_CONFIG_API_URL: process.env.MFE_CONFIG_API_URL,
   APP_ID: process.env.APP_ID,
   SUPPORT_URL: process.env.SUPPORT_URL,
-};
+});
+
+/**
+ * Returns the keys whose values differ between two ConfigDocuments, mapped to their previous and
+ * current values.  Values are compared by identity.
+ *
+ * @ignore
+ * @param {Object} previous
+ * @param {Object} current
+ * @returns {Object}
+ */
+function diffConfig(previous, current) {
+  const changes = {};
+  new Set([...Object.keys(previous), ...Object.keys(current)]).forEach((key) => {
+    if (!Object.is(previous[key], current[key])) {
+      changes[key] = { previous: previous[key], current: current[key] };
+    }
+  });
+  return changes;
+}
+
+// Keys which are sensitive without having to be declared so, because they look like secrets.
+const SECRET_KEY_REGEX = /(SECRET|PASSWORD|PRIVATE|_KEY$|_TOKEN$)/i;
+// Keys of the platform which look like secrets, but aren't.  They're only sensitive if declared so.
+const PUBLIC_CONFIG_KEYS = new Set(['SITE_KEY']);
+const REDACTED = '[REDACTED]';
+
+// Gives a ConfigDocument a non-enumerable `toJSON` method, so that `JSON.stringify` - and the
+// loggers and tools built on it - only ever see its redacted values.
+function redactWhenSerialized(config, redact) {
+  Object.defineProperty(config, 'toJSON', {
+    value: () => redact(config),
+    configurable: true,
+    enumerable: false,
+    writable: true,
+  });
+  return config;
+}
+
+/**
+ * Creates an isolated configuration store, with its own ConfigDocument.  Platform instances created
+ * with `createPlatform` each have their own store; the functions exported by this module operate
+ * on the default store.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.pubSub] The bus on which `CONFIG_CHANGED` is published, as created by
+ * `createPubSub`.  Defaults to the default bus.
+ * @param {Object} [options.initialConfig={}] Values merged over the `process.env` defaults when
+ * the store is created or reset.
+ * @returns {Object} An object with `getConfig`, `setConfig`, `mergeConfig`, `ensureConfig`,
+ * `defineConfigSchema`, `defineConfigMergeStrategies`, `defineSensitiveConfigKeys`,
+ * `isSensitiveConfigKey`, `redactConfig`, `validateConfig`, `subscribeToConfig`,
+ * `getConfigProvenance`, `inspectConfig` and `resetConfig` functions, which behave like the
+ * module-level functions of the same names, and a `withConfigSource` function (see below).
+ */
+export function createConfigStore({ pubSub = createPubSub(), initialConfig = {} } = {}) {
+  const createInitialConfig = () => ({ ...createConfig(), ...initialConfig });
+  const createInitialProvenance = () => {
+    const initialProvenance = {};
+    Object.keys(createConfig()).forEach((key) => { initialProvenance[key] = 'env'; });
+    Object.keys(initialConfig).forEach((key) => { initialProvenance[key] = 'createPlatform'; });
+    return initialProvenance;
+  };
+  let config = createInitialConfig();
+  let provenance = createInitialProvenance();
+  let defaultSource = 'mergeConfig';
+  let ensureConfigSubscriptions = [];
+  let schema = {};
+  let mergeStrategies = {};
+  let sensitiveKeys = new Set();
+
+  const isSensitiveKey = key => sensitiveKeys.has(key)
+    || (!PUBLIC_CONFIG_KEYS.has(key) && SECRET_KEY_REGEX.test(key));
+  const redactValues = (values = config) => Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [
+      key,
+      isSensitiveKey(key) && value ? REDACTED : value,
+    ]),
+  );
+  redactWhenSerialized(config, redactValues);
+
+  // Applies an update to the ConfigDocument, records the source of the keys it set, and publishes
+  // what it changed, if anything.
+  const updateConfig = (source, keys, update) => {
+    const previous = { ...config };
+    update();
+    redactWhenSerialized(config, redactValues);
+    keys.forEach((key) => { provenance[key] = source; });
+    const changes = diffConfig(previous, config);
+    if (Object.keys(changes).length > 0) {
+      pubSub.publish(CONFIG_CHANGED, changes);
+    }
+  };
+
+  return {
+    getConfig: () => config,
+    setConfig: (newConfig, source = 'setConfig') => {
+      ensureDefinedConfig(config, 'config');
+      provenance = {};
+      updateConfig(source, Object.keys(newConfig), () => {
+        config = coerceConfigValues(schema, newConfig);
+      });
+    },
+    mergeConfig: (newConfig, source = defaultSource, { strategy = 'replace' } = {}) => {
+      ensureDefinedConfig(newConfig, 'ProcessEnvConfigService');
+      checkMergeStrategies({ mergeConfig: strategy });
+      updateConfig(source, Object.keys(newConfig), () => {
+        config = Object.assign(config, mergeConfigValues(
+          config,
+          coerceConfigValues(schema, newConfig),
+          mergeStrategies,
+          strategy,
+        ));
+      });
+    },
+    defineConfigMergeStrategies: (strategies) => {
+      checkMergeStrategies(strategies);
+      mergeStrategies = { ...mergeStrategies, ...strategies };
+    },
+    defineConfigSchema: (newSchema) => {
+      checkConfigSchema(newSchema);
+      schema = { ...schema, ...newSchema };
+      // The values loaded so far, such as those from process.env, are coerced right away.
+      const defaults = getConfigDefaults(schema, config);
+      updateConfig('schemaDefault', Object.keys(defaults), () => {
+        Object.assign(config, coerceConfigValues(schema, config), defaults);
+      });
+    },
+    defineSensitiveConfigKeys: (keys) => {
+      sensitiveKeys = new Set([...sensitiveKeys, ...keys]);
+    },
+    isSensitiveConfigKey: isSensitiveKey,
+    redactConfig: redactValues,
+    getConfigProvenance: () => ({ ...provenance }),
+    inspectConfig: () => {
+      const redactedConfig = redactValues();
+      const rows = Object.keys(redactedConfig).sort().map(key => ({
+        key,
+        value: redactedConfig[key],
+        source: provenance[key] || 'unknown',
+      }));
+      // eslint-disable-next-line no-console
+      console.table(rows);
+      return rows;
+    },
+    // Runs a function, attributing the values it merges without naming a source to the given one.
+    withConfigSource: async (source, fn) => {
+      const previousSource = defaultSource;
+      defaultSource = source;
+      try {
+        return await fn();
+      } finally {
+        defaultSource = previousSource;
+      }
+    },
+    subscribeToConfig: (keys, callback) => {
+      const watchedKeys = [].concat(keys);
+      return pubSub.subscribe(CONFIG_CHANGED, (topic, changes) => {
+        const watchedChanges = {};
+        watchedKeys.filter(key => key in changes).forEach((key) => {
+          watchedChanges[key] = changes[key];
+        });
+        if (Object.keys(watchedChanges).length > 0) {
+          callback(watchedChanges);
+        }
+      });
+    },
+    validateConfig: () => getConfigReport(schema, config),
+    ensureConfig: (keys, requester = 'unspecified application code') => {
+      ensureConfigSubscriptions.push(pubSub.subscribe(APP_CONFIG_INITIALIZED, () => {
+        keys.forEach((key) => {
+          if (config[key] === undefined) {
+            // eslint-disable-next-line no-console
+            console.warn(`App configuration error: ${key} is required by ${requester}.`);
+          }
+        });
+      }));
+    },
+    resetConfig: () => {
+      ensureConfigSubscriptions.forEach(pubSub.unsubscribe);
+      ensureConfigSubscriptions = [];
+      schema = {};
+      mergeStrategies = {};
+      sensitiveKeys = new Set();
+      provenance = createInitialProvenance();
+      updateConfig('env', [], () => {
+        config = createInitialConfig();
+      });
+    },
+  };
+}
+
+const defaultConfigStore = createConfigStore();
 
 /**
  * Getter for the application configuration document.  This is synchronous and merely returns a
@@ -190,7 +400,7 @@ let config = {
  * @returns {ConfigDocument}
   */
 export function getConfig() {
-  return config;
+  return defaultConfigStore.getConfig();
 }
 
 /**
@@ -210,11 +420,12 @@ export function getConfig() {
  * ```
  *
  * @param {ConfigDocument} newConfig
+ * @param {string} [source='setConfig'] The source of the values, as reported by
+ * `getConfigProvenance`.
+ * @emits CONFIG_CHANGED
  */
-export function setConfig(newConfig) {
-  ensureDefinedConfig(config, 'config');
-  config = newConfig;
-  publish(CONFIG_CHANGED);
+export function setConfig(newConfig, source) {
+  defaultConfigStore.setConfig(newConfig, source);
 }
 
 /**
@@ -226,15 +437,129 @@ export function setConfig(newConfig) {
  *   NEW_KEY: 'new value',
  *   OTHER_NEW_KEY: 'other new value',
  * });
+ * ```
  *
  * If any of the key values are `undefined`, an error will be logged to 'warn'.
  *
+ * `CONFIG_CHANGED` is published with the keys whose values changed, mapped to their previous and
+ * current values.  Values are compared by identity, so merging an equal but newly created object
+ * or array counts as a change.  Nothing is published if no value changed.
+ *
+ * ```
+ * subscribe(CONFIG_CHANGED, (topic, changes) => {
+ *   // { NEW_KEY: { previous: undefined, current: 'new value' }, ... }
+ * });
+ * ```
+ *
+ * By default, each value replaces the existing one.  Keys can be given another merge strategy with
+ * `defineConfigMergeStrategies`, and the `strategy` option applies one to all the keys which
+ * haven't been given one:
+ *
+ * ```
+ * // Merges the nested objects of the runtime configuration over those of env.config.js.
+ * mergeConfig(runtimeConfig, 'runtimeConfig', { strategy: 'deep' });
+ * ```
+ *
  * @param {Object} newConfig
+ * @param {string} [source] The source of the values, as reported by `getConfigProvenance`.
+ * Defaults to the layer being loaded by the initialization sequence, such as `handlers.config`,
+ * or `mergeConfig` outside of it.
+ * @param {Object} [options]
+ * @param {string} [options.strategy='replace'] The merge strategy of keys without one of their
+ * own.  See `defineConfigMergeStrategies`.
+ * @emits CONFIG_CHANGED
+ */
+export function mergeConfig(newConfig, source, options) {
+  defaultConfigStore.mergeConfig(newConfig, source, options);
+}
+
+/**
+ * Declares how `mergeConfig` combines new values of particular ConfigDocument keys with their
+ * existing values.  The strategies are:
+ *
+ * - `replace`: The new value replaces the existing one.  This is the default.
+ * - `deep`: Plain objects are merged recursively, so that a partial object - such as a plugin slot
+ * map or a set of feature flags from the runtime configuration - only overrides the nested values
+ * it contains.  Arrays and other values are replaced.
+ * - `append`: Arrays are concatenated.
+ * - `unique`: Arrays are concatenated, without duplicates.
+ *
+ * When the existing and new values can't be combined this way, such as an array and a string, the
+ * new value replaces the existing one.
+ *
+ * ```
+ * defineConfigMergeStrategies({
+ *   PLUGIN_SLOTS: 'deep',
+ *   ALLOWED_ORIGINS: 'unique',
+ * });
+ * ```
+ *
+ * Like the schema, the strategies are discarded by `resetConfig`.
+ *
+ * @param {Object} strategies An object of ConfigDocument keys to strategy names.
+ * @throws {Error} If a strategy is unknown.
+ */
+export function defineConfigMergeStrategies(strategies) {
+  defaultConfigStore.defineConfigMergeStrategies(strategies);
+}
+
+/**
+ * Declares ConfigDocument keys whose values are sensitive, such as API keys and signing secrets.
+ * Keys which look like secrets - those containing `SECRET`, `PASSWORD` or `PRIVATE`, or ending in
+ * `_KEY` or `_TOKEN` - are sensitive without being declared, except for `SITE_KEY`, the name of
+ * the active site overlay.
+ *
+ * The values of sensitive keys are redacted wherever the platform exposes the config:
+ *
+ * - The ConfigDocument returned by `getConfig` serializes to JSON with its sensitive values
+ * replaced by `'[REDACTED]'`, so `JSON.stringify(getConfig())` is safe to log.
+ * - `inspectConfig` prints them redacted.
+ * - Custom attributes passed to `logInfo` and `logError` are redacted when their names are
+ * sensitive keys.
+ * - External scripts only receive the keys they declare (see the `externalScripts` option of
+ * `initialize`).
+ *
+ * `getConfig().KEY` still returns the value itself, and the server-side hydration state (see
+ * `getHydrationState`) keeps it, since the client needs it as much as the server does.  The
+ * ConfigDocument is sent to the browser, so it must not hold secrets which only the server may know.
+ *
+ * ```
+ * defineSensitiveConfigKeys(['SEGMENT_WRITE_KEY', 'RECAPTCHA_SITE_SECRET']);
+ * ```
+ *
+ * Like the schema, the declarations are discarded by `resetConfig`.
+ *
+ * @param {Array} keys
+ */
+export function defineSensitiveConfigKeys(keys) {
+  defaultConfigStore.defineSensitiveConfigKeys(keys);
+}
+
+/**
+ * Returns whether a ConfigDocument key is sensitive.  See `defineSensitiveConfigKeys`.
+ *
+ * @param {string} key
+ * @returns {boolean}
  */
-export function mergeConfig(newConfig) {
-  ensureDefinedConfig(newConfig, 'ProcessEnvConfigService');
-  config = Object.assign(config, newConfig);
-  publish(CONFIG_CHANGED);
+export function isSensitiveConfigKey(key) {
+  return defaultConfigStore.isSensitiveConfigKey(key);
+}
+
+/**
+ * Returns a copy of an object of ConfigDocument keys to values, with the values of sensitive keys
+ * replaced by `'[REDACTED]'`.  Empty values are left as they are, so it remains clear which keys
+ * are missing.
+ *
+ * ```
+ * redactConfig({ LMS_BASE_URL: 'https://lms.example.com', SEGMENT_WRITE_KEY: 'abc123' });
+ * // { LMS_BASE_URL: 'https://lms.example.com', SEGMENT_WRITE_KEY: '[REDACTED]' }
+ * ```
+ *
+ * @param {Object} [values] Defaults to the whole ConfigDocument.
+ * @returns {Object}
+ */
+export function redactConfig(values) {
+  return defaultConfigStore.redactConfig(values);
 }
 
 /**
@@ -261,15 +586,158 @@ export function mergeConfig(newConfig) {
  * @param {Array} keys
  * @param {string} [requester='unspecified application code']
  */
-export function ensureConfig(keys, requester = 'unspecified application code') {
-  subscribe(APP_CONFIG_INITIALIZED, () => {
-    keys.forEach((key) => {
-      if (config[key] === undefined) {
-        // eslint-disable-next-line no-console
-        console.warn(`App configuration error: ${key} is required by ${requester}.`);
-      }
-    });
-  });
+export function ensureConfig(keys, requester) {
+  defaultConfigStore.ensureConfig(keys, requester);
+}
+
+/**
+ * Subscribes to changes of particular ConfigDocument keys.  Unlike a subscription to
+ * `CONFIG_CHANGED`, the callback is only called when the value of at least one of the keys
+ * changes, and only receives the changes to those keys.
+ *
+ * ```
+ * const token = subscribeToConfig(['LMS_BASE_URL', 'LOGIN_URL'], (changes) => {
+ *   // { LMS_BASE_URL: { previous: 'http://localhost:18000', current: 'http://localhost:18001' } }
+ * });
+ *
+ * unsubscribe(token);
+ * ```
+ *
+ * @param {string|Array} keys A key or an array of keys.
+ * @param {function} callback Called with an object of the changed keys, mapped to their previous
+ * and current values.
+ * @returns {string} A subscription token, to be passed to `unsubscribe`.
+ */
+export function subscribeToConfig(keys, callback) {
+  return defaultConfigStore.subscribeToConfig(keys, callback);
+}
+
+/**
+ * Returns the source of each ConfigDocument key: the layer which last set its value.  The layers
+ * are:
+ *
+ * - `env`: The `process.env` defaults.
+ * - `handlers.config`: The `config` initialization handler.
+ * - `jsFileConfig`: The JavaScript File Configuration.
+ * - `siteConfig`: The overlay of the active site declared in the JavaScript File Configuration.
+ * - `runtimeConfig`: The Runtime Configuration.
+ * - `lastKnownGoodConfig`: The last known good Runtime Configuration, used when it couldn't be
+ * fetched.
+ * - `hydrationState`: The configuration rendered by the server (see `getHydrationState`).
+ * - `localOverrides`: Overrides from the query string or local storage (see the ConfigOverrides
+ * module).
+ * - `schemaDefault`: A default declared with `defineConfigSchema`.
+ * - `mergeConfig` and `setConfig`: Calls made by application code outside of the initialization
+ * sequence, unless they name a source themselves.
+ * - `createPlatform`: The `config` option of `createPlatform`.
+ *
+ * ```
+ * getConfigProvenance();
+ * // { LMS_BASE_URL: 'runtimeConfig', SITE_NAME: 'jsFileConfig', LOGIN_URL: 'env', ... }
+ * ```
+ *
+ * @returns {Object} An object of ConfigDocument keys to the names of their layers.
+ */
+export function getConfigProvenance() {
+  return defaultConfigStore.getConfigProvenance();
+}
+
+/**
+ * Prints the ConfigDocument to the console as a table, with the layer which set each value (see
+ * `getConfigProvenance`).  The values of sensitive keys (see `defineSensitiveConfigKeys`) are
+ * redacted.
+ *
+ * This is meant for debugging deployments.  When the `ENABLE_CONFIG_INSPECTOR` config value is
+ * true, `initialize` also makes it available in the browser console as `window.inspectConfig()`.
+ *
+ * @returns {Array} The printed rows, as objects of the form `{ key, value, source }`.
+ */
+export function inspectConfig() {
+  return defaultConfigStore.inspectConfig();
+}
+
+/**
+ * Runs a function, attributing the ConfigDocument values it merges without naming a source to
+ * the given one.
+ *
+ * @ignore
+ * @param {string} source
+ * @param {function} fn
+ * @returns {Promise} Resolves to the function's return value.
+ */
+export function withConfigSource(source, fn) {
+  return defaultConfigStore.withConfigSource(source, fn);
+}
+
+/**
+ * Declares the type, default value and whether each of a set of ConfigDocument keys is required.
+ * Environment variables are always strings, so this lets application code rely on `getConfig`
+ * returning booleans, numbers, arrays and objects where it expects them.
+ *
+ * Each key is described by:
+ *
+ * - `type`: One of `string`, `number`, `boolean`, `array` or `object`.  Strings are coerced to the
+ * type: 'true', 'false', '1' and '0' for booleans, comma-separated lists or JSON arrays for arrays,
+ * and JSON for objects.
+ * - `default`: Used when the value is missing (undefined, null or an empty string).
+ * - `required`: Whether a missing value is an error.  Defaults to false.
+ *
+ * ```
+ * defineConfigSchema({
+ *   SECURE_COOKIES: { type: 'boolean', default: true },
+ *   COURSE_PAGE_SIZE: { type: 'number', default: 20 },
+ *   ENABLED_LANGUAGES: { type: 'array', default: ['en'] },
+ *   LMS_BASE_URL: { type: 'string', required: true },
+ * });
+ * ```
+ *
+ * Values already in the ConfigDocument are coerced right away, and values supplied later via
+ * `mergeConfig` - including the JavaScript File and Runtime Configuration - are coerced as they are
+ * merged.  Values that can't be coerced are left as they are and reported by `validateConfig`.
+ * The initialization sequence validates the ConfigDocument once all of its configuration has been
+ * loaded: errors fail initialization, and warnings are logged.
+ *
+ * The schema can be defined in several calls, for instance by different modules of an
+ * application.  Like `ensureConfig` checks, it is discarded by `resetConfig`.
+ *
+ * @param {Object} schema An object of ConfigDocument keys to `{ type, default, required }`.
+ * @throws {Error} If a key's type is missing or unknown.
+ * @emits CONFIG_CHANGED
+ */
+export function defineConfigSchema(schema) {
+  defaultConfigStore.defineConfigSchema(schema);
+}
+
+/**
+ * Validates the ConfigDocument against the schema declared with `defineConfigSchema`, and returns
+ * an aggregated report:
+ *
+ * ```
+ * {
+ *   // Required values that are missing or can't be coerced to their type.
+ *   errors: [{ key: 'LMS_BASE_URL', message: 'LMS_BASE_URL is required.' }],
+ *   // Optional values that can't be coerced to their type.
+ *   warnings: [{ key: 'COURSE_PAGE_SIZE', message: 'COURSE_PAGE_SIZE must be of type number, but was "lots".' }],
+ * }
+ * ```
+ *
+ * @returns {Object}
+ */
+export function validateConfig() {
+  return defaultConfigStore.validateConfig();
+}
+
+/**
+ * Restores the ConfigDocument to the defaults loaded from `process.env`, discarding anything merged
+ * in since, and cancels the checks registered by `ensureConfig`, the schema declared with
+ * `defineConfigSchema`, the strategies declared with `defineConfigMergeStrategies` and the keys
+ * declared with `defineSensitiveConfigKeys`.  This is
+ * used by `teardown` so that the application can be initialized again from scratch.
+ *
+ * @emits CONFIG_CHANGED
+ */
+export function resetConfig() {
+  defaultConfigStore.resetConfig();
 }
 
 /**
@@ -316,6 +784,8 @@ export function ensureConfig(keys, requester = 'unspecified application code') {
  * @property {boolean} SECURE_COOKIES
  * @property {string} SEGMENT_KEY
  * @property {string} SITE_NAME
+ * @property {string|null} SITE_KEY The key of the active site overlay of the JavaScript File
+ * Configuration, if it declares any.
  * @property {string} USER_INFO_COOKIE_NAME
  * @property {string} LOGO_URL
  * @property {string} LOGO_TRADEMARK_URL
@@ -324,4 +794,29 @@ export function ensureConfig(keys, requester = 'unspecified application code') {
  * @property {string} MFE_CONFIG_API_URL
  * @property {string} APP_ID
  * @property {string} SUPPORT_URL
+ * @property {Object} [FEATURE_FLAGS] The feature flags read by the FeatureFlags module.
+ * @property {Array} [CONFIG_OVERRIDES_ALLOWLIST] The keys which can be overridden locally.  See
+ * the ConfigOverrides module.
+ * @property {number} [ACCESS_TOKEN_REFRESH_LEAD_SECONDS] If set, `AxiosJwtAuthService` refreshes
+ * the access token in the background this many seconds before it expires.
+ * @property {number} [ACCESS_TOKEN_EXPIRY_MARGIN_SECONDS] `AxiosJwtAuthService` considers the
+ * access token expired this many seconds early.  Defaults to 0.
+ * @property {string} [ACCESS_TOKEN_STORAGE] Where `AxiosJwtAuthService` reads the access token
+ * from: `cookie` (the default) or `memory`.
+ * @property {Object} [AUTHORIZATION_HEADER_SCHEMES] The base URLs of the servers which expect the
+ * access token in an `Authorization` header, mapped to the scheme of the header, such as `Bearer`.
+ * @property {Object} [AUTHENTICATED_USER_CLAIMS] Customizes how the auth services make the
+ * authenticated user from the claims of the access or ID token.  Maps user fields to the claim they
+ * are copied from, to a function computing them from the claims, or to null to leave them out.
+ * @property {number} [AUTHENTICATED_USER_HYDRATION_TTL_SECONDS] How long the account data fetched
+ * by `hydrateAuthenticatedUser` is cached.  Defaults to 300.
+ * @property {string} [OAUTH2_AUTHORIZATION_ENDPOINT] The identity provider settings of
+ * `OAuth2PkceAuthService`, along with `OAUTH2_TOKEN_ENDPOINT`, `OAUTH2_CLIENT_ID` and the optional
+ * `OAUTH2_*` values its constructor documents.
+ * @property {number} [IDLE_SESSION_TIMEOUT_SECONDS] If set, users are logged out after this many
+ * seconds without activity.  See the IdleSession module.
+ * @property {number} [IDLE_SESSION_WARNING_SECONDS] How long before the idle logout users are
+ * warned.  Defaults to 60.
+ * @property {string} [FORBIDDEN_PAGE_URL] Where `AuthorizedPageRoute` redirects users who aren't
+ * allowed to see its contents, instead of rendering a `ForbiddenPage`.
  */
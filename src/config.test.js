@@ -0,0 +1,326 @@
+import PubSub from 'pubsub-js';
+import { createConfigStore } from './config';
+import { CONFIG_CHANGED } from './constants';
+import { createPubSub } from './pubSub';
+
+const flushPublishes = () => new Promise(resolve => { setTimeout(resolve, 0); });
+
+describe('createConfigStore', () => {
+  let pubSub;
+  let store;
+
+  beforeEach(() => {
+    PubSub.clearAllSubscriptions();
+    pubSub = createPubSub('CONFIG_TEST');
+    store = createConfigStore({
+      pubSub,
+      initialConfig: {
+        SECURE_COOKIES: 'false',
+        PAGE_SIZE: '25',
+        ENABLED_LANGUAGES: 'en, fr,es-419',
+      },
+    });
+  });
+
+  it('should coerce the current config to the types of the schema', () => {
+    store.defineConfigSchema({
+      SECURE_COOKIES: { type: 'boolean' },
+      PAGE_SIZE: { type: 'number' },
+      ENABLED_LANGUAGES: { type: 'array' },
+    });
+
+    expect(store.getConfig()).toEqual(expect.objectContaining({
+      SECURE_COOKIES: false,
+      PAGE_SIZE: 25,
+      ENABLED_LANGUAGES: ['en', 'fr', 'es-419'],
+    }));
+  });
+
+  it('should coerce merged values and fill in defaults', () => {
+    store.defineConfigSchema({
+      THEME: { type: 'object', default: { name: 'default' } },
+      RETRIES: { type: 'number', default: 3 },
+      ENABLED_LANGUAGES: { type: 'array' },
+    });
+    store.mergeConfig({ THEME: '{"name":"dark"}', ENABLED_LANGUAGES: '["de"]', UNDECLARED: '1' });
+
+    expect(store.getConfig()).toEqual(expect.objectContaining({
+      THEME: { name: 'dark' },
+      RETRIES: 3,
+      ENABLED_LANGUAGES: ['de'],
+      UNDECLARED: '1',
+    }));
+  });
+
+  it('should report missing required values as errors and bad optional values as warnings', () => {
+    store.defineConfigSchema({
+      LMS_BASE_URL: { type: 'string', required: true },
+      PAGE_SIZE: { type: 'number', required: true },
+      SECURE_COOKIES: { type: 'boolean' },
+    });
+    store.mergeConfig({ LMS_BASE_URL: '', PAGE_SIZE: 'lots', SECURE_COOKIES: 'maybe' });
+
+    expect(store.validateConfig()).toEqual({
+      errors: [
+        { key: 'LMS_BASE_URL', message: 'LMS_BASE_URL is required.' },
+        { key: 'PAGE_SIZE', message: 'PAGE_SIZE must be of type number, but was "lots".' },
+      ],
+      warnings: [
+        { key: 'SECURE_COOKIES', message: 'SECURE_COOKIES must be of type boolean, but was "maybe".' },
+      ],
+    });
+  });
+
+  it('should throw if a schema type is unknown', () => {
+    expect(() => store.defineConfigSchema({ PAGE_SIZE: { type: 'integer' } })).toThrow(
+      'Config schema for PAGE_SIZE must have a type of string, number, boolean, array, object.',
+    );
+  });
+
+  it('should discard the schema on reset', () => {
+    store.defineConfigSchema({ LMS_BASE_URL: { type: 'string', required: true } });
+    store.resetConfig();
+    store.mergeConfig({ LMS_BASE_URL: '' });
+
+    expect(store.validateConfig()).toEqual({ errors: [], warnings: [] });
+    expect(store.getConfig().PAGE_SIZE).toEqual('25');
+  });
+});
+
+describe('config changes', () => {
+  let pubSub;
+  let store;
+
+  beforeEach(() => {
+    PubSub.clearAllSubscriptions();
+    pubSub = createPubSub('CONFIG_TEST');
+    store = createConfigStore({ pubSub, initialConfig: { SITE_NAME: 'edX', LMS_BASE_URL: 'http://lms' } });
+  });
+
+  it('should publish the values changed by mergeConfig', async () => {
+    const listener = jest.fn();
+    pubSub.subscribe(CONFIG_CHANGED, listener);
+
+    store.mergeConfig({ SITE_NAME: 'Open edX', LMS_BASE_URL: 'http://lms', NEW_VAR: 'new' });
+    await flushPublishes();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(CONFIG_CHANGED, {
+      SITE_NAME: { previous: 'edX', current: 'Open edX' },
+      NEW_VAR: { previous: undefined, current: 'new' },
+    });
+  });
+
+  it('should publish the values removed by setConfig', async () => {
+    const listener = jest.fn();
+    pubSub.subscribe(CONFIG_CHANGED, listener);
+
+    store.setConfig({ ...store.getConfig(), SITE_NAME: undefined });
+    await flushPublishes();
+
+    expect(listener).toHaveBeenCalledWith(CONFIG_CHANGED, {
+      SITE_NAME: { previous: 'edX', current: undefined },
+    });
+  });
+
+  it('should not publish if nothing changed', async () => {
+    const listener = jest.fn();
+    pubSub.subscribe(CONFIG_CHANGED, listener);
+
+    store.mergeConfig({ SITE_NAME: 'edX' });
+    await flushPublishes();
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('should only call key subscribers when their keys change', async () => {
+    const siteNameListener = jest.fn();
+    const urlListener = jest.fn();
+    store.subscribeToConfig('SITE_NAME', siteNameListener);
+    const token = store.subscribeToConfig(['LMS_BASE_URL', 'LOGIN_URL'], urlListener);
+
+    store.mergeConfig({ SITE_NAME: 'Open edX', OTHER_VAR: 'other' });
+    await flushPublishes();
+
+    expect(siteNameListener).toHaveBeenCalledWith({ SITE_NAME: { previous: 'edX', current: 'Open edX' } });
+    expect(urlListener).not.toHaveBeenCalled();
+
+    pubSub.unsubscribe(token);
+    store.mergeConfig({ LMS_BASE_URL: 'http://other-lms' });
+    await flushPublishes();
+
+    expect(urlListener).not.toHaveBeenCalled();
+  });
+});
+
+describe('config provenance', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createConfigStore({ initialConfig: { APP_ID: 'learning' } });
+  });
+
+  it('should record the source of each key', async () => {
+    store.mergeConfig({ SITE_NAME: 'Open edX' }, 'jsFileConfig');
+    await store.withConfigSource('handlers.config', async () => {
+      store.mergeConfig({ HANDLER_VAR: 'value' });
+    });
+    store.mergeConfig({ OTHER_VAR: 'value' });
+    store.defineConfigSchema({ PAGE_SIZE: { type: 'number', default: 20 } });
+
+    expect(store.getConfigProvenance()).toEqual(expect.objectContaining({
+      LMS_BASE_URL: 'env',
+      APP_ID: 'createPlatform',
+      SITE_NAME: 'jsFileConfig',
+      HANDLER_VAR: 'handlers.config',
+      OTHER_VAR: 'mergeConfig',
+      PAGE_SIZE: 'schemaDefault',
+    }));
+
+    store.resetConfig();
+    expect(store.getConfigProvenance().SITE_NAME).toEqual('env');
+    expect(store.getConfigProvenance().HANDLER_VAR).toBeUndefined();
+  });
+
+  it('should print the config with the source of each value and secrets redacted', () => {
+    // eslint-disable-next-line no-console
+    console.table = jest.fn();
+    store.mergeConfig({ SEGMENT_KEY: 'abc123', CLIENT_SECRET: 'shh', SITE_NAME: 'Open edX' }, 'runtimeConfig');
+
+    const rows = store.inspectConfig();
+
+    // eslint-disable-next-line no-console
+    expect(console.table).toHaveBeenCalledWith(rows);
+    expect(rows).toEqual(expect.arrayContaining([
+      { key: 'SEGMENT_KEY', value: '[REDACTED]', source: 'runtimeConfig' },
+      { key: 'CLIENT_SECRET', value: '[REDACTED]', source: 'runtimeConfig' },
+      { key: 'SITE_NAME', value: 'Open edX', source: 'runtimeConfig' },
+      { key: 'APP_ID', value: 'learning', source: 'createPlatform' },
+    ]));
+  });
+});
+
+describe('config merge strategies', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createConfigStore({
+      initialConfig: {
+        PLUGIN_SLOTS: { header: { plugins: ['logo'], visible: true }, footer: { plugins: [] } },
+        ALLOWED_ORIGINS: ['https://a.example.com'],
+        SCRIPTS: ['a.js'],
+      },
+    });
+  });
+
+  it('should replace values by default', () => {
+    store.mergeConfig({ PLUGIN_SLOTS: { header: { visible: false } }, ALLOWED_ORIGINS: ['https://b.example.com'] });
+
+    expect(store.getConfig().PLUGIN_SLOTS).toEqual({ header: { visible: false } });
+    expect(store.getConfig().ALLOWED_ORIGINS).toEqual(['https://b.example.com']);
+  });
+
+  it('should merge values with the strategies declared for their keys', () => {
+    const initialSlots = store.getConfig().PLUGIN_SLOTS;
+    store.defineConfigMergeStrategies({ PLUGIN_SLOTS: 'deep', ALLOWED_ORIGINS: 'unique', SCRIPTS: 'append' });
+
+    store.mergeConfig({
+      PLUGIN_SLOTS: { header: { visible: false } },
+      ALLOWED_ORIGINS: ['https://a.example.com', 'https://b.example.com'],
+      SCRIPTS: ['a.js', 'b.js'],
+    });
+
+    expect(store.getConfig()).toEqual(expect.objectContaining({
+      PLUGIN_SLOTS: { header: { plugins: ['logo'], visible: false }, footer: { plugins: [] } },
+      ALLOWED_ORIGINS: ['https://a.example.com', 'https://b.example.com'],
+      SCRIPTS: ['a.js', 'a.js', 'b.js'],
+    }));
+    expect(initialSlots.header.visible).toBe(true);
+  });
+
+  it('should apply the strategy option to keys without a strategy of their own', () => {
+    store.defineConfigMergeStrategies({ SCRIPTS: 'replace' });
+
+    store.mergeConfig({ PLUGIN_SLOTS: { footer: { plugins: ['copyright'] } }, SCRIPTS: ['b.js'] }, 'runtimeConfig', { strategy: 'deep' });
+
+    expect(store.getConfig().PLUGIN_SLOTS).toEqual({ header: { plugins: ['logo'], visible: true }, footer: { plugins: ['copyright'] } });
+    expect(store.getConfig().SCRIPTS).toEqual(['b.js']);
+  });
+
+  it('should replace values which the strategy cannot combine', () => {
+    store.defineConfigMergeStrategies({ ALLOWED_ORIGINS: 'unique' });
+
+    store.mergeConfig({ ALLOWED_ORIGINS: 'https://b.example.com' });
+
+    expect(store.getConfig().ALLOWED_ORIGINS).toEqual('https://b.example.com');
+  });
+
+  it('should throw if a strategy is unknown', () => {
+    expect(() => store.defineConfigMergeStrategies({ SCRIPTS: 'concat' })).toThrow(
+      'Config merge strategy for SCRIPTS must be one of replace, deep, append, unique.',
+    );
+  });
+});
+
+describe('sensitive config keys', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createConfigStore({
+      initialConfig: { SEGMENT_WRITE_KEY: 'abc123', RECAPTCHA_SITE: 'shh', SITE_NAME: 'Open edX' },
+    });
+    store.defineSensitiveConfigKeys(['RECAPTCHA_SITE']);
+  });
+
+  it('should treat declared keys and keys which look like secrets as sensitive', () => {
+    expect(store.isSensitiveConfigKey('RECAPTCHA_SITE')).toBe(true);
+    expect(store.isSensitiveConfigKey('SEGMENT_WRITE_KEY')).toBe(true);
+    expect(store.isSensitiveConfigKey('SITE_NAME')).toBe(false);
+
+    store.resetConfig();
+    expect(store.isSensitiveConfigKey('RECAPTCHA_SITE')).toBe(false);
+  });
+
+  it('should redact sensitive values, leaving empty ones as they are', () => {
+    expect(store.redactConfig({ RECAPTCHA_SITE: 'shh', CLIENT_SECRET: null, SITE_NAME: 'Open edX' })).toEqual({
+      RECAPTCHA_SITE: '[REDACTED]',
+      CLIENT_SECRET: null,
+      SITE_NAME: 'Open edX',
+    });
+    expect(store.getConfig().RECAPTCHA_SITE).toEqual('shh');
+  });
+
+  it('should redact sensitive values when the config is serialized', () => {
+    store.mergeConfig({ API_TOKEN: 'xyz' });
+    store.setConfig({ ...store.getConfig(), LMS_BASE_URL: 'https://lms.example.com' });
+
+    const serialized = JSON.parse(JSON.stringify(store.getConfig()));
+
+    expect(serialized).toEqual(expect.objectContaining({
+      SEGMENT_WRITE_KEY: '[REDACTED]',
+      RECAPTCHA_SITE: '[REDACTED]',
+      API_TOKEN: '[REDACTED]',
+      SITE_NAME: 'Open edX',
+      LMS_BASE_URL: 'https://lms.example.com',
+    }));
+    expect(Object.keys(store.getConfig())).not.toContain('toJSON');
+  });
+
+  it('should not redact the site key', () => {
+    store.mergeConfig({ SITE_KEY: 'acme' });
+
+    expect(store.isSensitiveConfigKey('SITE_KEY')).toBe(false);
+    expect(JSON.parse(JSON.stringify(store.getConfig())).SITE_KEY).toEqual('acme');
+    expect(store.redactConfig({ SITE_KEY: 'acme' })).toEqual({ SITE_KEY: 'acme' });
+  });
+
+  it('should redact declared keys when the config is inspected', () => {
+    // eslint-disable-next-line no-console
+    console.table = jest.fn();
+
+    expect(store.inspectConfig()).toEqual(expect.arrayContaining([
+      { key: 'RECAPTCHA_SITE', value: '[REDACTED]', source: 'createPlatform' },
+      { key: 'SITE_NAME', value: 'Open edX', source: 'createPlatform' },
+    ]));
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * The strategies with which `mergeConfig` combines a new value with the existing one.
+ *
+ * @ignore
+ */
+
+const isPlainObject = value => (
+  typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype
+);
+
+// Merges plain objects recursively, without modifying either.  Anything else, arrays included, is
+// replaced.
+function deepMerge(existing, value) {
+  if (!isPlainObject(existing) || !isPlainObject(value)) {
+    return value;
+  }
+  const merged = { ...existing };
+  Object.keys(value).forEach((key) => {
+    merged[key] = deepMerge(existing[key], value[key]);
+  });
+  return merged;
+}
+
+const appendArrays = (existing, value) => (
+  Array.isArray(existing) && Array.isArray(value) ? [...existing, ...value] : value
+);
+
+const mergeStrategies = {
+  replace: (existing, value) => value,
+  deep: deepMerge,
+  append: appendArrays,
+  unique: (existing, value) => {
+    const appended = appendArrays(existing, value);
+    return appended === value ? value : [...new Set(appended)];
+  },
+};
+
+/**
+ * Throws if a map passed to `defineConfigMergeStrategies` names an unknown strategy.
+ *
+ * @param {Object} strategies
+ * @throws {Error}
+ */
+export function checkMergeStrategies(strategies) {
+  Object.entries(strategies).forEach(([key, strategy]) => {
+    if (mergeStrategies[strategy] === undefined) {
+      throw new Error(`Config merge strategy for ${key} must be one of ${Object.keys(mergeStrategies).join(', ')}.`);
+    }
+  });
+}
+
+/**
+ * Combines new values with the existing config, using the strategy declared for each key, or the
+ * default strategy for keys without one.  Neither object is modified.
+ *
+ * @param {Object} config
+ * @param {Object} values
+ * @param {Object} strategies An object of keys to strategy names.
+ * @param {string} defaultStrategy
+ * @returns {Object} The merged values of the keys in `values`.
+ */
+export function mergeConfigValues(config, values, strategies, defaultStrategy) {
+  const merged = {};
+  Object.keys(values).forEach((key) => {
+    const strategy = mergeStrategies[strategies[key] || defaultStrategy];
+    merged[key] = strategy(config[key], values[key]);
+  });
+  return merged;
+}
@@ -0,0 +1,121 @@
+/**
+ * #### Import members from **@edx/frontend-platform**
+ *
+ * Local config overrides let a developer flip config values in one browser - to reproduce a
+ * production issue, for instance - without redeploying.  They are opt-in: only the keys listed in
+ * the `CONFIG_OVERRIDES_ALLOWLIST` config value (an array, or a comma-separated string) can be
+ * overridden, and nothing is overridden if it's empty.
+ *
+ * Overrides are read from `config.`-prefixed query string parameters:
+ *
+ * ```
+ * https://learning.example.com/?config.IGNORED_ERROR_REGEX=^Network%20Error&config.LMS_BASE_URL=http://localhost:18000
+ * ```
+ *
+ * They are saved in local storage, so they remain in effect as the developer navigates, until they
+ * are cleared with `clearConfigOverrides` or the banner `AppProvider` displays while they're
+ * active.  They form the last configuration layer applied by `initialize`, after the Runtime
+ * Configuration, and before `APP_CONFIG_INITIALIZED` is published.  Values are strings, unless
+ * their keys are given a type with `defineConfigSchema`.
+ *
+ * @module ConfigOverrides
+ */
+import { getConfig, getConfigProvenance } from './config';
+import { getQueryParameters } from './utils';
+
+const CONFIG_OVERRIDES_KEY = 'frontend-platform.config-overrides';
+const QUERY_PARAMETER_PREFIX = 'config.';
+
+function getAllowlist(config) {
+  const allowlist = config.CONFIG_OVERRIDES_ALLOWLIST;
+  if (typeof allowlist === 'string') {
+    return allowlist.split(',').map(key => key.trim()).filter(key => key !== '');
+  }
+  return Array.isArray(allowlist) ? allowlist : [];
+}
+
+function readStoredOverrides(appId) {
+  try {
+    return JSON.parse(global.localStorage.getItem(`${CONFIG_OVERRIDES_KEY}.${appId}`)) || {};
+  } catch (error) {
+    // Local storage is unavailable in some private browsing modes, or the entry is corrupt.
+    return {};
+  }
+}
+
+function writeStoredOverrides(appId, overrides) {
+  try {
+    if (Object.keys(overrides).length === 0) {
+      global.localStorage.removeItem(`${CONFIG_OVERRIDES_KEY}.${appId}`);
+    } else {
+      global.localStorage.setItem(`${CONFIG_OVERRIDES_KEY}.${appId}`, JSON.stringify(overrides));
+    }
+  } catch (error) {
+    // Local storage is unavailable in some private browsing modes.
+  }
+}
+
+/**
+ * Merges the allowed local config overrides into the config of a platform instance.  Overrides of
+ * keys which aren't allowed are discarded with a warning.
+ *
+ * @ignore
+ * @param {Object} platform
+ */
+export function applyConfigOverrides(platform) {
+  const config = platform.getConfig();
+  const allowlist = getAllowlist(config);
+  if (allowlist.length === 0 || typeof window === 'undefined') {
+    return;
+  }
+
+  const queryOverrides = {};
+  Object.entries(getQueryParameters()).forEach(([name, value]) => {
+    if (name.startsWith(QUERY_PARAMETER_PREFIX)) {
+      queryOverrides[name.slice(QUERY_PARAMETER_PREFIX.length)] = value;
+    }
+  });
+
+  const overrides = {};
+  const rejectedKeys = [];
+  Object.entries({ ...readStoredOverrides(config.APP_ID), ...queryOverrides }).forEach(([key, value]) => {
+    if (allowlist.includes(key)) {
+      overrides[key] = value;
+    } else {
+      rejectedKeys.push(key);
+    }
+  });
+
+  if (rejectedKeys.length > 0) {
+    // eslint-disable-next-line no-console
+    console.warn(`App configuration error: ${rejectedKeys.join(', ')} cannot be overridden locally.`);
+  }
+  writeStoredOverrides(config.APP_ID, overrides);
+  if (Object.keys(overrides).length > 0) {
+    platform.mergeConfig(overrides, 'localOverrides');
+  }
+}
+
+/**
+ * Returns the local config overrides in effect, as an object of config keys to their overridden
+ * values.
+ *
+ * @returns {Object}
+ */
+export function getConfigOverrides() {
+  const config = getConfig();
+  const provenance = getConfigProvenance();
+  return Object.fromEntries(
+    Object.keys(provenance)
+      .filter(key => provenance[key] === 'localOverrides')
+      .map(key => [key, config[key]]),
+  );
+}
+
+/**
+ * Removes the local config overrides saved in local storage.  The overridden values remain in
+ * the config until the page is reloaded without `config.` query string parameters.
+ */
+export function clearConfigOverrides() {
+  writeStoredOverrides(getConfig().APP_ID, {});
+}
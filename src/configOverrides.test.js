@@ -0,0 +1,64 @@
+import {
+  applyConfigOverrides, getConfigOverrides, clearConfigOverrides,
+} from './configOverrides';
+import {
+  getConfig, mergeConfig, resetConfig, defineConfigSchema,
+} from './config';
+
+const platform = { getConfig, mergeConfig };
+const storageKey = 'frontend-platform.config-overrides.learning';
+
+describe('config overrides', () => {
+  beforeEach(() => {
+    global.localStorage.clear();
+    mergeConfig({ APP_ID: 'learning', CONFIG_OVERRIDES_ALLOWLIST: ['LMS_BASE_URL', 'PAGE_SIZE'] });
+    // eslint-disable-next-line no-console
+    console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    window.history.replaceState({}, '', '/');
+    resetConfig();
+  });
+
+  it('should apply allowed overrides from the query string and save them', () => {
+    window.history.replaceState({}, '', '/?config.LMS_BASE_URL=http%3A%2F%2Flocalhost%3A18000&config.SITE_NAME=Hacked&other=1');
+
+    applyConfigOverrides(platform);
+
+    expect(getConfig().LMS_BASE_URL).toEqual('http://localhost:18000');
+    expect(getConfig().SITE_NAME).not.toEqual('Hacked');
+    expect(getConfigOverrides()).toEqual({ LMS_BASE_URL: 'http://localhost:18000' });
+    expect(JSON.parse(global.localStorage.getItem(storageKey))).toEqual({ LMS_BASE_URL: 'http://localhost:18000' });
+    // eslint-disable-next-line no-console
+    expect(console.warn).toHaveBeenCalledWith('App configuration error: SITE_NAME cannot be overridden locally.');
+  });
+
+  it('should apply saved overrides, with the query string taking precedence', () => {
+    defineConfigSchema({ PAGE_SIZE: { type: 'number' } });
+    global.localStorage.setItem(storageKey, JSON.stringify({ LMS_BASE_URL: 'http://saved', PAGE_SIZE: '10' }));
+    window.history.replaceState({}, '', '/?config.PAGE_SIZE=50');
+
+    applyConfigOverrides(platform);
+
+    expect(getConfigOverrides()).toEqual({ LMS_BASE_URL: 'http://saved', PAGE_SIZE: 50 });
+  });
+
+  it('should not apply overrides unless keys are allowed', () => {
+    mergeConfig({ CONFIG_OVERRIDES_ALLOWLIST: '' });
+    window.history.replaceState({}, '', '/?config.LMS_BASE_URL=http://localhost:18000');
+
+    applyConfigOverrides(platform);
+
+    expect(getConfigOverrides()).toEqual({});
+    expect(global.localStorage.getItem(storageKey)).toBeNull();
+  });
+
+  it('should clear saved overrides', () => {
+    global.localStorage.setItem(storageKey, JSON.stringify({ LMS_BASE_URL: 'http://saved' }));
+
+    clearConfigOverrides();
+
+    expect(global.localStorage.getItem(storageKey)).toBeNull();
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Coercion and validation of ConfigDocument values against the schema declared with
+ * `defineConfigSchema`.
+ *
+ * @ignore
+ */
+
+const INVALID = Symbol('invalid');
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+const isPlainObject = value => (
+  typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype
+);
+
+const parseJson = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return INVALID;
+  }
+};
+
+// Each coercer returns the value converted to its type, or INVALID if it can't be.  Values coming
+// from environment variables are always strings, so every type accepts a string representation.
+const coercers = {
+  string: (value) => {
+    if (typeof value === 'string') {
+      return value;
+    }
+    return ['number', 'boolean'].includes(typeof value) ? String(value) : INVALID;
+  },
+  number: (value) => {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : INVALID;
+    }
+    if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+      return Number(value);
+    }
+    return INVALID;
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const normalized = typeof value === 'string' ? value.trim().toLowerCase() : value;
+    if (normalized === 'true' || normalized === '1' || normalized === 1) {
+      return true;
+    }
+    if (normalized === 'false' || normalized === '0' || normalized === 0) {
+      return false;
+    }
+    return INVALID;
+  },
+  array: (value) => {
+    if (Array.isArray(value)) {
+      return value;
+    }
+    if (typeof value !== 'string') {
+      return INVALID;
+    }
+    // Either a JSON array or a comma-separated list.
+    if (value.trim().startsWith('[')) {
+      const parsed = parseJson(value);
+      return Array.isArray(parsed) ? parsed : INVALID;
+    }
+    return value.split(',').map(item => item.trim()).filter(item => item !== '');
+  },
+  object: (value) => {
+    if (isPlainObject(value)) {
+      return value;
+    }
+    if (typeof value !== 'string') {
+      return INVALID;
+    }
+    const parsed = parseJson(value);
+    return isPlainObject(parsed) ? parsed : INVALID;
+  },
+};
+
+/**
+ * Throws if a schema passed to `defineConfigSchema` is malformed.
+ *
+ * @param {Object} schema
+ * @throws {Error}
+ */
+export function checkConfigSchema(schema) {
+  Object.entries(schema).forEach(([key, definition]) => {
+    if (!isPlainObject(definition) || coercers[definition.type] === undefined) {
+      throw new Error(`Config schema for ${key} must have a type of ${Object.keys(coercers).join(', ')}.`);
+    }
+  });
+}
+
+/**
+ * Coerces the values of an object to the types declared in the schema.  Values which aren't in the
+ * schema, are missing, or can't be coerced are returned as they are; `getConfigReport` reports the
+ * latter.
+ *
+ * @param {Object} schema
+ * @param {Object} values
+ * @returns {Object} A new object.
+ */
+export function coerceConfigValues(schema, values) {
+  const coerced = { ...values };
+  Object.keys(values).forEach((key) => {
+    if (schema[key] !== undefined && !isMissing(values[key])) {
+      const value = coercers[schema[key].type](values[key]);
+      if (value !== INVALID) {
+        coerced[key] = value;
+      }
+    }
+  });
+  return coerced;
+}
+
+/**
+ * Returns the defaults of the schema for the keys that are missing from the config.
+ *
+ * @param {Object} schema
+ * @param {Object} config
+ * @returns {Object}
+ */
+export function getConfigDefaults(schema, config) {
+  const defaults = {};
+  Object.entries(schema).forEach(([key, definition]) => {
+    if (isMissing(config[key]) && definition.default !== undefined) {
+      defaults[key] = definition.default;
+    }
+  });
+  return defaults;
+}
+
+/**
+ * Validates a config against a schema.  Missing required values and required values which can't be
+ * coerced to their type are errors.  Optional values which can't be coerced are warnings.
+ *
+ * @param {Object} schema
+ * @param {Object} config
+ * @returns {Object} An object shaped like `{ errors, warnings }`, each an array of
+ * `{ key, message }` objects.
+ */
+export function getConfigReport(schema, config) {
+  const report = { errors: [], warnings: [] };
+  Object.entries(schema).forEach(([key, { type, required = false }]) => {
+    const value = config[key];
+    if (isMissing(value)) {
+      if (required) {
+        report.errors.push({ key, message: `${key} is required.` });
+      }
+      return;
+    }
+    if (coercers[type](value) === INVALID) {
+      const message = `${key} must be of type ${type}, but was ${JSON.stringify(value)}.`;
+      (required ? report.errors : report.warnings).push({ key, message });
+    }
+  });
+  return report;
+}
@@ -45,8 +45,10 @@ export const APP_ANALYTICS_INITIALIZED = `${APP_TOPIC}.ANALYTICS_INITIALIZED`;
 
 /**
  * Event published when the application initialization sequence has finished.  Applications should
- * subscribe to this event and start rendering the UI when it has fired.
+ * subscribe to this event and start rendering the UI when it has fired.  The event's data is the
+ * initialization performance report returned by `getInitializationReport`.
  *
+ * @see {@link module:Initialization~getInitializationReport}
  * @event
  */
 export const APP_READY = `${APP_TOPIC}.READY`;
@@ -60,7 +62,71 @@ export const APP_READY = `${APP_TOPIC}.READY`;
  */
 export const APP_INIT_ERROR = `${APP_TOPIC}.INIT_ERROR`;
 
+/**
+ * Event published when a phase of the application initialization sequence has run past the
+ * timeout supplied for it via the `timeouts` option of `initialize`.  The event's data is an object
+ * of the form `{ phase, timeout }`.  The phase falls back to its defined degraded behavior if it has
+ * one, and otherwise fails the initialization sequence.
+ *
+ * @see {@link module:Initialization~initialize}
+ * @event
+ */
+export const APP_PHASE_TIMEOUT = `${APP_TOPIC}.PHASE_TIMEOUT`;
+
 /** @constant */
 export const CONFIG_TOPIC = 'CONFIG';
 
+/**
+ * Published when values of the ConfigDocument change.  The event's data is an object of the
+ * changed keys, mapped to objects of the form `{ previous, current }`.
+ *
+ * @see {@link module:Config~mergeConfig}
+ * @see {@link module:Config~subscribeToConfig}
+ * @event
+ */
 export const CONFIG_CHANGED = `${CONFIG_TOPIC}.CHANGED`;
+
+/**
+ * Published when the runtime configuration couldn't be fetched from `MFE_CONFIG_API_URL` during
+ * initialization, even after retrying.  The payload is `{ error, usedLastKnownGood }`, where
+ * `usedLastKnownGood` is true if the last runtime configuration successfully fetched on this
+ * browser was used instead.
+ *
+ * @see {@link module:Initialization~initialize}
+ * @event
+ */
+export const CONFIG_RUNTIME_FAILED = `${CONFIG_TOPIC}.RUNTIME_FAILED`;
+
+/** @constant */
+export const FEATURE_FLAGS_TOPIC = 'FEATURE_FLAGS';
+
+/**
+ * Published when the feature flags enabled for the authenticated user change, because either the
+ * `FEATURE_FLAGS` config value or the authenticated user changed.  The event's data is an object
+ * of flag names to booleans, as returned by `getFeatureFlags`.
+ *
+ * @see {@link module:FeatureFlags}
+ * @event
+ */
+export const FEATURE_FLAGS_CHANGED = `${FEATURE_FLAGS_TOPIC}.CHANGED`;
+
+/** @constant */
+export const IDLE_SESSION_TOPIC = 'IDLE_SESSION';
+
+/**
+ * Published when the user is about to be logged out for inactivity.  The event's data is
+ * `{ deadline }`, when the logout happens in milliseconds since the epoch.
+ *
+ * @see {@link module:IdleSession}
+ * @event
+ */
+export const IDLE_SESSION_WARNING = `${IDLE_SESSION_TOPIC}.WARNING`;
+
+/**
+ * Published when the user is no longer about to be logged out for inactivity, because they
+ * dismissed the warning or were active in another tab.
+ *
+ * @see {@link module:IdleSession}
+ * @event
+ */
+export const IDLE_SESSION_RESUMED = `${IDLE_SESSION_TOPIC}.RESUMED`;
@@ -0,0 +1,204 @@
+/**
+ * #### Import members from **@edx/frontend-platform**
+ *
+ * The feature flags module reads flags from the `FEATURE_FLAGS` config value, so flags can be
+ * supplied by any configuration method, including Runtime Configuration.  Each flag is either a
+ * boolean, or an object describing which users it is enabled for:
+ *
+ * ```
+ * mergeConfig({
+ *   FEATURE_FLAGS: {
+ *     newCourseOutline: true,
+ *     betaDashboard: {
+ *       enabled: false, // Enabled for everyone.  Defaults to false.
+ *       rollout: 25, // Enabled for this percentage of authenticated users, picked by userId.
+ *       roles: ['beta-tester'], // Enabled for users with any of these JWT roles.
+ *       administrators: true, // Enabled for users with the JWT administrator claim.
+ *     },
+ *   },
+ * });
+ *
+ * if (isFeatureEnabled('betaDashboard')) {
+ *   // ...
+ * }
+ * ```
+ *
+ * An object flag is enabled for a user if any of its conditions hold.  Unknown flags are disabled.
+ * Percentage rollouts are stable: a user stays in or out of a rollout from one page load to the
+ * next, and users in a 10% rollout remain in it when it grows to 20%.
+ *
+ * Once the application is initialized, `FEATURE_FLAGS_CHANGED` is published whenever the flags
+ * enabled for the authenticated user change, either because the `FEATURE_FLAGS` config value
+ * changed or because the authenticated user did.  The React module's `useFeatureFlag` hook and
+ * `FeatureGate` component re-render accordingly.
+ *
+ * @module FeatureFlags
+ */
+import { getConfig, subscribeToConfig } from './config';
+import { getAuthenticatedUser, AUTHENTICATED_USER_CHANGED } from './auth';
+import { publish, subscribe, unsubscribe } from './pubSub';
+import { FEATURE_FLAGS_CHANGED } from './constants';
+
+// A 32-bit FNV-1a hash, used to place users in percentage rollouts.
+function hash(string) {
+  let result = 0x811c9dc5;
+  for (let i = 0; i < string.length; i += 1) {
+    // eslint-disable-next-line no-bitwise
+    result ^= string.charCodeAt(i);
+    result = Math.imul(result, 0x01000193);
+  }
+  // eslint-disable-next-line no-bitwise
+  return result >>> 0;
+}
+
+/**
+ * Returns the rollout bucket, from 0 to 99, of a user for a flag.  Each flag has its own buckets,
+ * so the same users aren't always the first to get every feature.
+ *
+ * @ignore
+ * @param {string} name
+ * @param {number|string} userId
+ * @returns {number}
+ */
+export function getRolloutBucket(name, userId) {
+  return hash(`${name}:${userId}`) % 100;
+}
+
+function isFlagEnabled(name, flag, user) {
+  if (typeof flag !== 'object' || flag === null) {
+    return flag === true;
+  }
+  if (flag.enabled === true) {
+    return true;
+  }
+  if (user === null) {
+    return false;
+  }
+  if (flag.administrators === true && user.administrator === true) {
+    return true;
+  }
+  if (Array.isArray(flag.roles) && Array.isArray(user.roles)
+    && flag.roles.some(role => user.roles.includes(role))) {
+    return true;
+  }
+  return typeof flag.rollout === 'number' && getRolloutBucket(name, user.userId) < flag.rollout;
+}
+
+/**
+ * Creates feature flag functions which read the flags from a config store and the user from an
+ * auth service.  Platform instances created with `createPlatform` each have their own; the
+ * functions exported by this module operate on the default instance.
+ *
+ * @ignore
+ * @param {Object} platform An object with `getConfig`, `subscribeToConfig`,
+ * `getAuthenticatedUser`, `subscribe`, `unsubscribe` and `publish` functions.
+ * @returns {Object} An object with `isFeatureEnabled`, `getFeatureFlags`, `watchFeatureFlags`
+ * and `unwatchFeatureFlags` functions.
+ */
+export function createFeatureFlags(platform) {
+  let subscriptions = [];
+  let publishedFlags = null;
+
+  const getUser = () => {
+    try {
+      return platform.getAuthenticatedUser();
+    } catch (error) {
+      // The auth service hasn't been configured yet.
+      return null;
+    }
+  };
+
+  const getFlags = (user = getUser()) => {
+    const flags = platform.getConfig().FEATURE_FLAGS || {};
+    return Object.fromEntries(
+      Object.keys(flags).map(name => [name, isFlagEnabled(name, flags[name], user)]),
+    );
+  };
+
+  const publishIfChanged = () => {
+    const flags = getFlags();
+    const previousFlags = publishedFlags || {};
+    // Declaring or removing a disabled flag doesn't change anything for the user.
+    const names = new Set([...Object.keys(previousFlags), ...Object.keys(flags)]);
+    if ([...names].some(name => Boolean(previousFlags[name]) !== Boolean(flags[name]))) {
+      publishedFlags = flags;
+      platform.publish(FEATURE_FLAGS_CHANGED, flags);
+    }
+  };
+
+  return {
+    isFeatureEnabled: (name, user = getUser()) => {
+      const flags = platform.getConfig().FEATURE_FLAGS || {};
+      return isFlagEnabled(name, flags[name], user);
+    },
+    getFeatureFlags: getFlags,
+    watchFeatureFlags: () => {
+      // A second `initialize` without a `teardown` watches again, replacing the subscriptions.
+      subscriptions.forEach(platform.unsubscribe);
+      publishedFlags = getFlags();
+      subscriptions = [
+        platform.subscribeToConfig('FEATURE_FLAGS', publishIfChanged),
+        platform.subscribe(AUTHENTICATED_USER_CHANGED, publishIfChanged),
+      ];
+    },
+    unwatchFeatureFlags: () => {
+      subscriptions.forEach(platform.unsubscribe);
+      subscriptions = [];
+      publishedFlags = null;
+    },
+  };
+}
+
+const defaultFeatureFlags = createFeatureFlags({
+  getConfig,
+  subscribeToConfig,
+  getAuthenticatedUser,
+  subscribe,
+  unsubscribe,
+  publish,
+});
+
+/**
+ * Returns whether a feature flag is enabled for a user.
+ *
+ * ```
+ * if (isFeatureEnabled('betaDashboard')) {
+ *   // ...
+ * }
+ * ```
+ *
+ * @param {string} name
+ * @param {UserData|null} [user] Defaults to the authenticated user.
+ * @returns {boolean}
+ */
+export function isFeatureEnabled(name, user) {
+  return defaultFeatureFlags.isFeatureEnabled(name, user);
+}
+
+/**
+ * Returns whether each of the flags in the `FEATURE_FLAGS` config value is enabled for a user.
+ *
+ * @param {UserData|null} [user] Defaults to the authenticated user.
+ * @returns {Object} An object of flag names to booleans.
+ */
+export function getFeatureFlags(user) {
+  return defaultFeatureFlags.getFeatureFlags(user);
+}
+
+/**
+ * Starts publishing `FEATURE_FLAGS_CHANGED`.  Called by `initialize`.
+ *
+ * @ignore
+ */
+export function watchFeatureFlags() {
+  defaultFeatureFlags.watchFeatureFlags();
+}
+
+/**
+ * Stops publishing `FEATURE_FLAGS_CHANGED`.  Called by `teardown`.
+ *
+ * @ignore
+ */
+export function unwatchFeatureFlags() {
+  defaultFeatureFlags.unwatchFeatureFlags();
+}
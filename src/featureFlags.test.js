@@ -0,0 +1,110 @@
+import PubSub from 'pubsub-js';
+import {
+  isFeatureEnabled, getFeatureFlags, getRolloutBucket, watchFeatureFlags, unwatchFeatureFlags,
+} from './featureFlags';
+import { mergeConfig, resetConfig } from './config';
+import { getAuthenticatedUser, AUTHENTICATED_USER_CHANGED } from './auth';
+import { FEATURE_FLAGS_CHANGED } from './constants';
+import { publish, subscribe } from './pubSub';
+
+jest.mock('./auth', () => ({
+  ...jest.requireActual('./auth'),
+  getAuthenticatedUser: jest.fn(),
+}));
+
+// FEATURE_FLAGS_CHANGED is published from a CONFIG_CHANGED subscriber, so it's delivered a tick later.
+const flushPublishes = async () => {
+  await new Promise(resolve => { setTimeout(resolve, 0); });
+  await new Promise(resolve => { setTimeout(resolve, 0); });
+};
+
+const learner = {
+  userId: 1, username: 'learner', roles: [], administrator: false,
+};
+
+describe('feature flags', () => {
+  beforeEach(() => {
+    PubSub.clearAllSubscriptions();
+    getAuthenticatedUser.mockReturnValue(learner);
+  });
+
+  afterEach(() => {
+    unwatchFeatureFlags();
+    resetConfig();
+  });
+
+  it('should read boolean flags from config', () => {
+    mergeConfig({ FEATURE_FLAGS: { on: true, off: false } });
+
+    expect(isFeatureEnabled('on')).toBe(true);
+    expect(isFeatureEnabled('off')).toBe(false);
+    expect(isFeatureEnabled('unknown')).toBe(false);
+  });
+
+  it('should enable flags for users with matching roles or the administrator claim', () => {
+    mergeConfig({
+      FEATURE_FLAGS: {
+        beta: { roles: ['beta-tester'] },
+        admin: { administrators: true },
+        everyone: { enabled: true, roles: ['beta-tester'] },
+      },
+    });
+    const betaTester = { ...learner, roles: ['beta-tester'] };
+    const administrator = { ...learner, administrator: true };
+
+    expect(getFeatureFlags()).toEqual({ beta: false, admin: false, everyone: true });
+    expect(getFeatureFlags(betaTester)).toEqual({ beta: true, admin: false, everyone: true });
+    expect(getFeatureFlags(administrator)).toEqual({ beta: false, admin: true, everyone: true });
+    expect(getFeatureFlags(null)).toEqual({ beta: false, admin: false, everyone: true });
+  });
+
+  it('should roll flags out to a stable percentage of users', () => {
+    const userIds = Array.from({ length: 1000 }, (value, index) => index);
+    const bucketsOf = userIds.map(userId => getRolloutBucket('rollout', userId));
+    mergeConfig({ FEATURE_FLAGS: { rollout: { rollout: 20 } } });
+
+    const enabledUserIds = userIds.filter(userId => isFeatureEnabled('rollout', { userId }));
+
+    expect(enabledUserIds.length).toBeGreaterThan(150);
+    expect(enabledUserIds.length).toBeLessThan(250);
+    expect(enabledUserIds).toEqual(userIds.filter(userId => bucketsOf[userId] < 20));
+    expect(userIds.map(userId => getRolloutBucket('rollout', userId))).toEqual(bucketsOf);
+    expect(isFeatureEnabled('rollout', null)).toBe(false);
+  });
+
+  it('should publish when the enabled flags change', async () => {
+    const listener = jest.fn();
+    subscribe(FEATURE_FLAGS_CHANGED, listener);
+    mergeConfig({ FEATURE_FLAGS: { beta: { roles: ['beta-tester'] } } });
+    watchFeatureFlags();
+
+    mergeConfig({ FEATURE_FLAGS: { beta: { roles: ['beta-tester'] }, other: false } });
+    await flushPublishes();
+    expect(listener).not.toHaveBeenCalled();
+
+    mergeConfig({ FEATURE_FLAGS: { beta: { roles: ['beta-tester', 'staff'] }, other: true } });
+    await flushPublishes();
+    expect(listener).toHaveBeenCalledWith(FEATURE_FLAGS_CHANGED, { beta: false, other: true });
+
+    getAuthenticatedUser.mockReturnValue({ ...learner, roles: ['staff'] });
+    publish(AUTHENTICATED_USER_CHANGED);
+    await flushPublishes();
+    expect(listener).toHaveBeenLastCalledWith(FEATURE_FLAGS_CHANGED, { beta: true, other: true });
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('should replace its subscriptions when it watches again', async () => {
+    const listener = jest.fn();
+    subscribe(FEATURE_FLAGS_CHANGED, listener);
+    watchFeatureFlags();
+    watchFeatureFlags();
+    unwatchFeatureFlags();
+
+    mergeConfig({ FEATURE_FLAGS: { beta: true } });
+    getAuthenticatedUser.mockReturnValue({ ...learner, roles: ['staff'] });
+    publish(AUTHENTICATED_USER_CHANGED);
+    await flushPublishes();
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
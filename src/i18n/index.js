@@ -105,6 +105,7 @@ export {
   isRtl,
   handleRtl,
   mergeMessages,
+  resetI18n,
   LOCALE_CHANGED,
   LOCALE_TOPIC,
 } from './lib';
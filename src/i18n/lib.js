@@ -34,7 +34,7 @@ import '@formatjs/intl-relativetimeformat/locale-data/ru';
 import '@formatjs/intl-relativetimeformat/locale-data/th';
 import '@formatjs/intl-relativetimeformat/locale-data/uk';
 
-const cookies = new Cookies();
+let cookies = new Cookies();
 const supportedLocales = [
   'ar', // Arabic
   // NOTE: 'en' is not included in this list intentionally, since it's the fallback.
@@ -64,6 +64,7 @@ const rtlLocales = [
 let config = null;
 let loggingService = null;
 let messages = null;
+let acceptLanguage = null;
 
 /**
  * @memberof module:Internationalization
@@ -115,6 +116,27 @@ export function getPrimaryLanguageSubtag(code) {
   return code.split('-')[0];
 }
 
+/**
+ * Returns the language tags of an Accept-Language header, lower cased and ordered from most to
+ * least preferred.  Tags with equal quality values keep the order in which they were listed.
+ *
+ * @ignore
+ * @param {string} header For instance, 'fr-CA,fr;q=0.9,en;q=0.8'.
+ * @returns {Array}
+ */
+function getAcceptedLanguages(header) {
+  return header.split(',')
+    .map((part) => {
+      const [tag, ...parameters] = part.trim().split(';');
+      const quality = parameters.map(parameter => parameter.trim())
+        .find(parameter => parameter.startsWith('q='));
+      return { tag: tag.toLowerCase(), quality: quality ? parseFloat(quality.slice(2)) : 1 };
+    })
+    .filter(({ tag, quality }) => tag !== '' && tag !== '*' && quality > 0)
+    .sort((a, b) => b.quality - a.quality)
+    .map(({ tag }) => tag);
+}
+
 /**
  * Finds the closest supported locale to the one provided.  This is done in three steps:
  *
@@ -140,7 +162,8 @@ export function findSupportedLocale(locale) {
 }
 
 /**
- * Get the locale from the cookie or, failing that, the browser setting.
+ * Get the locale from the cookie or, failing that, the browser setting.  When rendering on the
+ * server, the cookie and Accept-Language header of the incoming request are used instead.
  * Gracefully fall back to a more general primary language subtag or to English (en)
  * if we don't support that language.
  *
@@ -163,10 +186,23 @@ export function getLocale(locale) {
   if (cookieLangPref) {
     return findSupportedLocale(cookieLangPref.toLowerCase());
   }
-  // 3. Browser language (default)
+  // 3. Accept-Language header of the incoming request, when rendering on the server
+  if (acceptLanguage) {
+    // Use the most preferred language we support, which may not be the first one listed.
+    const requestLangPref = getAcceptedLanguages(acceptLanguage).find(
+      tag => findSupportedLocale(tag) !== 'en' || getPrimaryLanguageSubtag(tag) === 'en',
+    );
+    if (requestLangPref) {
+      return findSupportedLocale(requestLangPref);
+    }
+  }
+  // 4. Browser language (default)
   // Note that some browers prefer upper case for the region part of the locale, while others don't.
   // Thus the toLowerCase, for consistency.
   // https://developer.mozilla.org/en-US/docs/Web/API/NavigatorLanguage/language
+  if (!global.navigator) {
+    return 'en';
+  }
   return findSupportedLocale(global.navigator.language.toLowerCase());
 }
 
@@ -198,6 +234,11 @@ export function isRtl(locale) {
  * @memberof module:Internationalization
  */
 export function handleRtl() {
+  // There is no html tag to update when rendering on the server.
+  if (!global.document) {
+    return;
+  }
+
   if (isRtl(getLocale())) {
     global.document.getElementsByTagName('html')[0].setAttribute('dir', 'rtl');
   } else {
@@ -231,6 +272,10 @@ const optionsShape = {
     PropTypes.shape(messagesShape),
     PropTypes.arrayOf(PropTypes.shape(messagesShape)),
   ]).isRequired,
+  request: PropTypes.shape({
+    cookies: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+    acceptLanguage: PropTypes.string,
+  }),
 };
 
 /**
@@ -257,6 +302,9 @@ export function mergeMessages(newMessages) {
  * @param {LoggingService} options.loggingService
  * @param {Object} options.config
  * @param {Object} options.messages
+ * @param {Object} [options.request] The incoming request, when rendering on the server.  Its
+ * `cookies` (a Cookie header string or an object) and `acceptLanguage` header are used by
+ * `getLocale` in place of the browser's.
  * @memberof module:Internationalization
  */
 export function configure(options) {
@@ -267,6 +315,10 @@ export function configure(options) {
   config = options.config;
   messages = Array.isArray(options.messages) ? merge({}, ...options.messages) : options.messages;
 
+  const { request = {} } = options;
+  cookies = new Cookies(request.cookies);
+  acceptLanguage = request.acceptLanguage || null;
+
   if (config.ENVIRONMENT !== 'production') {
     Object.keys(messages).forEach((key) => {
       if (supportedLocales.indexOf(key) < 0) {
@@ -283,3 +335,17 @@ export function configure(options) {
 
   handleRtl();
 }
+
+/**
+ * Clears the messages and configuration supplied to `configure`.  `configure` must be called again
+ * before the i18n functions that depend on them can be used.
+ *
+ * @memberof module:Internationalization
+ */
+export function resetI18n() {
+  config = null;
+  loggingService = null;
+  messages = null;
+  cookies = new Cookies();
+  acceptLanguage = null;
+}
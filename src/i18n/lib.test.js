@@ -154,6 +154,24 @@ describe('lib', () => {
       getCookies().get = jest.fn(() => null);
       expect(getLocale()).toEqual(global.navigator.language.toLowerCase());
     });
+
+    it('should use the most preferred supported language of the request when rendering on the server', () => {
+      configure({
+        loggingService: { logError: jest.fn() },
+        config: {
+          ENVIRONMENT: 'production',
+          LANGUAGE_PREFERENCE_COOKIE_NAME: 'yum',
+        },
+        messages: {
+          'es-419': {},
+          de: {},
+        },
+        request: { cookies: '', acceptLanguage: 'pl, de-AT;q=0.8, es-419;q=0.9, *;q=0.5' },
+      });
+      getCookies().get = jest.fn(() => null);
+
+      expect(getLocale()).toEqual('es-419');
+    });
   });
 
   describe('getMessages', () => {
@@ -0,0 +1,226 @@
+/**
+ * #### Import members from **@edx/frontend-platform**
+ *
+ * The idle session module logs users out after a period of inactivity, for applications used on
+ * shared computers.  It is opt-in: nothing happens unless the `IDLE_SESSION_TIMEOUT_SECONDS`
+ * config value is set.
+ *
+ * ```
+ * mergeConfig({
+ *   IDLE_SESSION_TIMEOUT_SECONDS: 1800, // Log out after 30 minutes without activity.
+ *   IDLE_SESSION_WARNING_SECONDS: 120, // Warn 2 minutes beforehand.  Defaults to 60.
+ * });
+ * ```
+ *
+ * Pointer, keyboard, scroll and touch events count as activity, in any of the tabs of the
+ * application open in the same browser.  `IDLE_SESSION_WARNING` is published once the user has
+ * been idle for the timeout less the warning period, and `AppProvider` shows a dialog counting
+ * down to the logout, which the user can dismiss to stay logged in.  While the warning is up, only
+ * dismissing it (or activity in another tab) keeps the session alive, and the auth service stops
+ * refreshing the access token in the background.  Once the timeout is reached, `redirectToLogout`
+ * is called.  Anonymous users are never warned nor logged out.
+ *
+ * @module IdleSession
+ */
+import { getConfig } from './config';
+import {
+  getAuthService, getAuthenticatedUser, redirectToLogout,
+} from './auth';
+import createCrossTabChannel from './auth/createCrossTabChannel';
+import { publish } from './pubSub';
+import { IDLE_SESSION_WARNING, IDLE_SESSION_RESUMED } from './constants';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart', 'wheel'];
+const LISTENER_OPTIONS = { capture: true, passive: true };
+// Activity is only recorded, and shared with the other tabs, this often at most.
+const ACTIVITY_THROTTLE_MILLISECONDS = 5000;
+const DEFAULT_WARNING_SECONDS = 60;
+
+/**
+ * Creates idle session functions which read the timeouts from a config store and log out through
+ * an auth service.  Platform instances created with `createPlatform` each have their own; the
+ * functions exported by this module operate on the default instance.
+ *
+ * @ignore
+ * @param {Object} platform An object with `getConfig`, `getAuthService`, `getAuthenticatedUser`,
+ * `redirectToLogout` and `publish` functions.
+ * @returns {Object} An object with `watchIdleSession`, `unwatchIdleSession`,
+ * `extendIdleSession` and `getIdleSessionDeadline` functions.
+ */
+export function createIdleSession(platform) {
+  let watching = false;
+  let lastActivity = 0;
+  let warning = false;
+  let timeout = null;
+  let channel = null;
+
+  const getTimeouts = () => {
+    const config = platform.getConfig();
+    return {
+      idleMilliseconds: (Number(config.IDLE_SESSION_TIMEOUT_SECONDS) || 0) * 1000,
+      warningMilliseconds: (Number(config.IDLE_SESSION_WARNING_SECONDS) || DEFAULT_WARNING_SECONDS) * 1000,
+    };
+  };
+
+  const getDeadline = () => lastActivity + getTimeouts().idleMilliseconds;
+
+  // The access token of an idle session is left to expire, so that the session doesn't outlive
+  // the logout if the page is closed during the warning.
+  const setBackgroundRefresh = (enabled) => {
+    let authService;
+    try {
+      authService = platform.getAuthService();
+    } catch (error) {
+      // The auth service hasn't been configured yet.
+      return;
+    }
+    const method = enabled ? 'startRefreshScheduler' : 'stopRefreshScheduler';
+    if (typeof authService[method] === 'function') {
+      authService[method]();
+    }
+  };
+
+  const check = () => {
+    clearTimeout(timeout);
+    const { idleMilliseconds, warningMilliseconds } = getTimeouts();
+    const now = Date.now();
+    if (platform.getAuthenticatedUser() === null) {
+      // There's nothing to log out of, so anonymous users are always considered active.
+      lastActivity = now;
+    }
+    const deadline = lastActivity + idleMilliseconds;
+    if (now >= deadline) {
+      platform.redirectToLogout();
+      return;
+    }
+    if (now >= deadline - warningMilliseconds) {
+      if (!warning) {
+        warning = true;
+        setBackgroundRefresh(false);
+        platform.publish(IDLE_SESSION_WARNING, { deadline });
+      }
+      timeout = setTimeout(check, deadline - now);
+      return;
+    }
+    timeout = setTimeout(check, deadline - warningMilliseconds - now);
+  };
+
+  const resume = (activityTime) => {
+    lastActivity = Math.max(lastActivity, activityTime);
+    if (warning) {
+      warning = false;
+      setBackgroundRefresh(true);
+      platform.publish(IDLE_SESSION_RESUMED);
+    }
+    check();
+  };
+
+  const handleActivity = () => {
+    const now = Date.now();
+    // Moving the mouse toward the dialog doesn't dismiss it.
+    if (warning || now - lastActivity < ACTIVITY_THROTTLE_MILLISECONDS) {
+      return;
+    }
+    lastActivity = now;
+    if (channel) {
+      channel.postMessage({ type: 'activity', time: now });
+    }
+    check();
+  };
+
+  const handleChannelMessage = (message) => {
+    if (message.type === 'activity') {
+      resume(message.time);
+    }
+  };
+
+  return {
+    watchIdleSession: () => {
+      if (watching || typeof window === 'undefined' || getTimeouts().idleMilliseconds === 0) {
+        return;
+      }
+      watching = true;
+      lastActivity = Date.now();
+      // Captured, since scroll events don't bubble.
+      ACTIVITY_EVENTS.forEach(type => global.document.addEventListener(type, handleActivity, LISTENER_OPTIONS));
+      channel = createCrossTabChannel('frontend-platform.idle-session');
+      if (channel) {
+        channel.addListener(handleChannelMessage);
+      }
+      check();
+    },
+    unwatchIdleSession: () => {
+      if (!watching) {
+        return;
+      }
+      watching = false;
+      clearTimeout(timeout);
+      timeout = null;
+      ACTIVITY_EVENTS.forEach(type => global.document.removeEventListener(type, handleActivity, LISTENER_OPTIONS));
+      if (channel) {
+        channel.close();
+        channel = null;
+      }
+      if (warning) {
+        warning = false;
+        setBackgroundRefresh(true);
+      }
+    },
+    extendIdleSession: () => {
+      if (!watching) {
+        return;
+      }
+      const now = Date.now();
+      if (channel) {
+        channel.postMessage({ type: 'activity', time: now });
+      }
+      resume(now);
+    },
+    getIdleSessionDeadline: () => (watching ? getDeadline() : null),
+  };
+}
+
+const defaultIdleSession = createIdleSession({
+  getConfig,
+  getAuthService,
+  getAuthenticatedUser,
+  redirectToLogout,
+  publish,
+});
+
+/**
+ * Starts watching user activity, if the `IDLE_SESSION_TIMEOUT_SECONDS` config value is set.
+ * Called by `initialize`.
+ *
+ * @ignore
+ */
+export function watchIdleSession() {
+  defaultIdleSession.watchIdleSession();
+}
+
+/**
+ * Stops watching user activity.  Called by `teardown`.
+ *
+ * @ignore
+ */
+export function unwatchIdleSession() {
+  defaultIdleSession.unwatchIdleSession();
+}
+
+/**
+ * Keeps the session alive as if the user had just been active, in every tab, dismissing the
+ * warning if it's up.
+ */
+export function extendIdleSession() {
+  defaultIdleSession.extendIdleSession();
+}
+
+/**
+ * Returns when the user will be logged out if they remain idle, in milliseconds since the epoch,
+ * or null if the idle session isn't being watched.
+ *
+ * @returns {number|null}
+ */
+export function getIdleSessionDeadline() {
+  return defaultIdleSession.getIdleSessionDeadline();
+}
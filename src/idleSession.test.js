@@ -0,0 +1,124 @@
+import { createIdleSession } from './idleSession';
+import { IDLE_SESSION_WARNING, IDLE_SESSION_RESUMED } from './constants';
+
+const user = { userId: 1, username: 'learner' };
+
+describe('idle session', () => {
+  let config;
+  let authenticatedUser;
+  let platform;
+  let authService;
+  let idleSession;
+
+  const advanceSeconds = seconds => jest.advanceTimersByTime(seconds * 1000);
+  const beActive = () => global.document.dispatchEvent(new Event('mousemove'));
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    config = { IDLE_SESSION_TIMEOUT_SECONDS: 120, IDLE_SESSION_WARNING_SECONDS: 30 };
+    authenticatedUser = user;
+    authService = { startRefreshScheduler: jest.fn(), stopRefreshScheduler: jest.fn() };
+    platform = {
+      getConfig: () => config,
+      getAuthService: () => authService,
+      getAuthenticatedUser: () => authenticatedUser,
+      redirectToLogout: jest.fn(),
+      publish: jest.fn(),
+    };
+    idleSession = createIdleSession(platform);
+  });
+
+  afterEach(() => {
+    idleSession.unwatchIdleSession();
+    jest.useRealTimers();
+  });
+
+  it('should do nothing unless a timeout is configured', () => {
+    config = {};
+    idleSession.watchIdleSession();
+    advanceSeconds(3600);
+
+    expect(idleSession.getIdleSessionDeadline()).toBeNull();
+    expect(platform.publish).not.toHaveBeenCalled();
+    expect(platform.redirectToLogout).not.toHaveBeenCalled();
+  });
+
+  it('should warn, stop the background refresh, then log out an idle user', () => {
+    idleSession.watchIdleSession();
+    const deadline = Date.now() + 120000;
+    expect(idleSession.getIdleSessionDeadline()).toEqual(deadline);
+
+    advanceSeconds(89);
+    expect(platform.publish).not.toHaveBeenCalled();
+    advanceSeconds(1);
+    expect(platform.publish).toHaveBeenCalledWith(IDLE_SESSION_WARNING, { deadline });
+    expect(authService.stopRefreshScheduler).toHaveBeenCalled();
+
+    advanceSeconds(29);
+    expect(platform.redirectToLogout).not.toHaveBeenCalled();
+    advanceSeconds(1);
+    expect(platform.redirectToLogout).toHaveBeenCalled();
+  });
+
+  it('should postpone the warning while the user is active', () => {
+    idleSession.watchIdleSession();
+    advanceSeconds(60);
+    beActive();
+    advanceSeconds(60);
+
+    expect(platform.publish).not.toHaveBeenCalled();
+    advanceSeconds(30);
+    expect(platform.publish).toHaveBeenCalledWith(IDLE_SESSION_WARNING, expect.anything());
+  });
+
+  it('should only be resumed by extending the session once the warning is up', () => {
+    idleSession.watchIdleSession();
+    advanceSeconds(100);
+    beActive();
+    expect(platform.publish).not.toHaveBeenCalledWith(IDLE_SESSION_RESUMED);
+
+    idleSession.extendIdleSession();
+    expect(platform.publish).toHaveBeenCalledWith(IDLE_SESSION_RESUMED);
+    expect(authService.startRefreshScheduler).toHaveBeenCalled();
+    expect(idleSession.getIdleSessionDeadline()).toEqual(Date.now() + 120000);
+
+    advanceSeconds(30);
+    expect(platform.redirectToLogout).not.toHaveBeenCalled();
+  });
+
+  it('should share activity with the other tabs', () => {
+    jest.spyOn(global.localStorage.__proto__, 'setItem'); // eslint-disable-line no-proto
+    idleSession.watchIdleSession();
+    advanceSeconds(10);
+    beActive();
+
+    const entry = JSON.parse(global.localStorage.setItem.mock.calls[0][1]);
+    expect(entry.message).toEqual({ type: 'activity', time: Date.now() });
+    global.localStorage.setItem.mockRestore();
+
+    advanceSeconds(100);
+    global.dispatchEvent(new StorageEvent('storage', {
+      key: 'frontend-platform.channel.frontend-platform.idle-session',
+      newValue: JSON.stringify({ message: { type: 'activity', time: Date.now() }, nonce: 1 }),
+    }));
+    expect(platform.publish).toHaveBeenCalledWith(IDLE_SESSION_RESUMED);
+    expect(idleSession.getIdleSessionDeadline()).toEqual(Date.now() + 120000);
+  });
+
+  it('should never log out an anonymous user', () => {
+    authenticatedUser = null;
+    idleSession.watchIdleSession();
+    advanceSeconds(3600);
+
+    expect(platform.publish).not.toHaveBeenCalled();
+    expect(platform.redirectToLogout).not.toHaveBeenCalled();
+  });
+
+  it('should stop watching activity', () => {
+    idleSession.watchIdleSession();
+    idleSession.unwatchIdleSession();
+    advanceSeconds(3600);
+
+    expect(platform.redirectToLogout).not.toHaveBeenCalled();
+  });
+});
@@ -18,25 +18,52 @@ export {
   APP_ANALYTICS_INITIALIZED,
   APP_READY,
   APP_INIT_ERROR,
+  APP_PHASE_TIMEOUT,
   CONFIG_TOPIC,
   CONFIG_CHANGED,
+  CONFIG_RUNTIME_FAILED,
+  FEATURE_FLAGS_TOPIC,
+  FEATURE_FLAGS_CHANGED,
+  IDLE_SESSION_TOPIC,
+  IDLE_SESSION_WARNING,
+  IDLE_SESSION_RESUMED,
 } from './constants';
 export {
   initialize,
+  teardown,
+  getInitializationReport,
+  getHydrationState,
   history,
   initError,
   auth,
 } from './initialize';
+export { getPhaseTopic } from './phases';
+export { isFeatureEnabled, getFeatureFlags } from './featureFlags';
+export { getConfigOverrides, clearConfigOverrides } from './configOverrides';
+export { extendIdleSession, getIdleSessionDeadline } from './idleSession';
+export { createPlatform } from './platform';
 export {
   publish,
   subscribe,
   unsubscribe,
+  createPubSub,
 } from './pubSub';
 export {
   getConfig,
   setConfig,
   mergeConfig,
   ensureConfig,
+  resetConfig,
+  defineConfigSchema,
+  defineConfigMergeStrategies,
+  defineSensitiveConfigKeys,
+  isSensitiveConfigKey,
+  redactConfig,
+  validateConfig,
+  subscribeToConfig,
+  getConfigProvenance,
+  inspectConfig,
+  createConfigStore,
 } from './config';
 export {
   initializeMockApp,
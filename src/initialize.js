@@ -60,15 +60,33 @@ import {
 } from './pubSub';
 // eslint-disable-next-line import/no-cycle
 import {
-  getConfig, mergeConfig,
+  getConfig,
+  mergeConfig,
+  resetConfig,
+  validateConfig,
+  inspectConfig,
+  withConfigSource,
+  isSensitiveConfigKey,
+  redactConfig,
 } from './config';
 import {
-  configure as configureLogging, getLoggingService, NewRelicLoggingService, logError,
+  configure as configureLogging,
+  getLoggingService,
+  resetLoggingService,
+  NewRelicLoggingService,
+  logError,
+  logInfo,
 } from './logging';
 import {
-  configure as configureAnalytics, SegmentAnalyticsService, identifyAnonymousUser, identifyAuthenticatedUser,
+  configure as configureAnalytics,
+  SegmentAnalyticsService,
+  NoOpAnalyticsService,
+  identifyAnonymousUser,
+  identifyAuthenticatedUser,
+  resetAnalyticsService,
 } from './analytics';
 import { GoogleAnalyticsLoader } from './scripts';
+import { INJECTED_SCRIPT_ATTRIBUTE } from './scripts/constants';
 import {
   getAuthenticatedHttpClient,
   configure as configureAuth,
@@ -76,9 +94,11 @@ import {
   fetchAuthenticatedUser,
   hydrateAuthenticatedUser,
   getAuthenticatedUser,
+  getLoginRedirectUrl,
+  resetAuthService,
   AxiosJwtAuthService,
 } from './auth';
-import { configure as configureI18n } from './i18n';
+import { configure as configureI18n, getLocale, resetI18n } from './i18n';
 import {
   APP_PUBSUB_INITIALIZED,
   APP_CONFIG_INITIALIZED,
@@ -87,8 +107,14 @@ import {
   APP_LOGGING_INITIALIZED,
   APP_ANALYTICS_INITIALIZED,
   APP_READY, APP_INIT_ERROR,
+  CONFIG_RUNTIME_FAILED,
 } from './constants';
 import configureCache from './auth/LocalForageCache';
+import createRetryInterceptor from './auth/interceptors/createRetryInterceptor';
+import { createPhaseGraph, runPhaseGraph, runWithTimeout } from './phases';
+import { watchFeatureFlags, unwatchFeatureFlags } from './featureFlags';
+import { watchIdleSession, unwatchIdleSession } from './idleSession';
+import { applyConfigOverrides } from './configOverrides';
 
 /**
  * A browser history or memory history object created by the [history](https://github.com/ReactTraining/history)
@@ -114,15 +140,182 @@ export const history = (typeof window !== 'undefined')
  */
 export const basename = getPath(getConfig().PUBLIC_PATH);
 
+/**
+ * The platform instance operated on by the module-level functions of this package.  Its functions
+ * are the top-level exports of the config, logging, analytics and auth modules.  Platform
+ * instances created with `createPlatform` have the same shape.
+ *
+ * @ignore
+ */
+export const defaultPlatform = {
+  publish,
+  getConfig,
+  mergeConfig,
+  resetConfig,
+  validateConfig,
+  inspectConfig,
+  withConfigSource,
+  isSensitiveConfigKey,
+  redactConfig,
+  configureLogging,
+  getLoggingService,
+  resetLoggingService,
+  logError,
+  logInfo,
+  configureAnalytics,
+  resetAnalyticsService,
+  identifyAuthenticatedUser,
+  identifyAnonymousUser,
+  configureAuth,
+  resetAuthService,
+  getAuthenticatedHttpClient,
+  ensureAuthenticatedUser,
+  fetchAuthenticatedUser,
+  hydrateAuthenticatedUser,
+  getAuthenticatedUser,
+  getLoginRedirectUrl,
+  watchFeatureFlags,
+  unwatchFeatureFlags,
+  watchIdleSession,
+  unwatchIdleSession,
+  report: null,
+  ssr: null,
+};
+
+/**
+ * Runs a step of the initialization sequence, recording how long it took in the `steps` section of
+ * the initialization report.
+ *
+ * @ignore
+ * @param {Object} platform
+ * @param {string} name
+ * @param {function} step
+ */
+async function measureStep(platform, name, step) {
+  const startTime = Date.now();
+  try {
+    return await step();
+  } finally {
+    if (platform.report !== null) {
+      // eslint-disable-next-line no-param-reassign
+      platform.report.steps[name] = Date.now() - startTime;
+    }
+  }
+}
+
+/**
+ * Returns the performance report of the most recent initialization sequence, or null if
+ * `initialize` hasn't been called yet.  All durations are in milliseconds.
+ *
+ * ```
+ * {
+ *   startTime: 1700000000000, // Epoch milliseconds at which initialize was called.
+ *   duration: 1234, // Total duration, set once the sequence has finished.
+ *   phases: { pubSub: 0, config: 250, logging: 1, ... }, // Includes custom phases.
+ *   steps: { jsFileConfig: 1, runtimeConfig: 245, fetchAuthenticatedUser: 80, ... },
+ * }
+ * ```
+ *
+ * The `steps` section breaks down the slowest parts of the default phase handlers:
+ * `jsFileConfig`, `runtimeConfig`, `ensureAuthenticatedUser` or `fetchAuthenticatedUser`, and
+ * `identifyAuthenticatedUser` or `identifyAnonymousUser`.
+ *
+ * @returns {Object|null}
+ */
+export function getInitializationReport() {
+  return defaultPlatform.report;
+}
+
+const isSerializable = value => (
+  value === null
+  || ['string', 'number', 'boolean'].includes(typeof value)
+  || Array.isArray(value)
+  || (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype)
+);
+
+/**
+ * Builds the hydration state of a platform instance initialized on the server.
+ *
+ * @ignore
+ * @param {Object} platform
+ * @returns {Object|null}
+ */
+export function createHydrationState(platform) {
+  if (!platform.ssr) {
+    return null;
+  }
+
+  // Sensitive keys are kept: redaction is for logs and inspection, and the client needs the same
+  // ConfigDocument as the server, such as the SEGMENT_KEY of the runtime configuration it won't
+  // request again.
+  const config = Object.fromEntries(
+    Object.entries(platform.getConfig()).filter(([, value]) => isSerializable(value)),
+  );
+  return {
+    url: platform.ssr.request.url,
+    redirectUrl: platform.ssr.redirectUrl,
+    config,
+    authenticatedUser: platform.getAuthenticatedUser(),
+    locale: getLocale(),
+  };
+}
+
+/**
+ * Returns the state produced by server-side initialization (see the `request` option of
+ * `initialize`), or null if `initialize` wasn't given a request.  It is made of plain data, so it
+ * can be serialized into the rendered page and passed to `initialize` on the client as its
+ * `hydrationState` option.
+ *
+ * ```
+ * {
+ *   url: 'https://apps.example.com/learning/course/abc', // The URL of the request.
+ *   redirectUrl: null, // The login URL, if the application requires an authenticated user.
+ *   config: { ... }, // The ConfigDocument, without values such as functions.  Not redacted.
+ *   authenticatedUser: { userId: 1, username: 'learner', ... }, // Or null if anonymous.
+ *   locale: 'fr',
+ * }
+ * ```
+ *
+ * When `redirectUrl` is set, the server should respond with a redirect to it instead of rendering
+ * the application.  Call this function once `initialize` has resolved without publishing
+ * `APP_INIT_ERROR`.
+ *
+ * @returns {Object|null}
+ */
+export function getHydrationState() {
+  return createHydrationState(defaultPlatform);
+}
+
+/**
+ * Flattens the initialization report into a single bundle of custom attributes for the logging
+ * service.
+ *
+ * @ignore
+ * @param {Object} report
+ * @returns {Object}
+ */
+function getReportCustomAttributes(report) {
+  const customAttributes = { 'initialization.duration': report.duration };
+  Object.entries(report.phases).forEach(([name, duration]) => {
+    customAttributes[`initialization.phase.${name}`] = duration;
+  });
+  Object.entries(report.steps).forEach(([name, duration]) => {
+    customAttributes[`initialization.step.${name}`] = duration;
+  });
+  return customAttributes;
+}
+
 /**
  * The default handler for the initialization lifecycle's `initError` phase.  Logs the error to the
  * LoggingService using `logError`
  *
  * @see {@link module:frontend-platform/logging~logError}
  * @param {*} error
+ * @param {Object} [platform] The platform instance being initialized.  Defaults to the default
+ * instance.
  */
-export async function initError(error) {
-  logError(error);
+export async function initError(error, platform = defaultPlatform) {
+  platform.logError(error);
 }
 
 /**
@@ -137,20 +330,78 @@ export async function initError(error) {
  * @param {boolean} requireUser Whether or not we should redirect to login if a user is not
  * authenticated.
  * @param {boolean} hydrateUser Whether or not we should fetch additional user account data.
+ * @param {Object} [platform] The platform instance being initialized.  Defaults to the default
+ * instance.
  */
-export async function auth(requireUser, hydrateUser) {
+export async function auth(requireUser, hydrateUser, platform = defaultPlatform) {
+  if (platform.ssr) {
+    // Only the cookies of the incoming request are available on the server, so the user can be
+    // neither redirected nor hydrated here.  The server responds with a redirect to
+    // `redirectUrl` instead, and the client hydrates the user once it has taken over.
+    await measureStep(platform, 'fetchAuthenticatedUser', () => platform.fetchAuthenticatedUser());
+    if (requireUser && platform.getAuthenticatedUser() === null) {
+      // eslint-disable-next-line no-param-reassign
+      platform.ssr.redirectUrl = platform.getLoginRedirectUrl(platform.ssr.request.url);
+      const unauthorizedError = new Error('Failed to ensure the user is authenticated');
+      unauthorizedError.isRedirecting = true;
+      throw unauthorizedError;
+    }
+    return;
+  }
+
   if (requireUser) {
-    await ensureAuthenticatedUser(global.location.href);
+    await measureStep(
+      platform,
+      'ensureAuthenticatedUser',
+      () => platform.ensureAuthenticatedUser(global.location.href),
+    );
   } else {
-    await fetchAuthenticatedUser();
+    await measureStep(platform, 'fetchAuthenticatedUser', () => platform.fetchAuthenticatedUser());
   }
 
-  if (hydrateUser && getAuthenticatedUser() !== null) {
+  if (hydrateUser && platform.getAuthenticatedUser() !== null) {
     // We intentionally do not await the promise returned by hydrateAuthenticatedUser. All the
     // critical data is returned as part of fetch/ensureAuthenticatedUser above, and anything else
-    // is a nice-to-have for application code.
-    hydrateAuthenticatedUser();
+    // is a nice-to-have for application code.  The auth service logs failures and reports them
+    // through its hydration status, so they're not handled again here.
+    Promise.resolve(platform.hydrateAuthenticatedUser()).catch(() => {});
+  }
+}
+
+/**
+ * Returns the hostname the application is served from: that of the request when rendering on the
+ * server, and that of the window otherwise.
+ *
+ * @ignore
+ * @param {Object} platform
+ * @returns {string|null}
+ */
+function getHostname(platform) {
+  if (platform.ssr) {
+    return new URL(platform.ssr.request.url).hostname;
   }
+  return typeof window !== 'undefined' ? window.location.hostname : null;
+}
+
+/**
+ * Merges the overlay of the site the application is served as over the rest of the configuration,
+ * and records its key as `SITE_KEY`.  See `jsFileConfig`.
+ *
+ * @ignore
+ * @param {Object} platform
+ * @param {Object} sites An object of site keys to config overlays.
+ * @param {function} [resolveSite] Returns the key of the active site.
+ */
+async function siteConfig(platform, sites, resolveSite) {
+  const hostname = getHostname(platform);
+  const siteKey = resolveSite
+    ? await resolveSite({ hostname, config: platform.getConfig() })
+    : Object.keys(sites).find(key => key === hostname);
+
+  platform.mergeConfig({
+    ...(siteKey ? sites[siteKey] : {}),
+    SITE_KEY: siteKey || null,
+  }, 'siteConfig');
 }
 
 /**
@@ -160,8 +411,29 @@ export async function auth(requireUser, hydrateUser) {
  * - An object which will be merged into the application config via `mergeConfig`.
  * - A function which returns an object which will be merged into the application config via
  * `mergeConfig`.  This function can return a promise.
+ *
+ * A single build can also serve several branded sites.  The object may declare per-site overlays
+ * under a `sites` key, keyed by site.  The overlay of the active site is merged over the rest of
+ * the object, and its key is available as the `SITE_KEY` config value and the `siteKey` of
+ * `AppContext`.  By default the site key is the hostname the application is served from, but a
+ * `resolveSite` function can choose it instead.  It receives `{ hostname, config }` and returns a
+ * site key, a promise which resolves to one, or null for no overlay.
+ *
+ * ```
+ * const config = {
+ *   SITE_NAME: 'Open edX',
+ *   sites: {
+ *     'learning.example.com': { SITE_NAME: 'Example', LMS_BASE_URL: 'https://courses.example.com' },
+ *     'learning.example.org': { SITE_NAME: 'Example.org', LOGO_URL: 'https://example.org/logo.svg' },
+ *   },
+ *   // Optional.
+ *   resolveSite: ({ hostname }) => hostname.replace(/^preview\./, ''),
+ * };
+ *
+ * export default config;
+ * ```
  */
-async function jsFileConfig() {
+async function jsFileConfig(platform) {
   let config = {};
   if (typeof envConfig === 'function') {
     config = await envConfig();
@@ -169,42 +441,190 @@ async function jsFileConfig() {
     config = envConfig;
   }
 
-  mergeConfig(config);
+  const { sites, resolveSite, ...fileConfig } = config;
+  platform.mergeConfig(fileConfig, 'jsFileConfig');
+  if (sites) {
+    await siteConfig(platform, sites, resolveSite);
+  }
+}
+
+const LAST_KNOWN_GOOD_CONFIG_KEY = 'frontend-platform.runtime-config';
+
+// The retries of the runtime configuration request hold up the whole initialization, so they're
+// kept short: 250ms, then 500ms.
+const getRuntimeConfigBackoffMilliseconds = nthRetry => nthRetry * 250;
+
+/**
+ * Reads the last runtime configuration successfully fetched for an MFE, along with the time the
+ * runtime configuration API last failed, if it has since.
+ *
+ * @ignore
+ * @param {string} appId
+ * @returns {Object|null} An object shaped like `{ config, failedAt }`, or null.
+ */
+function readLastKnownGoodConfig(appId) {
+  try {
+    const item = global.localStorage.getItem(`${LAST_KNOWN_GOOD_CONFIG_KEY}.${appId}`);
+    return item ? JSON.parse(item) : null;
+  } catch (error) {
+    // Local storage is unavailable on the server and in some private browsing modes.
+    return null;
+  }
+}
+
+function writeLastKnownGoodConfig(appId, lastKnownGood) {
+  try {
+    global.localStorage.setItem(`${LAST_KNOWN_GOOD_CONFIG_KEY}.${appId}`, JSON.stringify(lastKnownGood));
+  } catch (error) {
+    // Local storage is unavailable on the server and in some private browsing modes.
+  }
+}
+
+/**
+ * Merges the last known good runtime configuration into the config, if there is one.
+ *
+ * @ignore
+ * @param {Object} platform
+ * @param {string} strategy The merge strategy of the runtime configuration.
+ * @returns {boolean} Whether there was a last known good runtime configuration.
+ */
+function applyLastKnownGoodConfig(platform, strategy) {
+  const lastKnownGood = readLastKnownGoodConfig(platform.getConfig().APP_ID);
+  if (lastKnownGood === null || !lastKnownGood.config) {
+    return false;
+  }
+  platform.mergeConfig(lastKnownGood.config, 'lastKnownGoodConfig', { strategy });
+  return true;
 }
 
 /*
  * Set or overrides configuration through an API.
  * This method allows runtime configuration.
- * Set a basic configuration when an error happen and allow initError and display the ErrorPage.
+ *
+ * Failed requests are retried with backoff.  If they still fail, the last known good runtime
+ * configuration is used instead, CONFIG_RUNTIME_FAILED is published, and the error is returned so
+ * that it can be logged once the logging service is configured.
+ *
+ * Once the signal is aborted, because the request timed out, the request is cancelled and its
+ * outcome ignored: the timeout's fallback has already applied the last known good configuration.
  */
-async function runtimeConfig() {
-  try {
-    const { MFE_CONFIG_API_URL, APP_ID } = getConfig();
+async function runtimeConfig(platform, {
+  maxRetries = 2,
+  getBackoffMilliseconds = getRuntimeConfigBackoffMilliseconds,
+  cooldown = 0,
+  deepMerge = false,
+} = {}, signal = new AbortController().signal) {
+  const { MFE_CONFIG_API_URL, APP_ID } = platform.getConfig();
+  const strategy = deepMerge ? 'deep' : 'replace';
+  if (!MFE_CONFIG_API_URL) {
+    return null;
+  }
 
-    if (MFE_CONFIG_API_URL) {
-      const apiConfig = { headers: { accept: 'application/json' } };
-      const apiService = await configureCache();
+  const lastKnownGood = readLastKnownGoodConfig(APP_ID);
+  // While the circuit is open, don't wait on an API that has recently failed.
+  const isCircuitOpen = cooldown > 0
+    && lastKnownGood !== null
+    && Date.now() - lastKnownGood.failedAt < cooldown;
+  if (isCircuitOpen && applyLastKnownGoodConfig(platform, strategy)) {
+    return null;
+  }
 
-      const params = new URLSearchParams();
-      params.append('mfe', APP_ID);
-      const url = `${MFE_CONFIG_API_URL}?${params.toString()}`;
+  const params = new URLSearchParams();
+  params.append('mfe', APP_ID);
+  const url = `${MFE_CONFIG_API_URL}?${params.toString()}`;
 
-      const { data } = await apiService.get(url, apiConfig);
-      mergeConfig(data);
+  try {
+    const apiConfig = { headers: { accept: 'application/json' }, maxRetries, signal };
+    const apiService = await configureCache();
+    // The interceptor is applied to this request alone rather than registered on the client, so
+    // that failed retries aren't themselves retried.
+    const retry = createRetryInterceptor({
+      httpClient: apiService,
+      getBackoffMilliseconds,
+      // Unlike the default, server errors are retried too.
+      shouldRetry: error => !signal.aborted
+        && Boolean(error.config) && (!error.response || error.response.status >= 500),
+    });
+
+    let response;
+    try {
+      response = await apiService.get(url, apiConfig);
+    } catch (error) {
+      response = await retry(error);
+    }
+
+    if (signal.aborted) {
+      return null;
     }
+    const { data } = response;
+    platform.mergeConfig(data, 'runtimeConfig', { strategy });
+    writeLastKnownGoodConfig(APP_ID, { config: data, failedAt: null });
+    return null;
   } catch (error) {
-    // eslint-disable-next-line no-console
-    console.error('Error with config API', error.message);
+    if (signal.aborted) {
+      return null;
+    }
+    const usedLastKnownGood = applyLastKnownGoodConfig(platform, strategy);
+    writeLastKnownGoodConfig(APP_ID, {
+      config: lastKnownGood !== null ? lastKnownGood.config : null,
+      failedAt: Date.now(),
+    });
+
+    error.customAttributes = {
+      ...error.customAttributes,
+      url,
+      appId: APP_ID,
+      httpStatus: error.response ? error.response.status : null,
+      usedLastKnownGood,
+    };
+    platform.publish(CONFIG_RUNTIME_FAILED, { error, usedLastKnownGood });
+    return error;
   }
 }
 
-export function loadExternalScripts(externalScripts, data) {
+/**
+ * Gives each external script the config keys it declares in its static `configKeys` property, so
+ * that third-party code never sees the rest of the ConfigDocument.  Scripts which don't declare
+ * any get the whole ConfigDocument, with its sensitive values redacted.
+ *
+ * @ignore
+ * @param {Array} externalScripts
+ * @param {Object} platform
+ */
+export function loadExternalScripts(externalScripts, platform) {
+  const config = platform.getConfig();
   externalScripts.forEach(ExternalScript => {
-    const script = new ExternalScript(data);
+    const scriptConfig = Array.isArray(ExternalScript.configKeys)
+      ? Object.fromEntries(ExternalScript.configKeys.map(key => [key, config[key]]))
+      : platform.redactConfig(config);
+    const script = new ExternalScript({ config: scriptConfig });
     script.loadScript();
   });
 }
 
+/**
+ * Logs the warnings of a `validateConfig` report, and throws its errors as a single error so that
+ * initialization fails.
+ *
+ * @ignore
+ * @param {Object} configReport
+ * @param {Object} platform
+ * @throws {Error}
+ */
+function checkConfigReport({ errors, warnings }, platform) {
+  if (warnings.length > 0) {
+    platform.logInfo(
+      `App configuration has warnings: ${warnings.map(({ message }) => message).join(' ')}`,
+      { configWarnings: warnings.map(({ key }) => key).join(',') },
+    );
+  }
+  if (errors.length > 0) {
+    const error = new Error(`App configuration is invalid: ${errors.map(({ message }) => message).join(' ')}`);
+    error.customAttributes = { configErrors: errors.map(({ key }) => key).join(',') };
+    throw error;
+  }
+}
+
 /**
  * The default handler for the initialization lifecycle's `analytics` phase.
  *
@@ -212,31 +632,227 @@ export function loadExternalScripts(externalScripts, data) {
  * service.  This is a pre-requisite for sending analytics events, thus, we do it during the
  * initialization sequence so that analytics is ready once the application's UI code starts to load.
  *
+ * @param {Object} [platform] The platform instance being initialized.  Defaults to the default
+ * instance.
  */
-export async function analytics() {
-  const authenticatedUser = getAuthenticatedUser();
+export async function analytics(platform = defaultPlatform) {
+  const authenticatedUser = platform.getAuthenticatedUser();
   if (authenticatedUser && authenticatedUser.userId) {
-    identifyAuthenticatedUser(authenticatedUser.userId);
+    await measureStep(
+      platform,
+      'identifyAuthenticatedUser',
+      () => platform.identifyAuthenticatedUser(authenticatedUser.userId),
+    );
   } else {
-    await identifyAnonymousUser();
+    await measureStep(platform, 'identifyAnonymousUser', () => platform.identifyAnonymousUser());
   }
 }
 
-function applyOverrideHandlers(overrides) {
-  const noOp = async () => { };
+const noOp = async () => { };
+
+function applyOverrideHandlers(overrides, platform) {
   return {
     pubSub: noOp,
     config: noOp,
     logging: noOp,
-    auth,
-    analytics,
+    auth: (requireUser, hydrateUser) => auth(requireUser, hydrateUser, platform),
+    analytics: () => analytics(platform),
     i18n: noOp,
     ready: noOp,
-    initError,
+    initError: error => initError(error, platform),
     ...overrides, // This will override any same-keyed handlers from above.
   };
 }
 
+/**
+ * Runs the initialization sequence described by `initialize` against a platform instance.
+ *
+ * @ignore
+ * @param {Object} platform The default platform instance, or one created by `createPlatform`.
+ * @param {Object} [options] The options accepted by `initialize`.
+ */
+export async function initializePlatform(platform, {
+  loggingService = NewRelicLoggingService,
+  analyticsService = SegmentAnalyticsService,
+  authService = AxiosJwtAuthService,
+  authMiddleware = [],
+  externalScripts = [GoogleAnalyticsLoader],
+  requireAuthenticatedUser: requireUser = false,
+  hydrateAuthenticatedUser: hydrateUser = false,
+  messages,
+  handlers: overrideHandlers = {},
+  phases: customPhases = [],
+  timeouts = {},
+  runtimeConfig: runtimeConfigOptions = {},
+  request = null,
+  hydrationState = null,
+} = {}) {
+  const handlers = applyOverrideHandlers(overrideHandlers, platform);
+  // The logging service isn't configured yet when the runtime configuration is fetched and the
+  // ConfigDocument is validated, so any errors are held on to until it is.
+  let runtimeConfigError = null;
+  let configReport = null;
+
+  // The built-in phases run in this order.  Custom phases are slotted in between them according to
+  // their declared dependencies.  Each is given an AbortSignal, aborted if it times out, and stops
+  // before its next side effect once it is.
+  const builtInPhases = {
+    pubSub: async (signal) => {
+      await handlers.pubSub();
+      if (signal.aborted) {
+        return;
+      }
+      platform.publish(APP_PUBSUB_INITIALIZED);
+    },
+    config: async (signal) => {
+      // Subscribes before any configuration is loaded, so that flags from every layer are published.
+      platform.watchFeatureFlags();
+      await platform.withConfigSource('handlers.config', () => handlers.config());
+      await measureStep(platform, 'jsFileConfig', () => jsFileConfig(platform));
+      if (signal.aborted) {
+        return;
+      }
+      if (hydrationState) {
+        // The server has already fetched the runtime configuration.
+        platform.mergeConfig(hydrationState.config, 'hydrationState');
+      } else {
+        runtimeConfigError = await measureStep(platform, 'runtimeConfig', () => runWithTimeout(
+          'runtimeConfig',
+          runtimeConfigSignal => runtimeConfig(platform, runtimeConfigOptions, runtimeConfigSignal),
+          timeouts.runtimeConfig,
+          async () => {
+            applyLastKnownGoodConfig(platform, runtimeConfigOptions.deepMerge ? 'deep' : 'replace');
+            return null;
+          },
+          platform.publish,
+        ));
+      }
+      if (signal.aborted) {
+        return;
+      }
+      if (!platform.ssr) {
+        applyConfigOverrides(platform);
+      }
+      configReport = platform.validateConfig();
+      platform.publish(APP_CONFIG_INITIALIZED);
+
+      if (!platform.ssr) {
+        loadExternalScripts(externalScripts, platform);
+        if (platform.getConfig().ENABLE_CONFIG_INSPECTOR) {
+          global.inspectConfig = platform.inspectConfig;
+        }
+      }
+    },
+    // The service phases below allow us to replace the implementations of the logging, analytics,
+    // and auth services based on keys in the ConfigDocument.  The JavaScript File Configuration
+    // method is the only one capable of supplying an alternate implementation since it can import
+    // other modules.  If a service wasn't supplied we fall back to the default parameters on the
+    // initialize function signature.
+    logging: async (signal) => {
+      platform.configureLogging(platform.getConfig().loggingService || loggingService, {
+        config: platform.getConfig(),
+      });
+      if (runtimeConfigError !== null) {
+        platform.logError(runtimeConfigError);
+      }
+      checkConfigReport(configReport, platform);
+      await handlers.logging();
+      if (signal.aborted) {
+        return;
+      }
+      platform.publish(APP_LOGGING_INITIALIZED);
+    },
+    i18n: async (signal) => {
+      configureI18n({
+        messages,
+        config: platform.getConfig(),
+        loggingService: platform.getLoggingService(),
+        request: platform.ssr ? platform.ssr.request : undefined,
+      });
+      await handlers.i18n();
+      if (signal.aborted) {
+        return;
+      }
+      platform.publish(APP_I18N_INITIALIZED);
+    },
+    auth: async (signal) => {
+      platform.configureAuth(platform.getConfig().authService || authService, {
+        loggingService: platform.getLoggingService(),
+        config: platform.getConfig(),
+        middleware: authMiddleware,
+        cookies: platform.ssr ? platform.ssr.request.cookies : undefined,
+        publish: platform.publish,
+      });
+      await handlers.auth(requireUser, hydrateUser);
+      if (signal.aborted) {
+        return;
+      }
+      platform.watchIdleSession();
+      platform.publish(APP_AUTH_INITIALIZED);
+    },
+    analytics: async (signal) => {
+      // Analytics services inject scripts into the page, so they're replaced on the server.
+      const AnalyticsService = platform.ssr
+        ? NoOpAnalyticsService
+        : platform.getConfig().analyticsService || analyticsService;
+      platform.configureAnalytics(AnalyticsService, {
+        config: platform.getConfig(),
+        loggingService: platform.getLoggingService(),
+        httpClient: platform.getAuthenticatedHttpClient(),
+      });
+      await handlers.analytics();
+      if (signal.aborted) {
+        return;
+      }
+      platform.publish(APP_ANALYTICS_INITIALIZED);
+    },
+    ready: async () => {
+      await handlers.ready();
+    },
+  };
+
+  // Degraded behavior for the built-in phases that can safely be skipped when they time out.
+  const fallbacks = {
+    analytics: async () => {
+      platform.configureAnalytics(NoOpAnalyticsService, {
+        config: platform.getConfig(),
+        loggingService: platform.getLoggingService(),
+        httpClient: platform.getAuthenticatedHttpClient(),
+      });
+      platform.publish(APP_ANALYTICS_INITIALIZED);
+    },
+  };
+
+  const report = {
+    startTime: Date.now(),
+    duration: null,
+    phases: {},
+    steps: {},
+  };
+  // eslint-disable-next-line no-param-reassign
+  platform.report = report;
+  // eslint-disable-next-line no-param-reassign
+  platform.ssr = request ? { request, redirectUrl: null } : null;
+
+  try {
+    await runPhaseGraph(
+      createPhaseGraph(builtInPhases, customPhases, fallbacks, platform.publish),
+      { timings: report.phases, timeouts, publish: platform.publish },
+    );
+
+    // Application Ready
+    report.duration = Date.now() - report.startTime;
+    platform.logInfo('Initialization performance report', getReportCustomAttributes(report));
+    platform.publish(APP_READY, report);
+  } catch (error) {
+    if (!error.isRedirecting) {
+      // Initialization Error
+      await handlers.initError(error);
+      platform.publish(APP_INIT_ERROR, error);
+    }
+  }
+}
+
 /**
  * Invokes the application initialization sequence.
  *
@@ -263,6 +879,118 @@ function applyOverrideHandlers(overrides) {
  * - ready: A no-op by default.
  * - initError: Uses the 'initError' handler defined above.
  *
+ * The duration of each phase is recorded.  Once the sequence has finished, the timings are sent to
+ * the logging service as a single bundle of custom attributes and published as the `APP_READY`
+ * payload.  They are also available via `getInitializationReport`.
+ *
+ * Using the `timeouts` option, phases can be given a timeout in milliseconds, keyed by phase name.
+ * The `runtimeConfig` key applies to the runtime configuration request made during the `config`
+ * phase.  When a phase runs past its timeout, `APP_PHASE_TIMEOUT` is published and the phase falls
+ * back to a degraded behavior:
+ *
+ * - runtimeConfig: The last known good runtime configuration is applied.  Initialization continues
+ * without runtime configuration only when there isn't one.
+ * - analytics: Initialization continues with a `NoOpAnalyticsService`.
+ * - Custom phases: Their `fallback` function is called, if they declare one.
+ *
+ * Any other phase that times out fails the initialization sequence, calling the `initError` handler.
+ * A phase that times out is abandoned: once it finishes, it neither publishes its event nor changes
+ * the configuration.  Custom phase handlers are called with `{ signal }`, an `AbortSignal` aborted at
+ * the timeout, which they should check before their own side effects.
+ *
+ * ```
+ * initialize({
+ *   messages,
+ *   timeouts: {
+ *     runtimeConfig: 5000,
+ *     analytics: 1000,
+ *   },
+ * });
+ * ```
+ *
+ * The runtime configuration request made during the `config` phase is retried twice, with a short
+ * backoff, when it fails.  Each successful response is saved in local storage, and if the request
+ * still fails (or times out), the last known good runtime configuration is used instead.  A failure
+ * publishes `CONFIG_RUNTIME_FAILED` and is logged with `logError` once the logging service is
+ * configured.
+ * The `runtimeConfig` option controls this behavior:
+ *
+ * ```
+ * initialize({
+ *   messages,
+ *   runtimeConfig: {
+ *     maxRetries: 3, // Defaults to 2.
+ *     getBackoffMilliseconds: nthRetry => nthRetry * 500, // Defaults to 250ms, then 500ms.
+ *     // After a failure, use the last known good runtime configuration without calling the API
+ *     // for this many milliseconds.  Defaults to 0, which always calls the API.
+ *     cooldown: 5 * 60 * 1000,
+ *     // Merge nested objects over those of the build-time configuration rather than replacing
+ *     // them.  Defaults to false.  See `defineConfigMergeStrategies`.
+ *     deepMerge: true,
+ *   },
+ * });
+ * ```
+ *
+ * Once all of its configuration has been loaded, the ConfigDocument is validated against the
+ * schema declared with `defineConfigSchema`.  Warnings are logged with `logInfo`, and errors fail
+ * the initialization sequence during the `logging` phase, once they can be logged.
+ *
+ * Using the `request` option, `initialize` can also run under Node to render an application on the
+ * server.  The request is described by its absolute `url`, its `cookies` (the Cookie header, or an
+ * object of cookie values) and its `acceptLanguage` header.  In this mode, browser-only work is
+ * skipped or stubbed:
+ *
+ * - External scripts aren't loaded, and the analytics service is replaced by a
+ * `NoOpAnalyticsService`.
+ * - The authenticated user is read from the request's JWT cookie.  It is never refreshed, redirected
+ * to login or hydrated; see `getHydrationState` for how redirects are handled.
+ * - The locale is read from the request's language preference cookie or Accept-Language header.
+ * - Nothing is cached in, or read from, localforage.
+ *
+ * Once initialized, `getHydrationState` returns plain data which the server embeds in the page.
+ * The client then passes it to `initialize` as the `hydrationState` option, which merges the
+ * server's configuration in place of requesting the runtime configuration again.
+ *
+ * ```
+ * // On the server, for each incoming request:
+ * await initialize({
+ *   messages,
+ *   request: {
+ *     url: `https://${req.headers.host}${req.url}`,
+ *     cookies: req.headers.cookie,
+ *     acceptLanguage: req.headers['accept-language'],
+ *   },
+ * });
+ * const state = getHydrationState();
+ * // Render the application, embedding JSON.stringify(state) in the page.
+ *
+ * // On the client:
+ * initialize({ messages, hydrationState: window.PLATFORM_STATE });
+ * ```
+ *
+ * Note that the i18n module is shared by the whole process, so requests must be initialized and
+ * rendered one at a time, calling `teardown` after each one.
+ *
+ * Using the `phases` option, applications can also add their own named phases to the sequence.
+ * Each custom phase declares which phases it must run `after` and `before`, and the sequence works
+ * out the resulting order.  Phases that don't depend on each other run in parallel.  The `ready`
+ * phase always waits for every custom phase to finish.  When a custom phase finishes, an event
+ * named by `getPhaseTopic` is published (`APP.FEATURE_FLAGS_INITIALIZED` for the example below).
+ *
+ * ```
+ * initialize({
+ *   messages,
+ *   phases: [{
+ *     name: 'featureFlags',
+ *     after: ['config'],
+ *     before: ['auth'],
+ *     handler: async () => {
+ *       mergeConfig(await loadFeatureFlags());
+ *     },
+ *   }],
+ * });
+ * ```
+ *
  * @param {Object} [options]
  * @param {*} [options.loggingService=NewRelicLoggingService] The `LoggingService` implementation
  * to use.
@@ -270,7 +998,9 @@ function applyOverrideHandlers(overrides) {
  * implementation to use.
  * @param {*} [options.authMiddleware=[]] An array of middleware to apply to http clients in the auth service.
  * @param {*} [options.externalScripts=[GoogleAnalyticsLoader]] An array of externalScripts.
- * By default added GoogleAnalyticsLoader.
+ * By default added GoogleAnalyticsLoader.  Each is constructed with `{ config }`, made of the keys
+ * listed in its static `configKeys` array, or of the whole ConfigDocument with its sensitive values
+ * redacted if it doesn't have one.
  * @param {*} [options.requireAuthenticatedUser=false] If true, turns on automatic login
  * redirection for unauthenticated users.  Defaults to false, meaning that by default the
  * application will allow anonymous/unauthenticated sessions.
@@ -284,86 +1014,68 @@ function applyOverrideHandlers(overrides) {
  * @param {*} [options.handlers={}] An optional object of handlers which can be used to replace the
  * default behavior of any part of the startup sequence. It can also be used to add additional
  * initialization behavior before or after the rest of the sequence.
+ * @param {Array} [options.phases=[]] An optional array of custom phases shaped like
+ * `{ name, handler, after, before, fallback }`, where `after` and `before` are arrays of phase
+ * names and `fallback` is an optional function called if the phase times out.
+ * @param {Object} [options.timeouts={}] An optional object of timeouts in milliseconds, keyed by
+ * phase name or `runtimeConfig`.
+ * @param {Object} [options.runtimeConfig={}] Retry and fallback options for the runtime
+ * configuration request, shaped like `{ maxRetries, getBackoffMilliseconds, cooldown, deepMerge }`.
+ * @param {Object} [options.request] The incoming request, shaped like
+ * `{ url, cookies, acceptLanguage }`, when initializing on the server.
+ * @param {Object} [options.hydrationState] The state returned by `getHydrationState` on the
+ * server, when initializing a server-rendered page on the client.
  */
-export async function initialize({
-  loggingService = NewRelicLoggingService,
-  analyticsService = SegmentAnalyticsService,
-  authService = AxiosJwtAuthService,
-  authMiddleware = [],
-  externalScripts = [GoogleAnalyticsLoader],
-  requireAuthenticatedUser: requireUser = false,
-  hydrateAuthenticatedUser: hydrateUser = false,
-  messages,
-  handlers: overrideHandlers = {},
-}) {
-  const handlers = applyOverrideHandlers(overrideHandlers);
-  try {
-    // Pub/Sub
-    await handlers.pubSub();
-    publish(APP_PUBSUB_INITIALIZED);
-
-    // Configuration
-    await handlers.config();
-    await jsFileConfig();
-    await runtimeConfig();
-    publish(APP_CONFIG_INITIALIZED);
-
-    loadExternalScripts(externalScripts, {
-      config: getConfig(),
-    });
-
-    // This allows us to replace the implementations of the logging, analytics, and auth services
-    // based on keys in the ConfigDocument.  The JavaScript File Configuration method is the only
-    // one capable of supplying an alternate implementation since it can import other modules.
-    // If a service wasn't supplied we fall back to the default parameters on the initialize
-    // function signature.
-    const loggingServiceImpl = getConfig().loggingService || loggingService;
-    const analyticsServiceImpl = getConfig().analyticsService || analyticsService;
-    const authServiceImpl = getConfig().authService || authService;
-
-    // Logging
-    configureLogging(loggingServiceImpl, {
-      config: getConfig(),
-    });
-    await handlers.logging();
-    publish(APP_LOGGING_INITIALIZED);
-
-    // Internationalization
-    configureI18n({
-      messages,
-      config: getConfig(),
-      loggingService: getLoggingService(),
-    });
-    await handlers.i18n();
-    publish(APP_I18N_INITIALIZED);
-
-    // Authentication
-    configureAuth(authServiceImpl, {
-      loggingService: getLoggingService(),
-      config: getConfig(),
-      middleware: authMiddleware,
-    });
+export async function initialize(options) {
+  return initializePlatform(defaultPlatform, options);
+}
 
-    await handlers.auth(requireUser, hydrateUser);
-    publish(APP_AUTH_INITIALIZED);
+/**
+ * Resets the config, services and initialization report of a platform instance.
+ *
+ * @ignore
+ * @param {Object} platform The default platform instance, or one created by `createPlatform`.
+ */
+export function teardownPlatform(platform) {
+  platform.unwatchFeatureFlags();
+  platform.unwatchIdleSession();
+  platform.resetConfig();
+  platform.resetLoggingService();
+  platform.resetAnalyticsService();
+  platform.resetAuthService();
+  /* eslint-disable no-param-reassign */
+  platform.report = null;
+  platform.ssr = null;
+  /* eslint-enable no-param-reassign */
+}
 
-    // Analytics
-    configureAnalytics(analyticsServiceImpl, {
-      config: getConfig(),
-      loggingService: getLoggingService(),
-      httpClient: getAuthenticatedHttpClient(),
-    });
-    await handlers.analytics();
-    publish(APP_ANALYTICS_INITIALIZED);
+/**
+ * Undoes the work of `initialize`, so that `initialize` can be called again cleanly with new
+ * options.  This is useful when several micro-frontends are mounted and unmounted in turn on the
+ * same page.
+ *
+ * Tearing down:
+ *
+ * - Restores the ConfigDocument to its `process.env` defaults and cancels any `ensureConfig`
+ * checks (see `resetConfig`).
+ * - Resets the logging, analytics, auth and i18n services, stopping background work such as the
+ * auth service's scheduled token refreshes.  They must be configured again before use.
+ * - Stops watching user activity for the idle session timeout (see the IdleSession module).
+ * - Removes the scripts injected into the page by the analytics service and external script
+ * loaders such as `GoogleAnalyticsLoader`.
+ * - Clears the initialization report and removes `window.inspectConfig` (see `inspectConfig`).
+ *
+ * Application code is responsible for unmounting its UI and removing its own subscriptions first.
+ */
+export function teardown() {
+  teardownPlatform(defaultPlatform);
+  resetI18n();
 
-    // Application Ready
-    await handlers.ready();
-    publish(APP_READY);
-  } catch (error) {
-    if (!error.isRedirecting) {
-      // Initialization Error
-      await handlers.initError(error);
-      publish(APP_INIT_ERROR, error);
-    }
+  if (typeof document !== 'undefined') {
+    document.querySelectorAll(`script[${INJECTED_SCRIPT_ATTRIBUTE}]`).forEach(script => script.remove());
   }
+  // The analytics snippets refuse to load a second time while these globals exist.
+  delete global.analytics;
+  delete global.googleAnalytics;
+  delete global.inspectConfig;
 }
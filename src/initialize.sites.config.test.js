@@ -0,0 +1,72 @@
+import PubSub from 'pubsub-js';
+import { initialize, teardown } from './initialize';
+
+import { logError } from './logging';
+import { getConfig, getConfigProvenance } from './config';
+
+jest.mock('./logging');
+jest.mock('./auth');
+jest.mock('./analytics');
+jest.mock('./i18n');
+jest.mock('./auth/LocalForageCache');
+
+let mockResolveSite;
+jest.mock('env.config.js', () => () => ({
+  SITE_NAME: 'Open edX',
+  LOGO_URL: 'http://localhost/logo.png',
+  sites: {
+    localhost: { SITE_NAME: 'Local' },
+    'learning.example.com': { SITE_NAME: 'Example', LMS_BASE_URL: 'https://courses.example.com' },
+  },
+  resolveSite: mockResolveSite,
+}));
+
+describe('initialize with site overlays in the js file config', () => {
+  beforeEach(() => {
+    mockResolveSite = undefined;
+    logError.mockReset();
+    PubSub.clearAllSubscriptions();
+  });
+
+  afterEach(() => {
+    teardown();
+  });
+
+  it('should merge the overlay of the site matching the hostname', async () => {
+    await initialize({ messages: null });
+
+    expect(logError).not.toHaveBeenCalled();
+    expect(getConfig()).toEqual(expect.objectContaining({
+      SITE_NAME: 'Local',
+      LOGO_URL: 'http://localhost/logo.png',
+      SITE_KEY: 'localhost',
+    }));
+    expect(getConfig().sites).toBeUndefined();
+    expect(getConfigProvenance()).toEqual(expect.objectContaining({
+      SITE_NAME: 'siteConfig',
+      LOGO_URL: 'jsFileConfig',
+    }));
+  });
+
+  it('should merge the overlay of the site chosen by the resolver', async () => {
+    mockResolveSite = jest.fn(() => Promise.resolve('learning.example.com'));
+
+    await initialize({ messages: null });
+
+    expect(mockResolveSite).toHaveBeenCalledWith({ hostname: 'localhost', config: getConfig() });
+    expect(getConfig()).toEqual(expect.objectContaining({
+      SITE_NAME: 'Example',
+      LMS_BASE_URL: 'https://courses.example.com',
+      SITE_KEY: 'learning.example.com',
+    }));
+  });
+
+  it('should not merge an overlay if the resolver returns null', async () => {
+    mockResolveSite = () => null;
+
+    await initialize({ messages: null });
+
+    expect(getConfig().SITE_NAME).toEqual('Open edX');
+    expect(getConfig().SITE_KEY).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * @jest-environment node
+ */
+import PubSub from 'pubsub-js';
+import axios from 'axios';
+import MockAdapter from 'axios-mock-adapter';
+import {
+  initialize, getHydrationState, teardown,
+} from './initialize';
+import { APP_INIT_ERROR, APP_READY } from './constants';
+import { subscribe } from './pubSub';
+import { getAnalyticsService, NoOpAnalyticsService } from './analytics';
+import { getAuthenticatedUser } from './auth';
+import { getConfig, mergeConfig } from './config';
+import { getLocale } from './i18n';
+import configureCache from './auth/LocalForageCache';
+
+jest.unmock('universal-cookie');
+jest.mock('./auth/LocalForageCache', () => ({
+  __esModule: true,
+  default: jest.fn(async () => jest.requireActual('axios').create()),
+}));
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const jwt = [
+  encode({ alg: 'HS256', typ: 'JWT' }),
+  encode({
+    preferred_username: 'learner',
+    user_id: 12345,
+    administrator: false,
+    roles: [],
+    exp: Math.floor(Date.now() / 1000) + 3600,
+  }),
+  'signature',
+].join('.');
+
+const messages = { fr: { greeting: 'Bonjour' }, 'es-419': { greeting: 'Hola' } };
+const url = 'http://localhost:8080/courses';
+
+describe('initialize on the server', () => {
+  let readyListener;
+  let errorListener;
+
+  beforeEach(() => {
+    PubSub.clearAllSubscriptions();
+    readyListener = jest.fn();
+    errorListener = jest.fn();
+    subscribe(APP_READY, readyListener);
+    subscribe(APP_INIT_ERROR, errorListener);
+  });
+
+  afterEach(async () => {
+    // Lets the events published by the test be delivered before the next one subscribes.
+    await new Promise(resolve => { setTimeout(resolve, 0); });
+    teardown();
+  });
+
+  it('should initialize from the request without a browser', async () => {
+    await initialize({
+      messages,
+      request: {
+        url,
+        cookies: `${getConfig().ACCESS_TOKEN_COOKIE_NAME}=${jwt}`,
+        acceptLanguage: 'de-DE,fr-CA;q=0.9,es-419;q=0.8',
+      },
+    });
+    await new Promise(resolve => { setTimeout(resolve, 0); });
+
+    expect(errorListener).not.toHaveBeenCalled();
+    expect(readyListener).toHaveBeenCalled();
+    expect(getAnalyticsService()).toBeInstanceOf(NoOpAnalyticsService);
+    expect(getAuthenticatedUser()).toEqual(expect.objectContaining({ userId: 12345, username: 'learner' }));
+    expect(getLocale()).toEqual('fr');
+
+    const state = getHydrationState();
+    expect(JSON.parse(JSON.stringify(state))).toEqual(state);
+    expect(state).toEqual({
+      url,
+      redirectUrl: null,
+      config: expect.objectContaining({ SITE_NAME: 'edX', JS_FILE_VAR: 'JS_FILE_VAR_VALUE_FOR_EXAMPLE_APP' }),
+      authenticatedUser: expect.objectContaining({ userId: 12345 }),
+      locale: 'fr',
+    });
+  });
+
+  it('should keep the sensitive values of the runtime config in the hydration state', async () => {
+    const apiClient = axios.create();
+    new MockAdapter(apiClient).onGet().reply(200, { SEGMENT_KEY: 'runtime-segment-key' });
+    configureCache.mockResolvedValueOnce(apiClient);
+    mergeConfig({ MFE_CONFIG_API_URL: 'http://localhost:18000/api/mfe/v1/config', APP_ID: 'learning' });
+
+    await initialize({ messages, request: { url, cookies: '' } });
+
+    expect(getConfig().SEGMENT_KEY).toEqual('runtime-segment-key');
+    expect(getHydrationState().config).toEqual(expect.objectContaining({ SEGMENT_KEY: 'runtime-segment-key' }));
+  });
+
+  it('should prefer the language preference cookie of the request', async () => {
+    await initialize({
+      messages,
+      request: {
+        url,
+        cookies: { [getConfig().LANGUAGE_PREFERENCE_COOKIE_NAME]: 'es-419' },
+        acceptLanguage: 'fr',
+      },
+    });
+
+    expect(getLocale()).toEqual('es-419');
+    expect(getAuthenticatedUser()).toBeNull();
+  });
+
+  it('should return a login redirect instead of redirecting if a user is required', async () => {
+    await initialize({
+      messages,
+      requireAuthenticatedUser: true,
+      request: { url, cookies: '' },
+    });
+    await new Promise(resolve => { setTimeout(resolve, 0); });
+
+    expect(readyListener).not.toHaveBeenCalled();
+    expect(errorListener).not.toHaveBeenCalled();
+    expect(getHydrationState().redirectUrl).toEqual(`${getConfig().LOGIN_URL}?next=${encodeURIComponent(url)}`);
+  });
+
+  it('should not return hydration state without a request', () => {
+    expect(getHydrationState()).toBeNull();
+  });
+});
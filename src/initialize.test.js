@@ -1,4 +1,6 @@
 import PubSub from 'pubsub-js';
+import axios from 'axios';
+import MockAdapter from 'axios-mock-adapter';
 import { createBrowserHistory } from 'history';
 import {
   APP_PUBSUB_INITIALIZED,
@@ -9,15 +11,19 @@ import {
   APP_I18N_INITIALIZED,
   APP_READY,
   APP_INIT_ERROR,
+  APP_PHASE_TIMEOUT,
+  CONFIG_RUNTIME_FAILED,
 } from './constants';
-import { initialize } from './initialize';
-import { subscribe } from './pubSub';
+import { initialize, getInitializationReport, teardown } from './initialize';
+import { publish, subscribe } from './pubSub';
 
 import {
   configure as configureLogging,
   NewRelicLoggingService,
   getLoggingService,
   logError,
+  logInfo,
+  resetLoggingService,
 } from './logging';
 import {
   configure as configureAuth,
@@ -26,18 +32,28 @@ import {
   fetchAuthenticatedUser,
   hydrateAuthenticatedUser,
   getAuthenticatedUser,
+  resetAuthService,
   AxiosJwtAuthService,
 } from './auth';
-import { configure as configureAnalytics, SegmentAnalyticsService } from './analytics';
-import { configure as configureI18n } from './i18n';
-import { getConfig } from './config';
+import {
+  configure as configureAnalytics, SegmentAnalyticsService, NoOpAnalyticsService, resetAnalyticsService,
+} from './analytics';
+import { configure as configureI18n, resetI18n } from './i18n';
+import {
+  getConfig, mergeConfig, ensureConfig, defineConfigSchema, getConfigProvenance, inspectConfig,
+} from './config';
 import configureCache from './auth/LocalForageCache';
+import createRetryInterceptor from './auth/interceptors/createRetryInterceptor';
 
 jest.mock('./logging');
 jest.mock('./auth');
 jest.mock('./analytics');
 jest.mock('./i18n');
 jest.mock('./auth/LocalForageCache');
+jest.mock('./auth/interceptors/createRetryInterceptor', () => {
+  const actual = jest.requireActual('./auth/interceptors/createRetryInterceptor');
+  return { ...actual, __esModule: true, default: jest.fn(actual.default) };
+});
 jest.mock('history');
 
 let config = null;
@@ -84,7 +100,9 @@ describe('initialize', () => {
     ensureAuthenticatedUser.mockReset();
     hydrateAuthenticatedUser.mockReset();
     logError.mockReset();
+    logInfo.mockReset();
     PubSub.clearAllSubscriptions();
+    global.localStorage.clear();
   });
 
   it('should call default handlers in the absence of overrides', async () => {
@@ -123,6 +141,7 @@ describe('initialize', () => {
       loggingService: getLoggingService(),
       config,
       middleware: [],
+      publish,
     });
     expect(configureAnalytics).toHaveBeenCalledWith(SegmentAnalyticsService, {
       config,
@@ -276,6 +295,188 @@ describe('initialize', () => {
     expect(overrideHandlers.initError).toHaveBeenCalledWith(new Error('uhoh!'));
   });
 
+  it('should run custom phases in dependency order', async () => {
+    const calls = [];
+    const overrideHandlers = {
+      config: jest.fn(() => { calls.push('config'); }),
+      auth: jest.fn(() => { calls.push('auth'); }),
+      ready: jest.fn(() => { calls.push('ready'); }),
+    };
+    const featureFlags = jest.fn(() => { calls.push('featureFlags'); });
+    const experiments = jest.fn(() => { calls.push('experiments'); });
+
+    await initialize({
+      messages: null,
+      handlers: overrideHandlers,
+      phases: [
+        { name: 'experiments', after: ['featureFlags', 'auth'], handler: experiments },
+        {
+          name: 'featureFlags', after: ['config'], before: ['auth'], handler: featureFlags,
+        },
+      ],
+    });
+
+    expect(calls).toEqual(['config', 'featureFlags', 'auth', 'experiments', 'ready']);
+    expect(logError).not.toHaveBeenCalled();
+  });
+
+  it('should call the initError handler if custom phases contain a cycle', async () => {
+    const overrideHandlers = {
+      pubSub: jest.fn(),
+      initError: jest.fn(),
+    };
+
+    await initialize({
+      messages: null,
+      handlers: overrideHandlers,
+      phases: [
+        {
+          name: 'featureFlags', after: ['auth'], before: ['config'], handler: jest.fn(),
+        },
+      ],
+    });
+
+    expect(overrideHandlers.pubSub).not.toHaveBeenCalled();
+    expect(overrideHandlers.initError).toHaveBeenCalledWith(new Error(
+      'Initialization phases contain a dependency cycle: config -> featureFlags -> auth -> i18n -> logging -> config.',
+    ));
+  });
+
+  it('should record phase timings in the initialization report', async () => {
+    const readyListener = jest.fn();
+    subscribe(APP_READY, readyListener);
+
+    await initialize({
+      messages: null,
+      phases: [{ name: 'featureFlags', after: ['config'], handler: jest.fn() }],
+    });
+
+    const report = getInitializationReport();
+    expect(Object.keys(report.phases).sort()).toEqual([
+      'analytics', 'auth', 'config', 'featureFlags', 'i18n', 'logging', 'pubSub', 'ready',
+    ]);
+    expect(Object.keys(report.steps).sort()).toEqual([
+      'fetchAuthenticatedUser', 'identifyAnonymousUser', 'jsFileConfig', 'runtimeConfig',
+    ]);
+    expect(report.duration).toEqual(expect.any(Number));
+    expect(logInfo).toHaveBeenCalledWith('Initialization performance report', expect.objectContaining({
+      'initialization.duration': report.duration,
+      'initialization.phase.featureFlags': report.phases.featureFlags,
+      'initialization.step.runtimeConfig': report.steps.runtimeConfig,
+    }));
+
+    await new Promise(resolve => { setTimeout(resolve, 0); });
+    expect(readyListener).toHaveBeenCalledWith(APP_READY, report);
+  });
+
+  describe('with timeouts', () => {
+    const never = () => new Promise(() => {});
+    let timeoutListener;
+
+    beforeEach(() => {
+      timeoutListener = jest.fn();
+      subscribe(APP_PHASE_TIMEOUT, timeoutListener);
+      configureAnalytics.mockReset();
+    });
+
+    it('should continue without runtime config when the config API hangs', async () => {
+      config.MFE_CONFIG_API_URL = 'http://localhost:18000/api/mfe/v1/config';
+      configureCache.mockReturnValueOnce(never());
+
+      await initialize({ messages: null, timeouts: { runtimeConfig: 10 } });
+
+      expect(fetchAuthenticatedUser).toHaveBeenCalled();
+      expect(logError).not.toHaveBeenCalled();
+      await new Promise(resolve => { setTimeout(resolve, 0); });
+      expect(timeoutListener).toHaveBeenCalledWith(APP_PHASE_TIMEOUT, { phase: 'runtimeConfig', timeout: 10 });
+      config.MFE_CONFIG_API_URL = '';
+    });
+
+    it('should fall back to a no-op analytics service when analytics hangs', async () => {
+      const readyListener = jest.fn();
+      subscribe(APP_READY, readyListener);
+
+      await initialize({
+        messages: null,
+        handlers: { analytics: never },
+        timeouts: { analytics: 10 },
+      });
+
+      expect(configureAnalytics).toHaveBeenLastCalledWith(NoOpAnalyticsService, expect.any(Object));
+      expect(logError).not.toHaveBeenCalled();
+      await new Promise(resolve => { setTimeout(resolve, 0); });
+      expect(timeoutListener).toHaveBeenCalledWith(APP_PHASE_TIMEOUT, { phase: 'analytics', timeout: 10 });
+      expect(readyListener).toHaveBeenCalled();
+    });
+
+    it('should ignore the runtime config once its request has timed out', async () => {
+      config.MFE_CONFIG_API_URL = 'http://localhost:18000/api/mfe/v1/config';
+      config.APP_ID = 'late';
+      const lateGet = jest.fn()
+        .mockReturnValueOnce(new Promise(resolve => { setTimeout(() => resolve({ data: { SITE_NAME: 'Late' } }), 30); }))
+        .mockReturnValueOnce(new Promise((resolve, reject) => { setTimeout(() => reject(new Error('Late')), 30); }));
+      configureCache
+        .mockReturnValueOnce(Promise.resolve({ get: lateGet }))
+        .mockReturnValueOnce(Promise.resolve({ get: lateGet }));
+      const failedListener = jest.fn();
+      subscribe(CONFIG_RUNTIME_FAILED, failedListener);
+
+      await initialize({ messages: null, timeouts: { runtimeConfig: 10 } });
+      await initialize({ messages: null, timeouts: { runtimeConfig: 10 } });
+      await new Promise(resolve => { setTimeout(resolve, 50); });
+
+      expect(lateGet).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        signal: expect.objectContaining({ aborted: true }),
+      }));
+      expect(config.SITE_NAME).not.toEqual('Late');
+      expect(global.localStorage.getItem('frontend-platform.runtime-config.late')).toBeNull();
+      expect(failedListener).not.toHaveBeenCalled();
+      expect(logError).not.toHaveBeenCalled();
+      config.MFE_CONFIG_API_URL = '';
+    });
+
+    it('should not publish the event of a phase that finishes after its timeout', async () => {
+      const events = [];
+      subscribe(APP_ANALYTICS_INITIALIZED, () => events.push('analytics'));
+      subscribe(APP_READY, () => events.push('ready'));
+
+      await initialize({
+        messages: null,
+        handlers: { analytics: () => new Promise(resolve => { setTimeout(resolve, 30); }) },
+        timeouts: { analytics: 10 },
+      });
+      await new Promise(resolve => { setTimeout(resolve, 50); });
+
+      expect(events).toEqual(['analytics', 'ready']);
+    });
+
+    it('should call a custom phase fallback when it times out', async () => {
+      const fallback = jest.fn();
+
+      await initialize({
+        messages: null,
+        phases: [{
+          name: 'featureFlags', after: ['config'], handler: never, fallback,
+        }],
+        timeouts: { featureFlags: 10 },
+      });
+
+      expect(fallback).toHaveBeenCalled();
+      expect(logError).not.toHaveBeenCalled();
+    });
+
+    it('should call the initError handler when a phase without a fallback times out', async () => {
+      const overrideHandlers = {
+        auth: never,
+        initError: jest.fn(),
+      };
+
+      await initialize({ messages: null, handlers: overrideHandlers, timeouts: { auth: 10 } });
+
+      expect(overrideHandlers.initError).toHaveBeenCalledWith(new Error('Initialization phase "auth" timed out after 10ms.'));
+    });
+  });
+
   it('should initialize the app with runtime configuration', async () => {
     config.MFE_CONFIG_API_URL = 'http://localhost:18000/api/mfe/v1/config';
     config.APP_ID = 'auth';
@@ -296,6 +497,7 @@ describe('initialize', () => {
       loggingService: getLoggingService(),
       config,
       middleware: [],
+      publish,
     });
     expect(configureAnalytics).toHaveBeenCalledWith(SegmentAnalyticsService, {
       config,
@@ -317,10 +519,71 @@ describe('initialize', () => {
     expect(Object.values(config).includes(newConfig.learning.DISCUSSIONS_MFE_BASE_URL)).toBeFalsy();
   });
 
+  it('should deep merge the runtime configuration if asked to', async () => {
+    config.MFE_CONFIG_API_URL = 'http://localhost:18000/api/mfe/v1/config';
+    configureCache.mockReturnValueOnce(Promise.resolve({
+      get: () => ({ data: { PLUGIN_SLOTS: { header: { visible: false } } } }),
+    }));
+
+    await initialize({
+      messages: null,
+      handlers: {
+        config: () => {
+          mergeConfig({ PLUGIN_SLOTS: { header: { plugins: ['logo'], visible: true } } });
+        },
+      },
+      runtimeConfig: { deepMerge: true },
+    });
+
+    expect(config.PLUGIN_SLOTS).toEqual({ header: { plugins: ['logo'], visible: false } });
+  });
+
+  it('should apply local config overrides last', async () => {
+    config.MFE_CONFIG_API_URL = 'http://localhost:18000/api/mfe/v1/config';
+    configureCache.mockReturnValueOnce(Promise.resolve({
+      get: () => ({ data: { SITE_NAME: 'Runtime Site', CONFIG_OVERRIDES_ALLOWLIST: ['SITE_NAME'] } }),
+    }));
+    window.history.replaceState({}, '', '/?config.SITE_NAME=Overridden');
+
+    await initialize({ messages: null });
+    window.history.replaceState({}, '', '/');
+
+    expect(config.SITE_NAME).toEqual('Overridden');
+    expect(getConfigProvenance().SITE_NAME).toEqual('localOverrides');
+  });
+
+  it('should record the layer which set each config value', async () => {
+    config.MFE_CONFIG_API_URL = 'http://localhost:18000/api/mfe/v1/config';
+    configureCache.mockReturnValueOnce(Promise.resolve({
+      get: () => ({ data: { SITE_NAME: 'Runtime Site' } }),
+    }));
+
+    await initialize({
+      messages: null,
+      handlers: {
+        config: () => {
+          mergeConfig({ HANDLER_VAR: 'value', ENABLE_CONFIG_INSPECTOR: true });
+        },
+      },
+    });
+
+    expect(getConfigProvenance()).toEqual(expect.objectContaining({
+      ACCOUNT_SETTINGS_URL: 'env',
+      HANDLER_VAR: 'handlers.config',
+      JS_FILE_VAR: 'jsFileConfig',
+      SITE_NAME: 'runtimeConfig',
+    }));
+    expect(global.inspectConfig).toBe(inspectConfig);
+
+    mergeConfig({ HANDLER_VAR: 'changed' });
+    expect(getConfigProvenance().HANDLER_VAR).toEqual('mergeConfig');
+
+    teardown();
+    expect(global.inspectConfig).toBeUndefined();
+  });
+
   it('should initialize the app with the build config when runtime configuration fails', async () => {
     config.MFE_CONFIG_API_URL = 'http://localhost:18000/api/mfe/v1/config';
-    // eslint-disable-next-line no-console
-    console.error = jest.fn();
     configureCache.mockReturnValueOnce(Promise.reject(new Error('Api fails')));
 
     const messages = { i_am: 'a message' };
@@ -329,13 +592,16 @@ describe('initialize', () => {
     });
 
     expect(configureCache).toHaveBeenCalled();
-    // eslint-disable-next-line no-console
-    expect(console.error).toHaveBeenCalledWith('Error with config API', 'Api fails');
+    expect(logError).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Api fails',
+      customAttributes: expect.objectContaining({ httpStatus: null, usedLastKnownGood: false }),
+    }));
     expect(configureLogging).toHaveBeenCalledWith(NewRelicLoggingService, { config });
     expect(configureAuth).toHaveBeenCalledWith(AxiosJwtAuthService, {
       loggingService: getLoggingService(),
       config,
       middleware: [],
+      publish,
     });
     expect(configureAnalytics).toHaveBeenCalledWith(SegmentAnalyticsService, {
       config,
@@ -350,7 +616,188 @@ describe('initialize', () => {
     expect(fetchAuthenticatedUser).toHaveBeenCalled();
     expect(ensureAuthenticatedUser).not.toHaveBeenCalled();
     expect(hydrateAuthenticatedUser).not.toHaveBeenCalled();
-    expect(logError).not.toHaveBeenCalled();
+  });
+
+  describe('when the runtime configuration API fails', () => {
+    const lastKnownGoodKey = 'frontend-platform.runtime-config.learning';
+    const runtimeConfigOptions = { maxRetries: 1, getBackoffMilliseconds: () => 0 };
+    let axiosMock;
+
+    beforeEach(() => {
+      config.MFE_CONFIG_API_URL = 'http://localhost:18000/api/mfe/v1/config';
+      config.APP_ID = 'learning';
+      const apiService = axios.create();
+      axiosMock = new MockAdapter(apiService);
+      configureCache.mockReturnValueOnce(Promise.resolve(apiService));
+    });
+
+    it('should retry and save the runtime configuration as the last known good one', async () => {
+      axiosMock.onGet().replyOnce(500).onGet().replyOnce(200, { SITE_NAME: 'Retried' });
+
+      await initialize({ messages: null, runtimeConfig: runtimeConfigOptions });
+
+      expect(axiosMock.history.get.length).toEqual(2);
+      expect(config.SITE_NAME).toEqual('Retried');
+      expect(JSON.parse(global.localStorage.getItem(lastKnownGoodKey))).toEqual({
+        config: { SITE_NAME: 'Retried' },
+        failedAt: null,
+      });
+      expect(logError).not.toHaveBeenCalled();
+    });
+
+    it('should only retry briefly by default', async () => {
+      axiosMock.onGet().reply(503);
+
+      await initialize({ messages: null });
+
+      expect(axiosMock.history.get.length).toEqual(3);
+      const { getBackoffMilliseconds } = createRetryInterceptor.mock.lastCall[0];
+      expect([1, 2].map(getBackoffMilliseconds)).toEqual([250, 500]);
+    });
+
+    it('should fall back to the last known good runtime configuration', async () => {
+      global.localStorage.setItem(lastKnownGoodKey, JSON.stringify({
+        config: { SITE_NAME: 'Last known good' },
+        failedAt: null,
+      }));
+      axiosMock.onGet().reply(503);
+      const failedListener = jest.fn();
+      subscribe(CONFIG_RUNTIME_FAILED, failedListener);
+
+      await initialize({ messages: null, runtimeConfig: runtimeConfigOptions });
+      await new Promise(resolve => { setTimeout(resolve, 0); });
+
+      expect(axiosMock.history.get.length).toEqual(2);
+      expect(config.SITE_NAME).toEqual('Last known good');
+      expect(failedListener).toHaveBeenCalledWith(CONFIG_RUNTIME_FAILED, {
+        error: expect.any(Error),
+        usedLastKnownGood: true,
+      });
+      expect(logError).toHaveBeenCalledWith(expect.objectContaining({
+        customAttributes: {
+          url: 'http://localhost:18000/api/mfe/v1/config?mfe=learning',
+          appId: 'learning',
+          httpStatus: 503,
+          usedLastKnownGood: true,
+        },
+      }));
+      expect(JSON.parse(global.localStorage.getItem(lastKnownGoodKey)).failedAt).toEqual(expect.any(Number));
+    });
+
+    it('should skip the API during the cooldown after a failure', async () => {
+      global.localStorage.setItem(lastKnownGoodKey, JSON.stringify({
+        config: { SITE_NAME: 'Last known good' },
+        failedAt: Date.now(),
+      }));
+
+      await initialize({ messages: null, runtimeConfig: { cooldown: 60000 } });
+
+      expect(axiosMock.history.get.length).toEqual(0);
+      expect(config.SITE_NAME).toEqual('Last known good');
+      expect(logError).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should give external scripts only the config keys they declare', async () => {
+    config.MFE_CONFIG_API_URL = null;
+    mergeConfig({ SEGMENT_KEY: 'abc123', CHAT_WIDGET_ID: 'widget-123' });
+    const scriptConfigs = {};
+    const createScript = name => class {
+      constructor(data) {
+        scriptConfigs[name] = data.config;
+      }
+
+      loadScript() {} // eslint-disable-line class-methods-use-this
+    };
+    const DeclaringScript = createScript('declaring');
+    DeclaringScript.configKeys = ['CHAT_WIDGET_ID'];
+
+    await initialize({ messages: null, externalScripts: [DeclaringScript, createScript('undeclared')] });
+
+    expect(scriptConfigs.declaring).toEqual({ CHAT_WIDGET_ID: 'widget-123' });
+    expect(scriptConfigs.undeclared).toEqual(expect.objectContaining({
+      SEGMENT_KEY: '[REDACTED]',
+      CHAT_WIDGET_ID: 'widget-123',
+    }));
+  });
+
+  it('should validate the config against its schema', async () => {
+    config.MFE_CONFIG_API_URL = null;
+    const errorListener = jest.fn();
+    subscribe(APP_INIT_ERROR, errorListener);
+    defineConfigSchema({
+      SCHEMA_REQUIRED_VAR: { type: 'string', required: true },
+      SCHEMA_PAGE_SIZE: { type: 'number' },
+    });
+    mergeConfig({ SCHEMA_PAGE_SIZE: 'lots' });
+
+    await initialize({ messages: null });
+    await new Promise(resolve => { setTimeout(resolve, 0); });
+    teardown();
+
+    expect(logInfo).toHaveBeenCalledWith(
+      'App configuration has warnings: SCHEMA_PAGE_SIZE must be of type number, but was "lots".',
+      { configWarnings: 'SCHEMA_PAGE_SIZE' },
+    );
+    const error = new Error('App configuration is invalid: SCHEMA_REQUIRED_VAR is required.');
+    expect(logError).toHaveBeenCalledWith(error);
+    expect(logError.mock.calls[0][0].customAttributes).toEqual({ configErrors: 'SCHEMA_REQUIRED_VAR' });
+    expect(errorListener).toHaveBeenCalledWith(APP_INIT_ERROR, error);
+  });
+
+  it('should initialize the app with the server configuration when given hydration state', async () => {
+    config.MFE_CONFIG_API_URL = 'http://localhost:18000/api/mfe/v1/config';
+    configureCache.mockClear();
+
+    const messages = { i_am: 'a message' };
+    await initialize({
+      messages,
+      hydrationState: { config: { SITE_NAME: 'Rendered on the server' } },
+    });
+
+    expect(configureCache).not.toHaveBeenCalled();
+    expect(config.SITE_NAME).toBe('Rendered on the server');
+    expect(configureAnalytics).toHaveBeenCalledWith(SegmentAnalyticsService, expect.any(Object));
+    expect(fetchAuthenticatedUser).toHaveBeenCalled();
+  });
+});
+
+describe('teardown', () => {
+  beforeEach(() => {
+    PubSub.clearAllSubscriptions();
+  });
+
+  it('should reset config, services and injected scripts', async () => {
+    await initialize({ messages: null });
+    mergeConfig({ TEARDOWN_VAR: 'value' });
+    global.analytics = { invoked: true };
+    const script = document.createElement('script');
+    script.setAttribute('data-frontend-platform', 'segment');
+    document.body.appendChild(script);
+
+    teardown();
+
+    expect(getConfig().TEARDOWN_VAR).toBeUndefined();
+    expect(resetLoggingService).toHaveBeenCalled();
+    expect(resetAnalyticsService).toHaveBeenCalled();
+    expect(resetAuthService).toHaveBeenCalled();
+    expect(resetI18n).toHaveBeenCalled();
+    expect(global.analytics).toBeUndefined();
+    expect(document.querySelector('script[data-frontend-platform]')).toBeNull();
+    expect(getInitializationReport()).toBeNull();
+  });
+
+  it('should remove ensureConfig subscriptions', async () => {
+    // eslint-disable-next-line no-console
+    console.warn = jest.fn();
+    ensureConfig(['MISSING_KEY'], 'teardown test');
+
+    teardown();
+    await initialize({ messages: null });
+    await new Promise(resolve => { setTimeout(resolve, 0); });
+
+    // eslint-disable-next-line no-console
+    expect(console.warn).not.toHaveBeenCalledWith('App configuration error: MISSING_KEY is required by teardown test.');
   });
 });
 
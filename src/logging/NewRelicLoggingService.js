@@ -25,7 +25,7 @@ function sendPageAction(actionName, message, customAttributes) {
   if (process.env.NODE_ENV === 'development') {
     console.log(actionName, message, customAttributes); // eslint-disable-line
   }
-  if (window && typeof window.newrelic !== 'undefined') {
+  if (typeof window !== 'undefined' && typeof window.newrelic !== 'undefined') {
     // https://docs.newrelic.com/docs/browser/new-relic-browser/browser-apis/addpageaction/
     window.newrelic.addPageAction(actionName, { message, ...customAttributes });
   }
@@ -35,7 +35,7 @@ function sendError(error, customAttributes) {
   if (process.env.NODE_ENV === 'development') {
     console.error(error, customAttributes); // eslint-disable-line
   }
-  if (window && typeof window.newrelic !== 'undefined') {
+  if (typeof window !== 'undefined' && typeof window.newrelic !== 'undefined') {
     // https://docs.newrelic.com/docs/browser/new-relic-browser/browser-apis/noticeerror/
     window.newrelic.noticeError(fixErrorLength(error), customAttributes);
   }
@@ -45,7 +45,7 @@ function setCustomAttribute(name, value) {
   if (process.env.NODE_ENV === 'development') {
     console.log(name, value); // eslint-disable-line
   }
-  if (window && typeof window.newrelic !== 'undefined') {
+  if (typeof window !== 'undefined' && typeof window.newrelic !== 'undefined') {
     // https://docs.newrelic.com/docs/browser/new-relic-browser/browser-apis/setcustomattribute/
     window.newrelic.setCustomAttribute(name, value);
   }
@@ -27,6 +27,7 @@
  */
 
 import PropTypes from 'prop-types';
+import { redactConfig } from '../config';
 
 const optionsShape = {
   config: PropTypes.object.isRequired,
@@ -51,24 +52,25 @@ export function configure(LoggingService, options) {
 
 /**
  * Logs a message to the 'info' log level. Can accept custom attributes as a property of the error
- * object, or as an optional second parameter.
+ * object, or as an optional second parameter.  The values of second parameter attributes named
+ * after sensitive config keys are redacted (see `defineSensitiveConfigKeys`).
  *
  * @param {string|Error} infoStringOrErrorObject
  * @param {Object} [customAttributes={}]
  */
 export function logInfo(infoStringOrErrorObject, customAttributes) {
-  return service.logInfo(infoStringOrErrorObject, customAttributes);
+  return service.logInfo(infoStringOrErrorObject, customAttributes && redactConfig(customAttributes));
 }
 
 /**
  * Logs a message to the 'error' log level.  Can accept custom attributes as a property of the error
- * object, or as an optional second parameter.
+ * object, or as an optional second parameter, which is redacted like that of `logInfo`.
  *
  * @param {string|Error} errorStringOrObject
  * @param {Object} [customAttributes={}]
  */
 export function logError(errorStringOrObject, customAttributes) {
-  return service.logError(errorStringOrObject, customAttributes);
+  return service.logError(errorStringOrObject, customAttributes && redactConfig(customAttributes));
 }
 
 /**
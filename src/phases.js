@@ -0,0 +1,244 @@
+/**
+ * Utilities for ordering and running the phases of the initialization sequence.
+ *
+ * The built-in phases (pubSub, config, logging, i18n, auth, analytics and ready) always run one
+ * after the other.  Applications can add their own named phases which declare the phases they must
+ * run `after` and `before`; the initialization sequence works out the resulting order and runs any
+ * phases that don't depend on each other in parallel.
+ *
+ * @ignore
+ */
+import snakeCase from 'lodash.snakecase';
+import { APP_PHASE_TIMEOUT, APP_TOPIC } from './constants';
+import { publish as defaultPublish } from './pubSub';
+
+/**
+ * Returns the name of the event published when a custom initialization phase has finished.  For a
+ * phase named `featureFlags`, this is `APP.FEATURE_FLAGS_INITIALIZED`.
+ *
+ * @param {string} name The name of a custom initialization phase.
+ * @returns {string}
+ * @memberof module:Initialization
+ */
+export function getPhaseTopic(name) {
+  return `${APP_TOPIC}.${snakeCase(name).toUpperCase()}_INITIALIZED`;
+}
+
+/**
+ * Runs a phase (or a step within a phase), giving up on it if it hasn't finished within the
+ * timeout.  When that happens, `APP_PHASE_TIMEOUT` is published with `{ phase, timeout }` and the
+ * fallback is run in its place.  Without a fallback, the phase fails with a timeout error.
+ *
+ * A phase which times out can't be stopped, so it is given an `AbortSignal` which is aborted at
+ * the timeout.  The phase must check it before its side effects, so that it doesn't publish or
+ * change anything once its fallback has taken over.
+ *
+ * @param {string} name The name of the phase.
+ * @param {function} run The phase itself, called with the `AbortSignal`.
+ * @param {number} [timeout] The timeout in milliseconds.  No timeout is applied if omitted.
+ * @param {function} [fallback] Run instead of the phase if it times out.
+ * @param {function} [publish] The function used to publish `APP_PHASE_TIMEOUT`.  Defaults to the
+ * default bus.
+ * @returns {Promise}
+ * @throws {Error} If the phase times out and there is no fallback.
+ */
+export async function runWithTimeout(name, run, timeout, fallback, publish = defaultPublish) {
+  const controller = new AbortController();
+  if (!timeout) {
+    return run(controller.signal);
+  }
+
+  const timedOut = {};
+  let timer;
+  try {
+    const result = await Promise.race([
+      run(controller.signal),
+      new Promise((resolve) => { timer = setTimeout(() => resolve(timedOut), timeout); }),
+    ]);
+    if (result !== timedOut) {
+      return result;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+
+  controller.abort();
+
+  publish(APP_PHASE_TIMEOUT, { phase: name, timeout });
+  if (!fallback) {
+    const error = new Error(`Initialization phase "${name}" timed out after ${timeout}ms.`);
+    error.customAttributes = { phase: name, timeout };
+    throw error;
+  }
+  return fallback();
+}
+
+function findCycle(graph) {
+  const visiting = new Set();
+  const visited = new Set();
+
+  const visit = (name, path) => {
+    if (visiting.has(name)) {
+      return [...path.slice(path.indexOf(name)), name];
+    }
+    if (visited.has(name)) {
+      return null;
+    }
+    visiting.add(name);
+    const dependencies = [...graph.get(name).dependencies];
+    for (let i = 0; i < dependencies.length; i += 1) {
+      const cycle = visit(dependencies[i], [...path, name]);
+      if (cycle) {
+        return cycle;
+      }
+    }
+    visiting.delete(name);
+    visited.add(name);
+    return null;
+  };
+
+  const names = [...graph.keys()];
+  for (let i = 0; i < names.length; i += 1) {
+    const cycle = visit(names[i], []);
+    if (cycle) {
+      return cycle;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the dependency graph of the initialization sequence.
+ *
+ * @param {Object} builtInPhases An ordered object of built-in phase names to functions.  Each
+ * built-in phase depends on the one listed before it.  The last built-in phase also depends on
+ * every custom phase.
+ * @param {Array} [customPhases=[]] An array of custom phases, each shaped like
+ * `{ name, handler, after, before, fallback }`.  The event named by `getPhaseTopic` is published
+ * once a custom phase's handler (or its fallback) has finished.  Handlers are called with
+ * `{ signal }`, an `AbortSignal` aborted if the phase times out.
+ * @param {Object} [fallbacks={}] Fallbacks for the built-in phases, by phase name, used when a
+ * built-in phase times out.
+ * @param {function} [publish] The function used to publish custom phase events.  Defaults to the
+ * default bus.
+ * @returns {Map} A map of phase names to `{ name, run, fallback, dependencies }` nodes.
+ * @throws {Error} If a custom phase is malformed, references an unknown phase, or the phases
+ * contain a dependency cycle.
+ */
+export function createPhaseGraph(
+  builtInPhases,
+  customPhases = [],
+  fallbacks = {},
+  publish = defaultPublish,
+) {
+  const graph = new Map();
+  const builtInNames = Object.keys(builtInPhases);
+
+  builtInNames.forEach((name, index) => {
+    graph.set(name, {
+      name,
+      run: builtInPhases[name],
+      fallback: fallbacks[name],
+      dependencies: new Set(index > 0 ? [builtInNames[index - 1]] : []),
+    });
+  });
+
+  customPhases.forEach(({ name, handler, fallback }) => {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Custom initialization phases must have a name.');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Custom initialization phase "${name}" must have a handler function.`);
+    }
+    if (graph.has(name)) {
+      throw new Error(`Initialization phase "${name}" is defined more than once.`);
+    }
+    graph.set(name, {
+      name,
+      run: async (signal) => {
+        await handler({ signal });
+        if (!signal.aborted) {
+          publish(getPhaseTopic(name));
+        }
+      },
+      fallback: fallback && (async () => {
+        await fallback();
+        publish(getPhaseTopic(name));
+      }),
+      dependencies: new Set(),
+    });
+  });
+
+  const checkPhaseExists = (phaseName, requester) => {
+    if (!graph.has(phaseName)) {
+      throw new Error(`Initialization phase "${requester}" references an unknown phase "${phaseName}".`);
+    }
+  };
+
+  const lastBuiltInPhase = graph.get(builtInNames[builtInNames.length - 1]);
+  customPhases.forEach(({ name, after = [], before = [] }) => {
+    after.forEach((dependency) => {
+      checkPhaseExists(dependency, name);
+      graph.get(name).dependencies.add(dependency);
+    });
+    before.forEach((dependent) => {
+      checkPhaseExists(dependent, name);
+      graph.get(dependent).dependencies.add(name);
+    });
+    // The application isn't ready until every phase has finished.
+    lastBuiltInPhase.dependencies.add(name);
+  });
+
+  const cycle = findCycle(graph);
+  if (cycle) {
+    throw new Error(`Initialization phases contain a dependency cycle: ${cycle.join(' -> ')}.`);
+  }
+
+  return graph;
+}
+
+/**
+ * Runs every phase in the graph.  Each phase starts as soon as all of its dependencies have
+ * finished, so phases that don't depend on each other run in parallel.
+ *
+ * @param {Map} graph A graph created by `createPhaseGraph`.
+ * @param {Object} [options]
+ * @param {Object} [options.timings={}] An object in which the duration of each phase, in
+ * milliseconds, is recorded by phase name.
+ * @param {Object} [options.timeouts={}] Timeouts in milliseconds, by phase name.  See
+ * `runWithTimeout`.
+ * @param {function} [options.publish] The function used to publish `APP_PHASE_TIMEOUT`.  Defaults
+ * to the default bus.
+ * @returns {Promise} Resolves once every phase has finished, or rejects with the first error thrown
+ * by a phase.
+ */
+export async function runPhaseGraph(graph, {
+  timings = {},
+  timeouts = {},
+  publish = defaultPublish,
+} = {}) {
+  const promises = new Map();
+
+  const timePhase = async (name, run, fallback) => {
+    const startTime = Date.now();
+    try {
+      await runWithTimeout(name, run, timeouts[name], fallback, publish);
+    } finally {
+      // eslint-disable-next-line no-param-reassign
+      timings[name] = Date.now() - startTime;
+    }
+  };
+
+  const runPhase = (name) => {
+    if (!promises.has(name)) {
+      const { run, fallback, dependencies } = graph.get(name);
+      promises.set(
+        name,
+        Promise.all([...dependencies].map(runPhase)).then(() => timePhase(name, run, fallback)),
+      );
+    }
+    return promises.get(name);
+  };
+
+  await Promise.all([...graph.keys()].map(runPhase));
+}
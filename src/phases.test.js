@@ -0,0 +1,183 @@
+import PubSub from 'pubsub-js';
+import {
+  createPhaseGraph, getPhaseTopic, runPhaseGraph, runWithTimeout,
+} from './phases';
+import { subscribe } from './pubSub';
+import { APP_PHASE_TIMEOUT } from './constants';
+
+describe('getPhaseTopic', () => {
+  it('should build an APP.*_INITIALIZED topic from the phase name', () => {
+    expect(getPhaseTopic('featureFlags')).toEqual('APP.FEATURE_FLAGS_INITIALIZED');
+    expect(getPhaseTopic('experiments')).toEqual('APP.EXPERIMENTS_INITIALIZED');
+  });
+});
+
+describe('createPhaseGraph', () => {
+  const builtInPhases = {
+    first: jest.fn(),
+    second: jest.fn(),
+    third: jest.fn(),
+  };
+
+  it('should chain built-in phases in order', () => {
+    const graph = createPhaseGraph(builtInPhases);
+
+    expect([...graph.get('first').dependencies]).toEqual([]);
+    expect([...graph.get('second').dependencies]).toEqual(['first']);
+    expect([...graph.get('third').dependencies]).toEqual(['second']);
+  });
+
+  it('should add after and before dependencies for custom phases', () => {
+    const graph = createPhaseGraph(builtInPhases, [
+      {
+        name: 'custom', after: ['first'], before: ['second'], handler: jest.fn(),
+      },
+    ]);
+
+    expect([...graph.get('custom').dependencies]).toEqual(['first']);
+    expect([...graph.get('second').dependencies]).toEqual(['first', 'custom']);
+    expect([...graph.get('third').dependencies]).toEqual(['second', 'custom']);
+  });
+
+  it('should throw if a custom phase references an unknown phase', () => {
+    expect(() => createPhaseGraph(builtInPhases, [
+      { name: 'custom', after: ['nope'], handler: jest.fn() },
+    ])).toThrow('Initialization phase "custom" references an unknown phase "nope".');
+  });
+
+  it('should throw if a phase is defined more than once', () => {
+    expect(() => createPhaseGraph(builtInPhases, [
+      { name: 'second', handler: jest.fn() },
+    ])).toThrow('Initialization phase "second" is defined more than once.');
+  });
+
+  it('should throw if a custom phase has no handler', () => {
+    expect(() => createPhaseGraph(builtInPhases, [
+      { name: 'custom' },
+    ])).toThrow('Custom initialization phase "custom" must have a handler function.');
+  });
+
+  it('should throw if the phases contain a cycle', () => {
+    expect(() => createPhaseGraph(builtInPhases, [
+      {
+        name: 'custom', after: ['second'], before: ['first'], handler: jest.fn(),
+      },
+    ])).toThrow('Initialization phases contain a dependency cycle: first -> custom -> second -> first.');
+  });
+});
+
+describe('runPhaseGraph', () => {
+  beforeEach(() => {
+    PubSub.clearAllSubscriptions();
+  });
+
+  it('should run phases after their dependencies and publish custom phase topics', async () => {
+    const calls = [];
+    const record = name => async () => { calls.push(name); };
+    const topicListener = jest.fn();
+    subscribe(getPhaseTopic('custom'), topicListener);
+
+    await runPhaseGraph(createPhaseGraph(
+      { first: record('first'), second: record('second'), third: record('third') },
+      [{
+        name: 'custom', after: ['second'], handler: record('custom'),
+      }],
+    ));
+
+    expect(calls).toEqual(['first', 'second', 'custom', 'third']);
+    await new Promise(resolve => { setTimeout(resolve, 0); });
+    expect(topicListener).toHaveBeenCalledWith('APP.CUSTOM_INITIALIZED', undefined);
+  });
+
+  it('should run independent phases in parallel', async () => {
+    let resolveSlow;
+    const slow = jest.fn(() => new Promise((resolve) => { resolveSlow = resolve; }));
+    const fast = jest.fn();
+
+    const running = runPhaseGraph(createPhaseGraph(
+      { first: jest.fn(), last: jest.fn() },
+      [
+        { name: 'slow', after: ['first'], handler: slow },
+        { name: 'fast', after: ['first'], handler: fast },
+      ],
+    ));
+
+    await new Promise(resolve => { setTimeout(resolve, 0); });
+    expect(slow).toHaveBeenCalled();
+    expect(fast).toHaveBeenCalled();
+
+    resolveSlow();
+    await running;
+  });
+
+  it('should not publish the topic of a custom phase which finishes after its timeout', async () => {
+    const publish = jest.fn();
+    const late = () => new Promise(resolve => { setTimeout(resolve, 30); });
+
+    await runPhaseGraph(createPhaseGraph(
+      { first: jest.fn() },
+      [{ name: 'late', handler: late, fallback: jest.fn() }],
+      {},
+      publish,
+    ), { timeouts: { late: 10 }, publish });
+    await new Promise(resolve => { setTimeout(resolve, 50); });
+
+    expect(publish.mock.calls).toEqual([
+      [APP_PHASE_TIMEOUT, { phase: 'late', timeout: 10 }],
+      ['APP.LATE_INITIALIZED'],
+    ]);
+  });
+
+  it('should record the duration of each phase', async () => {
+    const timings = {};
+
+    await runPhaseGraph(createPhaseGraph(
+      { first: jest.fn(), second: jest.fn() },
+      [{ name: 'custom', handler: jest.fn() }],
+    ), { timings });
+
+    expect(timings).toEqual({
+      first: expect.any(Number),
+      second: expect.any(Number),
+      custom: expect.any(Number),
+    });
+  });
+
+  it('should reject and skip dependent phases when a phase throws', async () => {
+    const third = jest.fn();
+
+    await expect(runPhaseGraph(createPhaseGraph({
+      first: jest.fn(),
+      second: () => { throw new Error('uhoh!'); },
+      third,
+    }))).rejects.toThrow('uhoh!');
+    expect(third).not.toHaveBeenCalled();
+  });
+});
+
+describe('runWithTimeout', () => {
+  const never = () => new Promise(() => {});
+
+  it('should resolve with the result of the phase if it finishes in time', async () => {
+    await expect(runWithTimeout('phase', async () => 'done', 100)).resolves.toEqual('done');
+  });
+
+  it('should run the fallback if the phase times out', async () => {
+    await expect(runWithTimeout('phase', never, 10, () => 'fallback')).resolves.toEqual('fallback');
+  });
+
+  it('should abort the signal of a phase that times out', async () => {
+    let phaseSignal;
+    await runWithTimeout('phase', (signal) => {
+      phaseSignal = signal;
+      return never();
+    }, 10, () => {
+      expect(phaseSignal.aborted).toBe(true);
+    });
+    expect.assertions(1);
+  });
+
+  it('should reject if the phase times out without a fallback', async () => {
+    await expect(runWithTimeout('phase', never, 10)).rejects.toThrow('Initialization phase "phase" timed out after 10ms.');
+  });
+});
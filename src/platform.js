@@ -0,0 +1,175 @@
+/**
+ * #### Import members from **@edx/frontend-platform**
+ *
+ * Creates isolated platform instances, so that several micro-frontends with different `APP_ID`s
+ * and configuration can be hosted on the same page.
+ *
+ * ```
+ * import { createPlatform, APP_READY } from '@edx/frontend-platform';
+ *
+ * const platform = createPlatform({ config: { APP_ID: 'learning' } });
+ *
+ * platform.subscribe(APP_READY, () => {
+ *   console.log(platform.getConfig().APP_ID); // 'learning'
+ * });
+ *
+ * platform.initialize({ messages });
+ * ```
+ *
+ * Each instance has its own ConfigDocument, logging, analytics and auth services, pub/sub bus and
+ * history.  The top-level exports of this package (`initialize`, `getConfig`, `subscribe`,
+ * `logError`, `getAuthenticatedUser` and so on) continue to operate on a default instance.
+ *
+ * A few things remain shared between all instances:
+ *
+ * - The i18n module, which is configured by whichever instance initialized most recently.
+ * - The React components (`AppProvider`, `AppContext` and friends), which read from the default
+ * instance.
+ * - Third-party globals set up by the analytics service and external scripts, such as Segment's
+ * `window.analytics`.
+ *
+ * @module Platform
+ */
+import { createBrowserHistory, createMemoryHistory } from 'history';
+import { createPubSub } from './pubSub';
+import { createConfigStore } from './config';
+import { AUTHENTICATED_USER_CHANGED } from './auth/interface';
+import { getPath } from './utils';
+import { createHydrationState, initializePlatform, teardownPlatform } from './initialize';
+import { createFeatureFlags } from './featureFlags';
+import { createIdleSession } from './idleSession';
+
+let platformCount = 0;
+
+/**
+ * Holds one of an instance's services.  `get` throws if the service hasn't been configured, just
+ * like the module-level `getLoggingService`, `getAnalyticsService` and `getAuthService`.
+ *
+ * @ignore
+ * @param {string} name
+ * @returns {Object}
+ */
+function createServiceHolder(name) {
+  let service = null;
+  return {
+    configure: (Service, options) => {
+      service = new Service(options);
+      return service;
+    },
+    get: () => {
+      if (!service) {
+        throw Error(`You must first configure the ${name} service.`);
+      }
+      return service;
+    },
+    reset: () => {
+      if (service && service.destroy) {
+        service.destroy();
+      }
+      service = null;
+    },
+  };
+}
+
+/**
+ * Creates an isolated platform instance.
+ *
+ * The returned object has the same functions as the top-level exports of the config, pub/sub,
+ * logging, analytics, auth and feature flags modules (`getConfig`, `mergeConfig`, `ensureConfig`,
+ * `subscribe`, `publish`, `logError`, `sendTrackEvent`, `getAuthenticatedHttpClient`,
+ * `getAuthenticatedUser`, `isFeatureEnabled`, etc.), plus:
+ *
+ * - `initialize(options)`: Runs the initialization sequence for this instance.  It accepts the same
+ * options as `initialize`.
+ * - `teardown()`: Resets this instance's config, services and initialization report.
+ * - `getInitializationReport()`: See `getInitializationReport`.
+ * - `getHydrationState()`: See `getHydrationState`.
+ * - `history`: A browser history (or memory history, if `window` is undefined) whose basename is
+ * derived from the instance's `PUBLIC_PATH`.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.config={}] Values merged over the `process.env` defaults to form this
+ * instance's ConfigDocument.  They are restored when the instance is torn down.
+ * @returns {Object}
+ * @memberof module:Platform
+ */
+export function createPlatform({ config = {} } = {}) { // eslint-disable-line import/prefer-default-export
+  platformCount += 1;
+  const pubSub = createPubSub(`PLATFORM_${platformCount}`);
+  const configStore = createConfigStore({ pubSub, initialConfig: config });
+  const logging = createServiceHolder('logging');
+  const analytics = createServiceHolder('analytics');
+  const auth = createServiceHolder('auth');
+
+  const platform = {
+    ...pubSub,
+    ...configStore,
+
+    configureLogging: logging.configure,
+    getLoggingService: logging.get,
+    resetLoggingService: logging.reset,
+    logInfo: (infoStringOrErrorObject, customAttributes) => (
+      logging.get().logInfo(infoStringOrErrorObject, customAttributes && configStore.redactConfig(customAttributes))
+    ),
+    logError: (errorStringOrObject, customAttributes) => (
+      logging.get().logError(errorStringOrObject, customAttributes && configStore.redactConfig(customAttributes))
+    ),
+    setCustomAttribute: (name, value) => logging.get().setCustomAttribute(name, value),
+
+    configureAnalytics: analytics.configure,
+    getAnalyticsService: analytics.get,
+    resetAnalyticsService: analytics.reset,
+    sendTrackingLogEvent: (eventName, properties) => (
+      analytics.get().sendTrackingLogEvent(eventName, properties)
+    ),
+    identifyAuthenticatedUser: (userId, traits) => (
+      analytics.get().identifyAuthenticatedUser(userId, traits)
+    ),
+    identifyAnonymousUser: traits => analytics.get().identifyAnonymousUser(traits),
+    sendTrackEvent: (eventName, properties) => analytics.get().sendTrackEvent(eventName, properties),
+    sendPageEvent: (category, name, properties) => (
+      analytics.get().sendPageEvent(category, name, properties)
+    ),
+
+    configureAuth: auth.configure,
+    getAuthService: auth.get,
+    resetAuthService: auth.reset,
+    getAuthenticatedHttpClient: (options = {}) => auth.get().getAuthenticatedHttpClient(options),
+    getHttpClient: (options = {}) => auth.get().getHttpClient(options),
+    getLoginRedirectUrl: redirectUrl => auth.get().getLoginRedirectUrl(redirectUrl),
+    redirectToLogin: redirectUrl => auth.get().redirectToLogin(redirectUrl),
+    getLogoutRedirectUrl: redirectUrl => auth.get().getLogoutRedirectUrl(redirectUrl),
+    redirectToLogout: redirectUrl => auth.get().redirectToLogout(redirectUrl),
+    getAuthenticatedUser: () => auth.get().getAuthenticatedUser(),
+    setAuthenticatedUser: (authUser) => {
+      auth.get().setAuthenticatedUser(authUser);
+      pubSub.publish(AUTHENTICATED_USER_CHANGED);
+    },
+    fetchAuthenticatedUser: async (options = {}) => auth.get().fetchAuthenticatedUser(options),
+    ensureAuthenticatedUser: async redirectUrl => auth.get().ensureAuthenticatedUser(redirectUrl),
+    hydrateAuthenticatedUser: async (options = {}) => {
+      await auth.get().hydrateAuthenticatedUser(options);
+      pubSub.publish(AUTHENTICATED_USER_CHANGED);
+    },
+    getUserHydrationStatus: () => {
+      const service = auth.get();
+      return service.getUserHydrationStatus ? service.getUserHydrationStatus() : null;
+    },
+
+    history: (typeof window !== 'undefined')
+      ? createBrowserHistory({
+        basename: getPath(configStore.getConfig().PUBLIC_PATH),
+      }) : createMemoryHistory(),
+
+    report: null,
+    ssr: null,
+    getInitializationReport: () => platform.report,
+    getHydrationState: () => createHydrationState(platform),
+    initialize: options => initializePlatform(platform, options),
+    teardown: () => teardownPlatform(platform),
+  };
+  Object.assign(platform, createFeatureFlags(platform));
+  Object.assign(platform, createIdleSession(platform));
+
+  return platform;
+}
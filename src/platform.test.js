@@ -0,0 +1,133 @@
+/* eslint-disable max-classes-per-file */
+import PubSub from 'pubsub-js';
+import { APP_READY, CONFIG_CHANGED } from './constants';
+import { createPlatform } from './platform';
+import { getConfig } from './config';
+import { subscribe } from './pubSub';
+import { AUTHENTICATED_USER_CHANGED } from './auth';
+
+jest.mock('./i18n');
+
+class MockLoggingService {
+  logInfo = jest.fn();
+
+  logError = jest.fn();
+}
+
+class MockAnalyticsService {
+  identifyAuthenticatedUser = jest.fn();
+
+  identifyAnonymousUser = jest.fn(() => Promise.resolve());
+}
+
+class MockAuthService {
+  authenticatedUser = null;
+
+  getAuthenticatedHttpClient = jest.fn();
+
+  getAuthenticatedUser = () => this.authenticatedUser;
+
+  fetchAuthenticatedUser = jest.fn(async () => {
+    this.authenticatedUser = { userId: 1, username: 'learner' };
+    return this.authenticatedUser;
+  });
+
+  hydrateAuthenticatedUser = jest.fn(async () => {
+    this.authenticatedUser = { ...this.authenticatedUser, name: 'Learner' };
+  });
+}
+
+const initializeOptions = {
+  loggingService: MockLoggingService,
+  analyticsService: MockAnalyticsService,
+  authService: MockAuthService,
+  externalScripts: [],
+  messages: null,
+};
+
+const flushPublishes = () => new Promise(resolve => { setTimeout(resolve, 0); });
+
+describe('createPlatform', () => {
+  beforeEach(() => {
+    PubSub.clearAllSubscriptions();
+  });
+
+  it('should give each instance its own config', () => {
+    const learning = createPlatform({ config: { APP_ID: 'learning' } });
+    const account = createPlatform({ config: { APP_ID: 'account' } });
+
+    learning.mergeConfig({ SITE_NAME: 'Learning' });
+
+    expect(learning.getConfig()).toEqual(expect.objectContaining({ APP_ID: 'learning', SITE_NAME: 'Learning' }));
+    expect(account.getConfig()).toEqual(expect.objectContaining({ APP_ID: 'account', SITE_NAME: process.env.SITE_NAME }));
+    expect(getConfig().SITE_NAME).toEqual(process.env.SITE_NAME);
+  });
+
+  it('should give each instance its own pub/sub bus', async () => {
+    const learning = createPlatform();
+    const account = createPlatform();
+    const learningListener = jest.fn();
+    const accountListener = jest.fn();
+    const defaultListener = jest.fn();
+    learning.subscribe(CONFIG_CHANGED, learningListener);
+    account.subscribe(CONFIG_CHANGED, accountListener);
+    subscribe(CONFIG_CHANGED, defaultListener);
+
+    learning.mergeConfig({ SITE_NAME: 'Learning' });
+    await flushPublishes();
+
+    expect(learningListener).toHaveBeenCalledWith(CONFIG_CHANGED, {
+      SITE_NAME: { previous: process.env.SITE_NAME, current: 'Learning' },
+    });
+    expect(accountListener).not.toHaveBeenCalled();
+    expect(defaultListener).not.toHaveBeenCalled();
+  });
+
+  it('should throw if a service is used before it is configured', () => {
+    const platform = createPlatform();
+
+    expect(() => platform.getLoggingService()).toThrow('You must first configure the logging service.');
+    expect(() => platform.getAnalyticsService()).toThrow('You must first configure the analytics service.');
+    expect(() => platform.getAuthService()).toThrow('You must first configure the auth service.');
+  });
+
+  it('should initialize an instance with its own services and events', async () => {
+    const platform = createPlatform({ config: { APP_ID: 'learning' } });
+    const readyListener = jest.fn();
+    const defaultReadyListener = jest.fn();
+    const userListener = jest.fn();
+    platform.subscribe(APP_READY, readyListener);
+    platform.subscribe(AUTHENTICATED_USER_CHANGED, userListener);
+    subscribe(APP_READY, defaultReadyListener);
+
+    await platform.initialize({ ...initializeOptions, hydrateAuthenticatedUser: true });
+    await flushPublishes();
+
+    expect(platform.getLoggingService()).toBeInstanceOf(MockLoggingService);
+    expect(platform.getAuthService().fetchAuthenticatedUser).toHaveBeenCalled();
+    expect(platform.getAuthService().hydrateAuthenticatedUser).toHaveBeenCalled();
+    expect(platform.getAuthenticatedUser()).toEqual({ userId: 1, username: 'learner', name: 'Learner' });
+    expect(platform.getAnalyticsService().identifyAuthenticatedUser).toHaveBeenCalledWith(1, undefined);
+    expect(platform.getConfig().JS_FILE_VAR).toEqual('JS_FILE_VAR_VALUE_FOR_EXAMPLE_APP');
+    expect(platform.getInitializationReport()).toEqual(expect.objectContaining({
+      duration: expect.any(Number),
+    }));
+    expect(readyListener).toHaveBeenCalledWith(APP_READY, platform.getInitializationReport());
+    expect(userListener).toHaveBeenCalled();
+    expect(defaultReadyListener).not.toHaveBeenCalled();
+    expect(getConfig().JS_FILE_VAR).toBeUndefined();
+  });
+
+  it('should restore the initial config and reset services on teardown', async () => {
+    const platform = createPlatform({ config: { APP_ID: 'learning' } });
+
+    await platform.initialize(initializeOptions);
+    platform.teardown();
+
+    expect(platform.getConfig().APP_ID).toEqual('learning');
+    expect(platform.getConfig().JS_FILE_VAR).toBeUndefined();
+    expect(platform.getInitializationReport()).toBeNull();
+    expect(() => platform.getLoggingService()).toThrow();
+    expect(() => platform.getAuthService()).toThrow();
+  });
+});
@@ -14,6 +14,10 @@
  * hook into the initialization lifecycle, and we also use them to publish when the application
  * state has changed, i.e., when the config document or user's authentication state have changed.
  *
+ * Platform instances created with `createPlatform` each have their own bus (see `createPubSub`),
+ * so events published by one instance are never delivered to subscribers of another.  The
+ * functions exported here operate on the default bus.
+ *
  * @module PubSub
  */
 
@@ -45,3 +49,33 @@ export function unsubscribe(token) {
 export function publish(type, data) {
   return PubSub.publish(type, data);
 }
+
+/**
+ * Creates an isolated pub/sub bus.  Topics are namespaced under the bus's namespace, so subscribers
+ * only receive events published on the same bus.  Callbacks receive the topic without the
+ * namespace, exactly as they would from the default bus.
+ *
+ * ```
+ * const bus = createPubSub('learning');
+ * bus.subscribe(APP_READY, (topic) => console.log(topic)); // Logs 'APP.READY'
+ * bus.publish(APP_READY); // Not delivered to subscribers of the default bus.
+ * ```
+ *
+ * @param {string} [namespace] Omit to create a bus equivalent to the default one.
+ * @returns {Object} An object with `subscribe`, `unsubscribe` and `publish` functions.
+ */
+export function createPubSub(namespace) {
+  if (!namespace) {
+    return { subscribe, unsubscribe, publish };
+  }
+
+  const prefix = `${namespace}.`;
+  return {
+    subscribe: (type, callback) => PubSub.subscribe(
+      `${prefix}${type}`,
+      (topic, data) => callback(topic.slice(prefix.length), data),
+    ),
+    unsubscribe,
+    publish: (type, data) => PubSub.publish(`${prefix}${type}`, data),
+  };
+}
@@ -7,9 +7,13 @@ import React from 'react';
  * ```
  * {
  *   authenticatedUser: <THE App.authenticatedUser OBJECT>,
- *   config: <THE App.config OBJECT>
+ *   config: <THE App.config OBJECT>,
+ *   locale: <THE CURRENT LOCALE>,
+ *   siteKey: <THE KEY OF THE ACTIVE SITE, OR null>
  * }
  * ```
+ * The site key is that of the site overlay chosen from the JavaScript File Configuration, if any.
+ * See the `SITE_KEY` config value.
  * If the `App.authenticatedUser` or `App.config` data changes, `AppContext` will be updated
  * accordingly and pass those changes onto React components using the context.
  *
@@ -19,6 +23,7 @@ import React from 'react';
 const AppContext = React.createContext({
   authenticatedUser: null,
   config: {},
+  siteKey: null,
 });
 
 export default AppContext;
@@ -5,6 +5,8 @@ import { BrowserRouter as Router } from 'react-router-dom';
 import OptionalReduxProvider from './OptionalReduxProvider';
 
 import ErrorBoundary from './ErrorBoundary';
+import ConfigOverridesBanner from './ConfigOverridesBanner';
+import IdleSessionDialog from './IdleSessionDialog';
 import AppContext from './AppContext';
 import { useAppEvent, useTrackColorSchemeChoice } from './hooks';
 import { getAuthenticatedUser, AUTHENTICATED_USER_CHANGED } from '../auth';
@@ -39,6 +41,9 @@ import { basename } from '../initialize';
  * - Optionally a redux `Provider`. Will only be included if a `store` property is passed to
  * `AppProvider`.
  * - A `Router` for react-router.
+ * - A banner warning that local config overrides are active, if they are.  See the
+ * ConfigOverrides module.
+ * - A dialog warning idle users that they are about to be logged out.  See the IdleSession module.
  *
  * @param {Object} props
  * @param {Object} [props.store] A redux store.
@@ -63,7 +68,13 @@ export default function AppProvider({ store, children, wrapWithRouter }) {
     setLocale(getLocale());
   });
 
-  const appContextValue = useMemo(() => ({ authenticatedUser, config, locale }), [authenticatedUser, config, locale]);
+  const siteKey = config.SITE_KEY || null;
+  const appContextValue = useMemo(
+    () => ({
+      authenticatedUser, config, locale, siteKey,
+    }),
+    [authenticatedUser, config, locale, siteKey],
+  );
 
   return (
     <IntlProvider locale={locale} messages={getMessages()}>
@@ -71,6 +82,8 @@ export default function AppProvider({ store, children, wrapWithRouter }) {
         <AppContext.Provider
           value={appContextValue}
         >
+          <ConfigOverridesBanner />
+          <IdleSessionDialog />
           <OptionalReduxProvider store={store}>
             {wrapWithRouter ? (
               <Router basename={basename}>
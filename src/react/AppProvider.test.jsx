@@ -1,8 +1,10 @@
-import React from 'react';
+import React, { useContext } from 'react';
 import { createStore } from 'redux';
 import { render } from '@testing-library/react';
 import AppProvider from './AppProvider';
+import AppContext from './AppContext';
 import { initialize } from '../initialize';
+import { mergeConfig } from '../config';
 
 jest.mock('../auth', () => ({
   configure: () => {},
@@ -104,4 +106,15 @@ describe('AppProvider', () => {
     const reduxProvider = wrapper.queryByTestId('redux-provider');
     expect(reduxProvider).not.toBeInTheDocument();
   });
+
+  it('should provide the active site key', () => {
+    mergeConfig({ SITE_KEY: 'learning.example.com' });
+    function SiteKey() {
+      return <div className="site-key">{useContext(AppContext).siteKey}</div>;
+    }
+
+    const wrapper = render(<AppProvider><SiteKey /></AppProvider>);
+
+    expect(wrapper.container.querySelector('div.site-key').textContent).toEqual('learning.example.com');
+  });
 });
@@ -0,0 +1,36 @@
+import PropTypes from 'prop-types';
+
+import { useAuthorization } from './hooks';
+
+/**
+ * Renders its children only when the authenticated user satisfies an authorization rule, and its
+ * fallback otherwise.  It re-renders when the user changes.  See `hasPermission` for the rules.
+ *
+ * ```
+ * <Authorized rule={{ roles: ['course_staff'] }} fallback={<ReadOnlyOutline />}>
+ *   <OutlineEditor />
+ * </Authorized>
+ * ```
+ *
+ * @see {@link module:Auth~hasPermission}
+ * @memberof module:React
+ * @param {Object} props
+ * @param {Object|function|Array} props.rule
+ * @param {node} [props.fallback] What to render when the user doesn't satisfy the rule.  Defaults
+ * to nothing.
+ */
+export default function Authorized({ rule, fallback, children }) {
+  const authorized = useAuthorization(rule);
+
+  return authorized ? children : fallback;
+}
+
+Authorized.propTypes = {
+  rule: PropTypes.oneOfType([PropTypes.object, PropTypes.func, PropTypes.array]).isRequired,
+  fallback: PropTypes.node,
+  children: PropTypes.node.isRequired,
+};
+
+Authorized.defaultProps = {
+  fallback: null,
+};
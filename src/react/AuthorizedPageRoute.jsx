@@ -0,0 +1,67 @@
+import React, { useContext } from 'react';
+import PropTypes from 'prop-types';
+
+import AppContext from './AppContext';
+import AuthenticatedPageRoute from './AuthenticatedPageRoute';
+import ForbiddenPage from './ForbiddenPage';
+import { hasPermission } from '../auth';
+
+/**
+ * A react-router route that is only shown to users satisfying an authorization rule.  Like an
+ * `AuthenticatedPageRoute`, it redirects anonymous users to the login page.  Authenticated users
+ * who don't satisfy the rule see the forbidden fallback instead: the `forbiddenFallback` prop if
+ * given, or else a redirect to the `FORBIDDEN_PAGE_URL` config value if it's set, or else a
+ * `ForbiddenPage`.
+ *
+ * ```
+ * <Route
+ *   path="/instructor"
+ *   element={(
+ *     <AuthorizedPageRoute rule={{ roles: ['course_staff'] }}>
+ *       <InstructorDashboard />
+ *     </AuthorizedPageRoute>
+ *   )}
+ * />
+ * ```
+ *
+ * @see {@link module:Auth~hasPermission}
+ * @memberof module:React
+ * @param {Object} props
+ * @param {Object|function|Array} props.rule
+ * @param {string} [props.redirectUrl] The URL anonymous users should be redirected to, rather than
+ * the login page.
+ * @param {node} [props.forbiddenFallback] What to render for users who don't satisfy the rule.
+ */
+export default function AuthorizedPageRoute({
+  rule, redirectUrl, forbiddenFallback, children,
+}) {
+  const { authenticatedUser, config } = useContext(AppContext);
+  if (authenticatedUser !== null && !hasPermission(authenticatedUser, rule)) {
+    if (forbiddenFallback !== null) {
+      return forbiddenFallback;
+    }
+    if (config.FORBIDDEN_PAGE_URL) {
+      global.location.assign(config.FORBIDDEN_PAGE_URL);
+      return null;
+    }
+    return <ForbiddenPage />;
+  }
+
+  return (
+    <AuthenticatedPageRoute redirectUrl={redirectUrl}>
+      {children}
+    </AuthenticatedPageRoute>
+  );
+}
+
+AuthorizedPageRoute.propTypes = {
+  rule: PropTypes.oneOfType([PropTypes.object, PropTypes.func, PropTypes.array]).isRequired,
+  redirectUrl: PropTypes.string,
+  forbiddenFallback: PropTypes.node,
+  children: PropTypes.node.isRequired,
+};
+
+AuthorizedPageRoute.defaultProps = {
+  redirectUrl: null,
+  forbiddenFallback: null,
+};
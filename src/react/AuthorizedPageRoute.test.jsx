@@ -0,0 +1,93 @@
+/* eslint-disable react/jsx-no-constructed-context-values */
+import React from 'react';
+import { render } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { getLoginRedirectUrl } from '../auth';
+import AuthorizedPageRoute from './AuthorizedPageRoute';
+import Authorized from './Authorized';
+import AppContext from './AppContext';
+import { IntlProvider } from '../i18n';
+import { sendPageEvent } from '../analytics';
+
+jest.mock('../analytics');
+jest.mock('../auth', () => ({
+  hasPermission: jest.requireActual('../auth/authorization').default,
+  getLoginRedirectUrl: jest.fn(),
+}));
+
+const staff = { userId: 1, roles: ['course_staff'], administrator: false };
+const learner = { userId: 2, roles: [], administrator: false };
+const rule = { roles: ['course_staff'] };
+
+const renderWithContext = (element, authenticatedUser, config = {}) => render(
+  <IntlProvider locale="en">
+    <AppContext.Provider value={{ authenticatedUser, config }}>
+      <MemoryRouter initialEntries={['/instructor']}>
+        {element}
+      </MemoryRouter>
+    </AppContext.Provider>
+  </IntlProvider>,
+);
+
+describe('AuthorizedPageRoute', () => {
+  const { location } = global;
+
+  beforeEach(() => {
+    delete global.location;
+    global.location = { href: 'http://localhost/instructor', assign: jest.fn() };
+    sendPageEvent.mockReset();
+    getLoginRedirectUrl.mockReset();
+  });
+
+  afterEach(() => {
+    global.location = location;
+  });
+
+  it('should render its contents for users satisfying the rule', () => {
+    const wrapper = renderWithContext(<AuthorizedPageRoute rule={rule}><p>Dashboard</p></AuthorizedPageRoute>, staff);
+
+    expect(wrapper.queryByText('Dashboard')).toBeInTheDocument();
+    expect(sendPageEvent).toHaveBeenCalled();
+  });
+
+  it('should redirect anonymous users to login', () => {
+    getLoginRedirectUrl.mockReturnValue('http://localhost/login');
+    renderWithContext(<AuthorizedPageRoute rule={rule}><p>Dashboard</p></AuthorizedPageRoute>, null);
+
+    expect(global.location.assign).toHaveBeenCalledWith('http://localhost/login');
+  });
+
+  it('should render the forbidden page for other users', () => {
+    const wrapper = renderWithContext(<AuthorizedPageRoute rule={rule}><p>Dashboard</p></AuthorizedPageRoute>, learner);
+
+    expect(wrapper.queryByText('Dashboard')).not.toBeInTheDocument();
+    expect(wrapper.getByTestId('forbidden-page')).toBeInTheDocument();
+    expect(global.location.assign).not.toHaveBeenCalled();
+  });
+
+  it('should render the forbidden fallback, or redirect to the configured forbidden page', () => {
+    const wrapper = renderWithContext(
+      <AuthorizedPageRoute rule={rule} forbiddenFallback={<p>Ask your instructor</p>}>
+        <p>Dashboard</p>
+      </AuthorizedPageRoute>,
+      learner,
+    );
+    expect(wrapper.queryByText('Ask your instructor')).toBeInTheDocument();
+
+    renderWithContext(
+      <AuthorizedPageRoute rule={rule}><p>Dashboard</p></AuthorizedPageRoute>,
+      learner,
+      { FORBIDDEN_PAGE_URL: 'http://localhost/forbidden' },
+    );
+    expect(global.location.assign).toHaveBeenCalledWith('http://localhost/forbidden');
+  });
+});
+
+describe('Authorized', () => {
+  it('should render its children or fallback depending on the rule', () => {
+    const element = <Authorized rule={rule} fallback={<p>Read only</p>}><p>Editor</p></Authorized>;
+
+    expect(renderWithContext(element, staff).queryByText('Editor')).toBeInTheDocument();
+    expect(renderWithContext(element, learner).queryByText('Read only')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Alert, Button } from '@openedx/paragon';
+
+import { FormattedMessage } from '../i18n';
+import { getConfigOverrides, clearConfigOverrides } from '../configOverrides';
+
+/**
+ * A banner warning that local config overrides are in effect, with a button to clear them and
+ * reload the page.  `AppProvider` renders it at the top of the page; it renders nothing when there
+ * are no overrides.
+ *
+ * @see {@link module:ConfigOverrides}
+ * @memberof module:React
+ */
+export default function ConfigOverridesBanner() {
+  const keys = Object.keys(getConfigOverrides());
+  if (keys.length === 0) {
+    return null;
+  }
+
+  const clear = () => {
+    clearConfigOverrides();
+    const url = new URL(global.location.href);
+    [...url.searchParams.keys()]
+      .filter(name => name.startsWith('config.'))
+      .forEach(name => url.searchParams.delete(name));
+    global.location.assign(url.toString());
+  };
+
+  return (
+    <Alert
+      variant="warning"
+      className="mb-0 rounded-0"
+      data-testid="config-overrides-banner"
+      actions={[
+        <Button key="clear" variant="outline-primary" size="sm" onClick={clear}>
+          <FormattedMessage
+            id="config.overrides.banner.clear"
+            defaultMessage="Clear overrides"
+            description="text for button that removes the local config overrides and reloads the page"
+          />
+        </Button>,
+      ]}
+    >
+      <FormattedMessage
+        id="config.overrides.banner.text"
+        defaultMessage="Local config overrides are active: {keys}"
+        description="warning shown while config values are overridden from the query string or local storage"
+        values={{ keys: keys.join(', ') }}
+      />
+    </Alert>
+  );
+}
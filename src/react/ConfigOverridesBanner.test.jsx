@@ -0,0 +1,35 @@
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react';
+import { IntlProvider } from '../i18n';
+import ConfigOverridesBanner from './ConfigOverridesBanner';
+import { mergeConfig, resetConfig } from '../config';
+
+describe('ConfigOverridesBanner', () => {
+  const { location } = global;
+
+  afterEach(() => {
+    global.location = location;
+    resetConfig();
+  });
+
+  it('should render nothing without overrides', () => {
+    const wrapper = render(<IntlProvider locale="en"><ConfigOverridesBanner /></IntlProvider>);
+
+    expect(wrapper.queryByTestId('config-overrides-banner')).not.toBeInTheDocument();
+  });
+
+  it('should list the overridden keys and clear them', () => {
+    mergeConfig({ APP_ID: 'learning' });
+    mergeConfig({ LMS_BASE_URL: 'http://localhost:18000' }, 'localOverrides');
+    global.localStorage.setItem('frontend-platform.config-overrides.learning', '{}');
+    delete global.location;
+    global.location = { href: 'http://localhost/courses?config.LMS_BASE_URL=x&tab=1', assign: jest.fn() };
+
+    const wrapper = render(<IntlProvider locale="en"><ConfigOverridesBanner /></IntlProvider>);
+    expect(wrapper.getByTestId('config-overrides-banner')).toHaveTextContent('Local config overrides are active: LMS_BASE_URL');
+
+    fireEvent.click(wrapper.getByText('Clear overrides'));
+    expect(global.localStorage.getItem('frontend-platform.config-overrides.learning')).toBeNull();
+    expect(global.location.assign).toHaveBeenCalledWith('http://localhost/courses?tab=1');
+  });
+});
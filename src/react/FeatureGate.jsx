@@ -0,0 +1,35 @@
+import PropTypes from 'prop-types';
+
+import { useFeatureFlag } from './hooks';
+
+/**
+ * Renders its children only when a feature flag is enabled for the authenticated user, and its
+ * fallback otherwise.  It re-renders when the flag changes.
+ *
+ * ```
+ * <FeatureGate flag="betaDashboard" fallback={<Dashboard />}>
+ *   <BetaDashboard />
+ * </FeatureGate>
+ * ```
+ *
+ * @see {@link module:FeatureFlags}
+ * @memberof module:React
+ * @param {Object} props
+ * @param {string} props.flag The name of the feature flag.
+ * @param {node} [props.fallback] What to render when the flag is disabled.  Defaults to nothing.
+ */
+export default function FeatureGate({ flag, fallback, children }) {
+  const enabled = useFeatureFlag(flag);
+
+  return enabled ? children : fallback;
+}
+
+FeatureGate.propTypes = {
+  flag: PropTypes.string.isRequired,
+  fallback: PropTypes.node,
+  children: PropTypes.node.isRequired,
+};
+
+FeatureGate.defaultProps = {
+  fallback: null,
+};
@@ -0,0 +1,50 @@
+import React from 'react';
+import { render, act } from '@testing-library/react';
+import PubSub from 'pubsub-js';
+import FeatureGate from './FeatureGate';
+import { mergeConfig, resetConfig } from '../config';
+import { watchFeatureFlags, unwatchFeatureFlags } from '../featureFlags';
+
+jest.mock('../auth', () => ({
+  getAuthenticatedUser: () => ({ userId: 1, roles: ['beta-tester'], administrator: false }),
+  AUTHENTICATED_USER_CHANGED: 'user_changed',
+}));
+
+describe('FeatureGate', () => {
+  beforeEach(() => {
+    PubSub.clearAllSubscriptions();
+    watchFeatureFlags();
+  });
+
+  afterEach(() => {
+    unwatchFeatureFlags();
+    resetConfig();
+  });
+
+  it('should render its children or fallback as the flag changes', async () => {
+    mergeConfig({ FEATURE_FLAGS: { beta: false } });
+    const wrapper = render(
+      <FeatureGate flag="beta" fallback={<div>Old</div>}>
+        <div>New</div>
+      </FeatureGate>,
+    );
+    expect(wrapper.queryByText('Old')).toBeInTheDocument();
+    expect(wrapper.queryByText('New')).not.toBeInTheDocument();
+
+    await act(async () => {
+      mergeConfig({ FEATURE_FLAGS: { beta: { roles: ['beta-tester'] } } });
+      // FEATURE_FLAGS_CHANGED is published from a CONFIG_CHANGED subscriber, a tick later.
+      await new Promise(resolve => { setTimeout(resolve, 0); });
+      await new Promise(resolve => { setTimeout(resolve, 0); });
+    });
+
+    expect(wrapper.queryByText('Old')).not.toBeInTheDocument();
+    expect(wrapper.queryByText('New')).toBeInTheDocument();
+  });
+
+  it('should render nothing when the flag is disabled and there is no fallback', () => {
+    const wrapper = render(<FeatureGate flag="unknown"><div>New</div></FeatureGate>);
+
+    expect(wrapper.container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,28 @@
+import React from 'react';
+import { Container, Row, Col } from '@openedx/paragon';
+
+import { FormattedMessage } from '../i18n';
+
+/**
+ * A page telling the user they aren't allowed to see what they asked for.  It's what
+ * `AuthorizedPageRoute` renders by default when the authenticated user doesn't satisfy its rule.
+ *
+ * @memberof module:React
+ */
+export default function ForbiddenPage() {
+  return (
+    <Container fluid className="py-5 justify-content-center align-items-start text-center" data-testid="forbidden-page">
+      <Row>
+        <Col>
+          <p className="text-muted">
+            <FormattedMessage
+              id="forbidden.page.message.text"
+              defaultMessage="You don't have permission to view this page."
+              description="message shown when the user isn't allowed to view a page"
+            />
+          </p>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from 'react';
+import { ActionRow, AlertModal, Button } from '@openedx/paragon';
+
+import { useAppEvent } from './hooks';
+import { FormattedMessage, defineMessages, useIntl } from '../i18n';
+import { redirectToLogout } from '../auth';
+import { extendIdleSession } from '../idleSession';
+import { IDLE_SESSION_WARNING, IDLE_SESSION_RESUMED } from '../constants';
+
+const messages = defineMessages({
+  title: {
+    id: 'idle.session.dialog.title',
+    defaultMessage: 'Are you still there?',
+    description: 'title of the dialog warning an idle user that they are about to be logged out',
+  },
+});
+
+const getSecondsLeft = deadline => Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+
+/**
+ * A dialog counting down to the logout of an idle user, with buttons to stay logged in or to log
+ * out right away.  `AppProvider` renders it; it opens when `IDLE_SESSION_WARNING` is published,
+ * and closes when the session is extended, in this tab or another.
+ *
+ * @see {@link module:IdleSession}
+ * @memberof module:React
+ */
+export default function IdleSessionDialog() {
+  const intl = useIntl();
+  const [deadline, setDeadline] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useAppEvent(IDLE_SESSION_WARNING, (topic, data) => {
+    setDeadline(data.deadline);
+    setSecondsLeft(getSecondsLeft(data.deadline));
+  });
+
+  useAppEvent(IDLE_SESSION_RESUMED, () => {
+    setDeadline(null);
+  });
+
+  useEffect(() => {
+    if (deadline === null) {
+      return undefined;
+    }
+    const interval = setInterval(() => setSecondsLeft(getSecondsLeft(deadline)), 1000);
+    return () => clearInterval(interval);
+  }, [deadline]);
+
+  if (deadline === null) {
+    return null;
+  }
+
+  return (
+    <AlertModal
+      isOpen
+      isBlocking
+      onClose={extendIdleSession}
+      title={intl.formatMessage(messages.title)}
+      footerNode={(
+        <ActionRow>
+          <Button variant="tertiary" onClick={() => redirectToLogout()}>
+            <FormattedMessage
+              id="idle.session.dialog.logout"
+              defaultMessage="Log out"
+              description="text for button that logs an idle user out right away"
+            />
+          </Button>
+          <Button variant="primary" onClick={extendIdleSession}>
+            <FormattedMessage
+              id="idle.session.dialog.stay"
+              defaultMessage="Stay logged in"
+              description="text for button that keeps an idle user logged in"
+            />
+          </Button>
+        </ActionRow>
+      )}
+    >
+      <p data-testid="idle-session-countdown">
+        <FormattedMessage
+          id="idle.session.dialog.text"
+          defaultMessage="For your security, you will be logged out in {seconds, plural, one {# second} other {# seconds}}."
+          description="countdown shown to an idle user before they are logged out"
+          values={{ seconds: secondsLeft }}
+        />
+      </p>
+    </AlertModal>
+  );
+}
@@ -0,0 +1,54 @@
+import React from 'react';
+import {
+  render, act, fireEvent, screen,
+} from '@testing-library/react';
+import PubSub from 'pubsub-js';
+import { IntlProvider } from '../i18n';
+import IdleSessionDialog from './IdleSessionDialog';
+import { publish } from '../pubSub';
+import { redirectToLogout } from '../auth';
+import { extendIdleSession } from '../idleSession';
+import { IDLE_SESSION_WARNING, IDLE_SESSION_RESUMED } from '../constants';
+
+jest.mock('../auth', () => ({
+  redirectToLogout: jest.fn(),
+}));
+jest.mock('../idleSession', () => ({
+  extendIdleSession: jest.fn(),
+}));
+
+const publishAndFlush = async (topic, data) => {
+  await act(async () => {
+    publish(topic, data);
+    await new Promise(resolve => { setTimeout(resolve, 0); });
+  });
+};
+
+describe('IdleSessionDialog', () => {
+  beforeEach(() => {
+    PubSub.clearAllSubscriptions();
+    redirectToLogout.mockReset();
+    extendIdleSession.mockReset();
+    render(<IntlProvider locale="en"><IdleSessionDialog /></IntlProvider>);
+  });
+
+  it('should count down to the logout once warned, until the session resumes', async () => {
+    expect(screen.queryByTestId('idle-session-countdown')).not.toBeInTheDocument();
+
+    await publishAndFlush(IDLE_SESSION_WARNING, { deadline: Date.now() + 30000 });
+    expect(screen.getByTestId('idle-session-countdown')).toHaveTextContent('you will be logged out in 30 seconds.');
+
+    await publishAndFlush(IDLE_SESSION_RESUMED);
+    expect(screen.queryByTestId('idle-session-countdown')).not.toBeInTheDocument();
+  });
+
+  it('should extend the session or log out', async () => {
+    await publishAndFlush(IDLE_SESSION_WARNING, { deadline: Date.now() + 30000 });
+
+    fireEvent.click(screen.getByText('Stay logged in'));
+    expect(extendIdleSession).toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText('Log out'));
+    expect(redirectToLogout).toHaveBeenCalled();
+  });
+});
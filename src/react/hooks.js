@@ -1,7 +1,17 @@
 /* eslint-disable import/prefer-default-export */
-import { useEffect } from 'react';
+import { useContext, useEffect, useState } from 'react';
+import AppContext from './AppContext';
 import { subscribe, unsubscribe } from '../pubSub';
 import { sendTrackEvent } from '../analytics';
+import { getConfig, subscribeToConfig } from '../config';
+import { isFeatureEnabled } from '../featureFlags';
+import { FEATURE_FLAGS_CHANGED } from '../constants';
+import {
+  AUTHENTICATED_USER_HYDRATION_CHANGED,
+  getUserHydrationStatus,
+  hasPermission,
+  hydrateAuthenticatedUser,
+} from '../auth';
 
 /**
  * A React hook that allows functional components to subscribe to application events.  This should
@@ -23,6 +33,128 @@ export const useAppEvent = (type, callback) => {
   }, [callback, type]);
 };
 
+/**
+ * A React hook that returns the value of a ConfigDocument key, and re-renders the component only
+ * when that value changes.
+ *
+ * ```
+ * const lmsBaseUrl = useConfigValue('LMS_BASE_URL');
+ * ```
+ *
+ * @memberof module:React
+ * @param {string} key
+ * @returns {*} The current value of the key.
+ */
+export const useConfigValue = (key) => {
+  const [value, setValue] = useState(() => getConfig()[key]);
+
+  useEffect(() => {
+    // The value may have changed between the render and the subscription.
+    setValue(getConfig()[key]);
+    const subscriptionToken = subscribeToConfig(key, (changes) => {
+      setValue(() => changes[key].current);
+    });
+
+    return function cleanup() {
+      unsubscribe(subscriptionToken);
+    };
+  }, [key]);
+
+  return value;
+};
+
+/**
+ * A React hook that returns whether a feature flag is enabled for the authenticated user, and
+ * re-renders the component when that changes.  See the FeatureFlags module.
+ *
+ * ```
+ * const showBetaDashboard = useFeatureFlag('betaDashboard');
+ * ```
+ *
+ * @memberof module:React
+ * @param {string} name
+ * @returns {boolean}
+ */
+export const useFeatureFlag = (name) => {
+  const [enabled, setEnabled] = useState(() => isFeatureEnabled(name));
+
+  useEffect(() => {
+    // The flag may have changed between the render and the subscription.
+    setEnabled(isFeatureEnabled(name));
+    const subscriptionToken = subscribe(FEATURE_FLAGS_CHANGED, (topic, flags) => {
+      setEnabled(flags[name] === true);
+    });
+
+    return function cleanup() {
+      unsubscribe(subscriptionToken);
+    };
+  }, [name]);
+
+  return enabled;
+};
+
+/**
+ * A React hook that returns whether the authenticated user satisfies an authorization rule, and
+ * re-renders the component when the user changes.  See `hasPermission` for the rules.  Must be
+ * used within an `AppProvider`.
+ *
+ * ```
+ * const canEditCourse = useAuthorization({ roles: ['course_staff'] });
+ * ```
+ *
+ * @memberof module:React
+ * @param {Object|function|Array} rule
+ * @returns {boolean}
+ */
+export const useAuthorization = (rule) => {
+  const { authenticatedUser } = useContext(AppContext);
+  return hasPermission(authenticatedUser, rule);
+};
+
+/**
+ * A React hook that returns the authenticated user along with the status of its hydration, and
+ * re-renders the component as they change.  It hydrates the user if that was never done, merging
+ * only the given account fields if there are some.  Must be used within an `AppProvider`.
+ *
+ * ```
+ * const { user, status } = useHydratedUser({ fields: ['profileImage'] });
+ * if (status === 'done') {
+ *   return <Avatar src={user.profileImage.imageUrlMedium} />;
+ * }
+ * ```
+ *
+ * @memberof module:React
+ * @param {Object} [options]
+ * @param {Array<string>} [options.fields] The camel-cased account fields to hydrate.
+ * @returns {{user: UserData|null, status: string|null}} The user, and the hydration status:
+ * `pending`, `done`, `error`, or null if the user isn't hydrated, such as when they're anonymous.
+ */
+export const useHydratedUser = ({ fields } = {}) => {
+  const { authenticatedUser } = useContext(AppContext);
+  const [status, setStatus] = useState(() => getUserHydrationStatus());
+  const isAuthenticated = authenticatedUser !== null;
+
+  useEffect(() => {
+    // The status may have changed between the render and the subscription.
+    setStatus(getUserHydrationStatus());
+    const subscriptionToken = subscribe(AUTHENTICATED_USER_HYDRATION_CHANGED, (topic, data) => {
+      setStatus(data.status);
+    });
+    if (isAuthenticated && getUserHydrationStatus() === null) {
+      // Failures are logged by the auth service and reported through the status.
+      hydrateAuthenticatedUser({ fields }).catch(() => {});
+    }
+
+    return function cleanup() {
+      unsubscribe(subscriptionToken);
+    };
+  // The fields only matter to the first hydration.
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isAuthenticated]);
+
+  return { user: authenticatedUser, status };
+};
+
 /**
  * A React hook that tracks user's preferred color scheme (light or dark) and sends respective
  * event to the tracking service.
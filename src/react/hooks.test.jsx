@@ -1,6 +1,10 @@
-import { renderHook } from '@testing-library/react-hooks';
-import { useTrackColorSchemeChoice } from './hooks';
+import React from 'react';
+import { renderHook, act } from '@testing-library/react-hooks';
+import { useConfigValue, useHydratedUser, useTrackColorSchemeChoice } from './hooks';
+import AppContext from './AppContext';
 import { sendTrackEvent } from '../analytics';
+import { configure as configureAuth, MockAuthService } from '../auth';
+import { getConfig, mergeConfig, resetConfig } from '../config';
 
 jest.mock('../analytics');
 
@@ -52,3 +56,84 @@ describe('useTrackColorSchemeChoice hook', () => {
     expect(mockAddEventListener).toHaveBeenCalledWith('change', expect.any(Function));
   });
 });
+
+describe('useConfigValue hook', () => {
+  afterEach(() => {
+    resetConfig();
+  });
+
+  it('returns the current value and re-renders only when it changes', async () => {
+    mergeConfig({ HOOK_VAR: 'first' });
+    let renders = 0;
+    const { result } = renderHook(() => {
+      renders += 1;
+      return useConfigValue('HOOK_VAR');
+    });
+    expect(result.current).toEqual('first');
+    const rendersBeforeChanges = renders;
+
+    await act(async () => {
+      mergeConfig({ OTHER_VAR: 'other' });
+      await new Promise(resolve => { setTimeout(resolve, 0); });
+    });
+    expect(renders).toEqual(rendersBeforeChanges);
+
+    await act(async () => {
+      mergeConfig({ HOOK_VAR: 'second' });
+      await new Promise(resolve => { setTimeout(resolve, 0); });
+    });
+    expect(result.current).toEqual('second');
+  });
+});
+
+describe('useHydratedUser hook', () => {
+  const user = {
+    userId: 'abc123',
+    username: 'learner',
+    roles: [],
+    administrator: false,
+  };
+  let authService;
+
+  const renderHydratedUserHook = (authenticatedUser, options) => renderHook(() => useHydratedUser(options), {
+    wrapper: ({ children }) => ( // eslint-disable-line react/prop-types
+      <AppContext.Provider value={{ authenticatedUser }}>{children}</AppContext.Provider>
+    ),
+  });
+  const flushPublishes = () => act(() => new Promise(resolve => { setTimeout(resolve, 0); }));
+
+  beforeEach(() => {
+    authService = configureAuth(MockAuthService, {
+      config: {
+        ...getConfig(),
+        authenticatedUser: user,
+        hydratedAuthenticatedUser: { ...user, country: 'FR', name: 'Learner' },
+      },
+      loggingService: { logError: jest.fn(), logInfo: jest.fn() },
+    });
+  });
+
+  it('hydrates the given fields of the user and returns the status', async () => {
+    const { result } = renderHydratedUserHook(user, { fields: ['country'] });
+    expect(authService.hydrateAuthenticatedUser).toHaveBeenCalledWith({ fields: ['country'] });
+    expect(authService.getAuthenticatedUser()).toEqual({ ...user, country: 'FR' });
+
+    await flushPublishes();
+    expect(result.current).toEqual({ user, status: 'done' });
+  });
+
+  it('does not hydrate the user again', async () => {
+    await authService.hydrateAuthenticatedUser();
+    authService.hydrateAuthenticatedUser.mockClear();
+
+    const { result } = renderHydratedUserHook(user);
+    expect(authService.hydrateAuthenticatedUser).not.toHaveBeenCalled();
+    expect(result.current.status).toEqual('done');
+  });
+
+  it('does not hydrate anonymous users', () => {
+    const { result } = renderHydratedUserHook(null);
+    expect(authService.hydrateAuthenticatedUser).not.toHaveBeenCalled();
+    expect(result.current).toEqual({ user: null, status: null });
+  });
+});
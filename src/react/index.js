@@ -9,8 +9,15 @@
 export { default as AppContext } from './AppContext';
 export { default as AppProvider } from './AppProvider';
 export { default as AuthenticatedPageRoute } from './AuthenticatedPageRoute';
+export { default as Authorized } from './Authorized';
+export { default as AuthorizedPageRoute } from './AuthorizedPageRoute';
 export { default as ErrorBoundary } from './ErrorBoundary';
 export { default as ErrorPage } from './ErrorPage';
+export { default as FeatureGate } from './FeatureGate';
+export { default as ForbiddenPage } from './ForbiddenPage';
+export { default as IdleSessionDialog } from './IdleSessionDialog';
 export { default as LoginRedirect } from './LoginRedirect';
 export { default as PageWrap } from './PageWrap';
-export { useAppEvent } from './hooks';
+export {
+  useAppEvent, useAuthorization, useConfigValue, useFeatureFlag, useHydratedUser,
+} from './hooks';
@@ -1,8 +1,13 @@
+import { INJECTED_SCRIPT_ATTRIBUTE } from './constants';
+
 /**
  * @implements {GoogleAnalyticsLoader}
  * @memberof module:GoogleAnalytics
  */
 class GoogleAnalyticsLoader {
+  // The config keys given to the script by `initialize`.
+  static configKeys = ['GOOGLE_ANALYTICS_4_ID'];
+
   constructor({ config }) {
     this.analyticsId = config.GOOGLE_ANALYTICS_4_ID;
   }
@@ -29,8 +34,11 @@ class GoogleAnalyticsLoader {
       scriptSrc.type = 'text/javascript';
       scriptSrc.async = true;
       scriptSrc.src = `https://www.googletagmanager.com/gtag/js?id=${key}`;
+      // Marks the scripts so that `teardown` can remove them.
+      scriptSrc.setAttribute(INJECTED_SCRIPT_ATTRIBUTE, 'google-analytics');
 
       const scriptGtag = document.createElement('script');
+      scriptGtag.setAttribute(INJECTED_SCRIPT_ATTRIBUTE, 'google-analytics');
       scriptGtag.innerHTML = `
         window.dataLayer = window.dataLayer || [];
         function gtag(){dataLayer.push(arguments);}
@@ -0,0 +1,7 @@
+/**
+ * The attribute set on every script element injected into the page by the platform, so that those
+ * scripts can be found and removed again.
+ *
+ * @ignore
+ */
+export const INJECTED_SCRIPT_ATTRIBUTE = 'data-frontend-platform'; // eslint-disable-line import/prefer-default-export
@@ -40,7 +40,8 @@ import mockMessages from './mockMessages';
  * @param {*} [options.messages] A i18n-compatible messages object, or an array of such objects. If
  * an array is provided, duplicate keys are resolved with the last-one-in winning.
  * @param {UserData|null} [options.authenticatedUser] A UserData object representing the
- * authenticated user. This is passed directly to MockAuthService.
+ * authenticated user. This is passed directly to MockAuthService, without the claim mapping of
+ * `AUTHENTICATED_USER_CLAIMS`.
  * @memberof module:Testing
  */
 export default function initializeMockApp({
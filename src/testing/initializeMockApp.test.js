@@ -1,4 +1,5 @@
 import initializeMockApp from './initializeMockApp';
+import { getConfig } from '../config';
 import {
   getAnalyticsService,
   MockAnalyticsService,
@@ -63,4 +64,22 @@ describe('initializeMockApp', () => {
     logInfo('logging info', customAttributes);
     expect(loggingService.logInfo).toHaveBeenCalledWith('logging info', customAttributes);
   });
+
+  it('should map the claims of a mock access token like the real auth service', () => {
+    const authService = new MockAuthService({
+      config: {
+        ...getConfig(),
+        authenticatedUserClaims: { user_id: 'abc123', preferred_username: 'Mock User', org: 'edX' },
+        AUTHENTICATED_USER_CLAIMS: { organization: 'org' },
+      },
+      loggingService: new MockLoggingService(),
+    });
+
+    expect(authService.getAuthenticatedUser()).toEqual({
+      userId: 'abc123',
+      username: 'Mock User',
+      roles: [],
+      organization: 'edX',
+    });
+  });
 });